@@ -0,0 +1,255 @@
+// apiKeys.js — per-client API keys with scopes
+// ============================================================================
+// Keys are random strings shown once at creation; only their sha256 is stored
+// in api_keys. Each key carries
+//   scopes         which route families it may use (SCOPES below)
+//   path_prefixes  Fulcrum paths it may reach through /call and /records (narrows ALLOWED_PREFIXES)
+//   methods        HTTP methods it may send upstream; list queries count as GET
+//   expires_at / revoked_at
+// authenticate() is the single middleware every route sits behind. Keys are
+// accepted from "Authorization: Bearer", "x-api-key" or the legacy
+// "x-proxy-secret" header. SHARED_SECRET, when set, still works as an
+// unrestricted key so existing sync jobs keep running during the rollout.
+//
+// Usage: node apiKeys.js create --name ops-dashboard --scopes mirror:read,proxy \
+//          [--prefixes /api/jobs/,/api/items/] [--methods GET] [--expires 2027-01-01]
+//        node apiKeys.js list
+//        node apiKeys.js revoke <id|name>
+// ============================================================================
+
+import pg from "pg";
+import crypto from "crypto";
+import { parseArgs } from "util";
+import { pathToFileURL } from "url";
+
+export const SCOPES = ["proxy", "schema", "mirror:read", "mirror:query", "admin"];
+
+// First match wins; routes not listed need "admin"
+// The webhook receiver authenticates senders by signature instead.
+const PUBLIC_ROUTES = ["/healthz", "/webhooks/fulcrum"];
+export const ROUTE_SCOPES = [
+  ["/call", "proxy"],
+  ["/records", "proxy"],
+  ["/schema", "schema"],
+  ["/mirror/query", "mirror:query"],
+  ["/mirror", "mirror:read"],
+  ["/reports", "mirror:read"],
+  ["/graphql", "mirror:read"],
+  ["/admin", "admin"]
+];
+
+const SHARED_SECRET = process.env.SHARED_SECRET || "";
+const CACHE_TTL_MS  = 30_000; // revocations take effect within this window
+
+//-------------------------------------------------------------
+// Key material
+//-------------------------------------------------------------
+export function hashKey(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+function generateKey() {
+  return `fpk_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function presentedKey(req) {
+  const auth = req.headers.authorization || "";
+  const bearer = auth.match(/^Bearer\s+(.+)$/i)?.[1];
+  return bearer || req.headers["x-api-key"] || req.headers["x-proxy-secret"] || null;
+}
+
+//-------------------------------------------------------------
+// Store
+//-------------------------------------------------------------
+export async function createKey(pool, { name, scopes = [], pathPrefixes = [], methods = [], expiresAt = null }) {
+  if (!name) throw new Error("name is required");
+  const unknown = scopes.filter(s => !SCOPES.includes(s));
+  if (unknown.length) throw new Error(`unknown scope(s): ${unknown.join(", ")}`);
+  const key = generateKey();
+  const r = await pool.query(
+    `INSERT INTO api_keys(name,key_hash,key_prefix,path_prefixes,methods,scopes,expires_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id`,
+    [name, hashKey(key), key.slice(0, 12), pathPrefixes, methods.map(m => m.toUpperCase()), scopes, expiresAt]
+  );
+  return { id: r.rows[0].id, name, key };
+}
+
+export async function listKeys(pool) {
+  const r = await pool.query(
+    `SELECT id,name,key_prefix,scopes,path_prefixes,methods,created_at,expires_at,revoked_at,last_used_at
+     FROM api_keys ORDER BY id`
+  );
+  return r.rows;
+}
+
+export async function revokeKey(pool, idOrName) {
+  const r = await pool.query(
+    `UPDATE api_keys SET revoked_at=NOW()
+     WHERE revoked_at IS NULL AND (id::text=$1 OR name=$1) RETURNING id`,
+    [String(idOrName)]
+  );
+  keyCache.clear();
+  return r.rowCount;
+}
+
+const keyCache = new Map();
+
+async function lookupKey(pool, raw) {
+  const h = hashKey(raw);
+  const hit = keyCache.get(h);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.key;
+  const r = await pool.query(
+    `SELECT id,name,scopes,path_prefixes,methods,expires_at,revoked_at FROM api_keys WHERE key_hash=$1`,
+    [h]
+  );
+  const row = r.rows[0];
+  const key = row && {
+    id: row.id,
+    name: row.name,
+    scopes: row.scopes,
+    pathPrefixes: row.path_prefixes,
+    methods: row.methods,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at
+  };
+  keyCache.set(h, { key, at: Date.now() });
+  if (key) {
+    pool.query(`UPDATE api_keys SET last_used_at=NOW() WHERE id=$1`, [key.id]).catch(() => {});
+  }
+  return key;
+}
+
+//-------------------------------------------------------------
+// Authorization checks
+//-------------------------------------------------------------
+// Express matches routes case-insensitively and with or without a trailing
+// slash, so /mirror/QUERY/ reaches the /mirror/query handler and has to need
+// its scope too
+export function requiredScope(rawPath) {
+  const path = String(rawPath).toLowerCase().replace(/\/{2,}/g, "/").replace(/(.)\/+$/, "$1");
+  if (PUBLIC_ROUTES.includes(path)) return null;
+  const hit = ROUTE_SCOPES.find(([prefix]) => path === prefix || path.startsWith(prefix + "/"));
+  return hit ? hit[1] : "admin";
+}
+
+export function hasScope(key, scope) {
+  return key.scopes.includes(scope) || key.scopes.includes("admin");
+}
+
+// The path (and query string) exactly as it will be fetched: dot segments
+// resolved the way fetch resolves them, so /api/jobs/../invoices is checked
+// as /api/invoices. null when it leaves the upstream host or still has a
+// ./.. segment once decoded (/api/jobs/..%2finvoices).
+const UPSTREAM_ORIGIN = "http://upstream.invalid";
+
+export function upstreamPath(raw) {
+  if (typeof raw !== "string" || !raw.startsWith("/")) return null;
+  let url, decoded;
+  try {
+    url = new URL(raw, UPSTREAM_ORIGIN);
+    decoded = decodeURIComponent(url.pathname);
+  } catch {
+    return null;
+  }
+  if (url.origin !== UPSTREAM_ORIGIN) return null;
+  if (decoded.split(/[/\\]/).some(s => s === "." || s === "..")) return null;
+  return url.pathname + url.search;
+}
+
+// May this key send `method path` upstream? `read` marks list queries sent as POST.
+export function canCall(key, { method, path: rawPath, read = false }) {
+  const path = upstreamPath(rawPath);
+  if (path == null) return `path ${rawPath} is not allowed`;
+  if (key.pathPrefixes.length && !key.pathPrefixes.some(p => path.startsWith(p))) {
+    return `path ${path} is outside this key's prefixes`;
+  }
+  if (key.methods.length && !key.methods.includes(method) && !(read && key.methods.includes("GET"))) {
+    return `method ${method} is not allowed for this key`;
+  }
+  return null;
+}
+
+export function authenticate(pool) {
+  return async (req, res, next) => {
+    const scope = requiredScope(req.path);
+    if (!scope) return next();
+    try {
+      const raw = presentedKey(req);
+      if (!raw) return res.status(401).json({ error: "missing_api_key" });
+
+      let key;
+      if (SHARED_SECRET && safeEqual(raw, SHARED_SECRET)) {
+        key = { id: null, name: "shared-secret", scopes: ["admin"], pathPrefixes: [], methods: [] };
+      } else {
+        key = await lookupKey(pool, raw);
+      }
+      if (!key) return res.status(401).json({ error: "invalid_api_key" });
+      if (key.revokedAt) return res.status(401).json({ error: "api_key_revoked" });
+      if (key.expiresAt && new Date(key.expiresAt) <= new Date()) {
+        return res.status(401).json({ error: "api_key_expired" });
+      }
+      if (!hasScope(key, scope)) {
+        return res.status(403).json({ error: "forbidden", detail: `key "${key.name}" lacks scope ${scope}` });
+      }
+      req.apiKey = key;
+      next();
+    } catch (e) {
+      console.error("auth error:", e);
+      res.status(500).json({ error: String(e) });
+    }
+  };
+}
+
+//-------------------------------------------------------------
+// CLI
+//-------------------------------------------------------------
+const list = v => (v ? String(v).split(",").map(s => s.trim()).filter(Boolean) : []);
+
+async function cli(argv) {
+  const { positionals, values } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      name: { type: "string" },
+      scopes: { type: "string" },
+      prefixes: { type: "string" },
+      methods: { type: "string" },
+      expires: { type: "string" }
+    }
+  });
+  const [command, target] = positionals;
+  const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+  try {
+    if (command === "create") {
+      const created = await createKey(pool, {
+        name: values.name,
+        scopes: list(values.scopes),
+        pathPrefixes: list(values.prefixes),
+        methods: list(values.methods),
+        expiresAt: values.expires ? new Date(values.expires).toISOString() : null
+      });
+      console.log(`✅ Created key #${created.id} (${created.name}). Store it now, it is not shown again:\n${created.key}`);
+    } else if (command === "list") {
+      console.table(await listKeys(pool));
+    } else if (command === "revoke") {
+      if (!target) throw new Error("revoke needs a key id or name");
+      console.log(`✅ Revoked ${await revokeKey(pool, target)} key(s)`);
+    } else {
+      throw new Error(`unknown command "${command ?? ""}" (expected create, list or revoke)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli(process.argv.slice(2)).catch(err => {
+    console.error("❌", err.message);
+    process.exit(1);
+  });
+}
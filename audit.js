@@ -0,0 +1,98 @@
+// audit.js — persistent log of every proxied Fulcrum call
+// ============================================================================
+// One proxy_audit row per /call: who (API key name), what (method, path,
+// query, body), and how it went (upstream status, latency, rows, cache).
+// Reads store a sha256 of the body; mutating calls store the body itself
+// with any field named in AUDIT_REDACT_FIELDS replaced by "[REDACTED]".
+// Rows older than AUDIT_RETENTION_DAYS are pruned hourly.
+// ============================================================================
+
+import crypto from "crypto";
+
+const REDACT_FIELDS = new Set(
+  (process.env.AUDIT_REDACT_FIELDS || "password,secret,token,apiKey,authorization,ssn,creditCard,cardNumber,bankAccount")
+    .split(",").map(f => f.trim().toLowerCase()).filter(Boolean)
+);
+const RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS || 90);
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+export function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+      [k, REDACT_FIELDS.has(k.toLowerCase()) ? "[REDACTED]" : redact(v)]
+    ));
+  }
+  return value;
+}
+
+// Row count of a proxied response, when it is a list
+export function rowsIn(data) {
+  if (Array.isArray(data)) return data.length;
+  if (Array.isArray(data?.items)) return data.items.length;
+  return null;
+}
+
+// Never throws: a failed audit write must not fail the proxied call
+export async function recordAudit(pool, e) {
+  const body = e.body === undefined ? null : e.body;
+  try {
+    await pool.query(
+      `INSERT INTO proxy_audit(caller,api_key_id,method,path,query,body_hash,body,status,latency_ms,rows_returned,cache,error)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
+      [
+        e.caller?.name ?? null,
+        e.caller?.id ?? null,
+        e.method ?? null,
+        e.path ?? null,
+        JSON.stringify(e.query ?? {}),
+        body == null ? null : crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex"),
+        e.mutating && body != null ? JSON.stringify(redact(body)) : null,
+        e.status ?? null,
+        e.latencyMs ?? null,
+        e.rows ?? null,
+        e.cache ?? null,
+        e.error ?? null
+      ]
+    );
+  } catch (err) {
+    console.error("audit write failed:", err.message);
+  }
+}
+
+// Filters: caller, path (prefix), from/to (timestamps), status; newest first.
+// Page with ?before=<id> from the last row of the previous page.
+export async function searchAudit(pool, { caller, path, from, to, status, before, limit } = {}) {
+  const where = [];
+  const params = [];
+  const add = (sql, v) => { params.push(v); where.push(sql.replace("?", `$${params.length}`)); };
+  if (caller) add("caller = ?", String(caller));
+  if (path)   add("path LIKE ?", String(path).replace(/[\\%_]/g, m => "\\" + m) + "%");
+  if (from)   add("at >= ?::timestamptz", String(from));
+  if (to)     add("at < ?::timestamptz", String(to));
+  if (status) add("status = ?", Number(status));
+  if (before) add("id < ?", Number(before));
+  const n = Math.max(1, Math.min(Number(limit) || 100, 1000));
+  const r = await pool.query(
+    `SELECT * FROM proxy_audit ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY id DESC LIMIT ${n}`,
+    params
+  );
+  return r.rows;
+}
+
+export async function pruneAudit(pool, days = RETENTION_DAYS) {
+  const r = await pool.query(
+    `DELETE FROM proxy_audit WHERE at < NOW() - make_interval(days => $1)`,
+    [Math.max(1, Math.floor(days))]
+  );
+  return r.rowCount;
+}
+
+export function startAuditPruning(pool) {
+  const run = () => pruneAudit(pool)
+    .then(n => n && console.log(`audit: pruned ${n} rows older than ${RETENTION_DAYS}d`))
+    .catch(e => console.error("audit prune failed:", e.message));
+  run();
+  setInterval(run, PRUNE_EVERY_MS).unref();
+}
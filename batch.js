@@ -0,0 +1,178 @@
+// batch.js — many /call operations in one request (POST /call/batch)
+// ============================================================================
+//   { "ops": [
+//       { "id": "job",   "method": "GET", "path": "/api/jobs/42" },
+//       { "id": "item",  "method": "GET", "path": "/api/items/{{ops.job.parentItemId}}" },
+//       { "id": "stock", "path": "/api/inventory/availableByItem", "method": "POST",
+//         "body": { "itemIds": ["{{ops.job.parentItemId}}"] } }
+//     ],
+//     "concurrency": 4, "stopOnError": false }
+// Each op takes the /call fields (path, method, query, headers, body,
+// autoPage; no streaming) and an optional id (default: its index).
+// "{{ops.<id>.<field>}}" is replaced by a field of that op's response data
+// ("{{ops.bom.0.componentItemId}}" for the first row of a list); a string that
+// is nothing but the reference keeps the value's type, inside a path the
+// value is URL-encoded. An op waits for the ops it references or lists in
+// "dependsOn"; the rest run in parallel, up to `concurrency` at a time
+// (default CALL_BATCH_CONCURRENCY), all through the upstream limiter.
+// An op whose dependency failed is skipped, and with stopOnError so is every
+// op not yet started after the first failure.
+//   → 200 { "ok": false, "results": [{ "id", "status", "data" | "error", "elapsedMs" },
+//                                    { "id", "status": null, "skipped": true, "error" }] }
+// Results come back in request order; ok is true when every op got a 2xx.
+// ============================================================================
+
+const MAX_OPS = Number(process.env.CALL_BATCH_MAX_OPS || 100);
+const DEFAULT_CONCURRENCY = Number(process.env.CALL_BATCH_CONCURRENCY || 4);
+const MAX_CONCURRENCY = 16;
+
+const REF = /\{\{\s*ops\.([\w-]+)((?:\.[^.{}\s]+)*)\s*\}\}/g;
+const WHOLE_REF = new RegExp(`^${REF.source}$`);
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+//-------------------------------------------------------------
+// References
+//-------------------------------------------------------------
+function refsIn(value, out = new Set()) {
+  if (typeof value === "string") for (const m of value.matchAll(REF)) out.add(m[1]);
+  else if (Array.isArray(value)) value.forEach(v => refsIn(v, out));
+  else if (value && typeof value === "object") Object.values(value).forEach(v => refsIn(v, out));
+  return out;
+}
+
+function lookup(results, id, fields) {
+  let v = results.get(id);
+  for (const f of fields.split(".").filter(Boolean)) v = v == null ? undefined : v[f];
+  if (v === undefined) throw badRequest(`{{ops.${id}${fields}}} is not in the response of op ${id}`);
+  return v;
+}
+
+// Copy of value with every reference replaced from results (id → data)
+function resolve(value, results, encode = false) {
+  if (typeof value === "string") {
+    const whole = value.match(WHOLE_REF);
+    if (whole && !encode) return lookup(results, whole[1], whole[2]);
+    return value.replace(REF, (_, id, fields) => {
+      const v = lookup(results, id, fields);
+      const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+      return encode ? encodeURIComponent(s) : s;
+    });
+  }
+  if (Array.isArray(value)) return value.map(v => resolve(v, results));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolve(v, results)]));
+  }
+  return value;
+}
+
+//-------------------------------------------------------------
+// Plan
+//-------------------------------------------------------------
+// request body → { ops: [{ ...op, id, deps }], concurrency, stopOnError }; throws 400s
+export function planBatch(body) {
+  const ops = Array.isArray(body) ? body : body?.ops;
+  if (!Array.isArray(ops) || !ops.length) throw badRequest("ops must be a non-empty array");
+  if (ops.length > MAX_OPS) throw badRequest(`at most ${MAX_OPS} ops per batch`);
+
+  const planned = ops.map((op, i) => {
+    if (!op || typeof op !== "object" || Array.isArray(op)) throw badRequest(`op ${i} must be an object`);
+    if (typeof op.path !== "string") throw badRequest(`op ${i} needs a path`);
+    if (op.dependsOn != null && !Array.isArray(op.dependsOn)) throw badRequest(`op ${i}: dependsOn must be an array`);
+    const id = op.id == null ? String(i) : String(op.id);
+    const { dependsOn = [], ...rest } = op;
+    return { ...rest, id, deps: [...new Set([...refsIn(rest), ...dependsOn.map(String)])] };
+  });
+
+  const byId = new Map();
+  for (const op of planned) {
+    if (byId.has(op.id)) throw badRequest(`duplicate op id "${op.id}"`);
+    byId.set(op.id, op);
+  }
+  for (const op of planned) {
+    const unknown = op.deps.find(d => !byId.has(d));
+    if (unknown) throw badRequest(`op ${op.id} depends on unknown op "${unknown}"`);
+  }
+  // depth-first search for a dependency cycle
+  const state = new Map();
+  const visit = op => {
+    state.set(op.id, 1);
+    for (const d of op.deps) {
+      if (state.get(d) === 1) throw badRequest(`ops ${op.id} and ${d} depend on each other`);
+      if (!state.has(d)) visit(byId.get(d));
+    }
+    state.set(op.id, 2);
+  };
+  planned.forEach(op => state.has(op.id) || visit(op));
+
+  const concurrency = body?.concurrency ?? DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw badRequest("concurrency must be a positive integer");
+  return { ops: planned, concurrency: Math.min(concurrency, MAX_CONCURRENCY), stopOnError: !!body?.stopOnError };
+}
+
+//-------------------------------------------------------------
+// Run
+//-------------------------------------------------------------
+const isOk = status => status >= 200 && status < 300;
+
+// execute(op with references resolved) → { status, data } or { status, error }
+export function runBatch({ ops, concurrency, stopOnError }, execute) {
+  const results = new Array(ops.length);
+  const data = new Map();
+  const done = new Set(), failed = new Set();
+  const pending = new Set(ops.keys());
+  let running = 0, stoppedBy = null;
+
+  const skip = (i, error) => {
+    results[i] = { id: ops[i].id, status: null, skipped: true, error };
+    failed.add(ops[i].id);
+    pending.delete(i);
+  };
+
+  async function run(i) {
+    const op = ops[i];
+    const started = Date.now();
+    let r;
+    try {
+      const { id, deps, ...call } = op;
+      r = await execute({ ...resolve(call, data), path: resolve(call.path, data, true) });
+    } catch (e) {
+      r = { status: e.status || 500, error: String(e.message || e) };
+    }
+    results[i] = { id: op.id, status: r.status, ...("error" in r ? { error: r.error } : { data: r.data }), elapsedMs: Date.now() - started };
+    if (isOk(r.status)) {
+      data.set(op.id, r.data);
+      done.add(op.id);
+    } else {
+      failed.add(op.id);
+      if (stopOnError && stoppedBy == null) stoppedBy = op.id;
+    }
+  }
+
+  return new Promise(resolveAll => {
+    const pump = () => {
+      // skipping one op can make others skippable, so go round until nothing changes
+      for (let changed = true; changed;) {
+        changed = false;
+        for (const i of pending) {
+          const op = ops[i];
+          const failedDep = op.deps.find(d => failed.has(d));
+          if (failedDep != null) { skip(i, `dependency ${failedDep} failed`); changed = true; continue; }
+          if (stoppedBy != null) { skip(i, `stopped after op ${stoppedBy} failed`); changed = true; continue; }
+          if (running >= concurrency || !op.deps.every(d => done.has(d))) continue;
+          pending.delete(i);
+          running++;
+          run(i).finally(() => { running--; pump(); });
+        }
+      }
+      if (!running && !pending.size) {
+        resolveAll({ ok: results.every(r => isOk(r.status)), results });
+      }
+    };
+    pump();
+  });
+}
@@ -0,0 +1,186 @@
+// catalog.js — Fulcrum swagger → compact catalog served at /schema
+// ============================================================================
+// The catalog lists every operation with what the mirror needs to know about
+// it (list or not, sync mode, which model it returns) plus the enums and a
+// trimmed description of every object schema ("models"), so consumers never
+// have to walk the raw swagger document themselves.
+// ============================================================================
+
+import { fetchPage, FULCRUM_BASE_URL } from "./upstream.js";
+import { saveSnapshot } from "./schemaDiff.js";
+
+const FULCRUM_TOKEN = process.env.FULCRUM_TOKEN || "";
+const { Headers } = globalThis;
+
+let SCHEMA_CACHE = null;
+let SCHEMA_CACHE_AT = 0;
+const SCHEMA_TTL_MS = 24 * 60 * 60 * 1000;
+
+async function fetchSwagger() {
+  const { status, data } = await fetchPage({
+    url: `${FULCRUM_BASE_URL}/swagger/v1/swagger.json`,
+    methodUp: "GET",
+    headers: new Headers({ Authorization: `Bearer ${FULCRUM_TOKEN}` })
+  });
+  if (status < 200 || status >= 300) throw new Error(`Swagger fetch failed: ${status}`);
+  return data;
+}
+
+export function resolveRef(sw, sch) {
+  const seen = new Set();
+  while (sch?.$ref && !seen.has(sch.$ref)) {
+    seen.add(sch.$ref);
+    sch = sch.$ref.replace(/^#\//, "").split("/").reduce((o, k) => o?.[k], sw);
+  }
+  return sch || {};
+}
+
+const refName = sch => sch?.$ref?.split("/").pop() || null;
+
+// Filterable fields of an operation: request body properties plus query params
+function requestFields(sw, def) {
+  const fields = [];
+  const content = def?.requestBody?.content || {};
+  const body = resolveRef(sw, (content["application/json"] || Object.values(content)[0])?.schema);
+  for (const part of [body, ...(body.allOf || []).map(s => resolveRef(sw, s))]) {
+    fields.push(...Object.keys(part.properties || {}));
+  }
+  for (const p of def?.parameters || []) {
+    const param = resolveRef(sw, p);
+    if (param.in === "query" && param.name) fields.push(param.name);
+  }
+  return fields;
+}
+
+// How the mirror should pull an operation: incremental on a date filter
+// (preferring one on the update timestamp) or a full refresh every run
+function syncMode(fields) {
+  const updated = fields.find(f => /^(updated|modified|lastModified|lastUpdated)\w*(from|after|since|start)$/i.test(f));
+  const created = fields.find(f => /^(date|created)\w*(from|after|since|start)$/i.test(f));
+  if (updated) return { mode: "incremental", dateFilter: updated, sortField: "UpdatedUtc" };
+  if (created) return { mode: "incremental", dateFilter: created, sortField: "CreatedUtc" };
+  return { mode: "full", dateFilter: null, sortField: "CreatedUtc" };
+}
+
+//-------------------------------------------------------------
+// Models
+//-------------------------------------------------------------
+// One property → { type, format?, nullable?, enum?: "EnumName", values?: [...],
+//                  ref?: "Model", items?: <descriptor> }
+function describe(sw, sch = {}) {
+  // nullable references are commonly spelled { allOf: [{ $ref }], nullable: true }
+  if (!sch.$ref && Array.isArray(sch.allOf) && sch.allOf.length === 1) {
+    return { ...describe(sw, sch.allOf[0]), ...(sch.nullable ? { nullable: true } : {}) };
+  }
+  const ref = refName(sch);
+  const target = resolveRef(sw, sch);
+  if (Array.isArray(target.enum)) {
+    return { type: target.type || "string", ...(ref ? { enum: ref } : { values: target.enum }) };
+  }
+  if (target.type === "array") return { type: "array", items: describe(sw, target.items || {}) };
+  if (ref && (target.properties || target.allOf)) return { type: "object", ref };
+  const d = { type: target.type || (target.properties ? "object" : "string") };
+  if (target.format) d.format = target.format;
+  if (sch.nullable || target.nullable) d.nullable = true;
+  return d;
+}
+
+function compileModels(sw) {
+  const models = {};
+  for (const [name, sch] of Object.entries(sw.components?.schemas || {})) {
+    const parts = [sch, ...(sch?.allOf || []).map(s => resolveRef(sw, s))];
+    const props = Object.assign({}, ...parts.map(p => p?.properties || {}));
+    if (!Object.keys(props).length) continue;
+    models[name] = {
+      required: [...new Set(parts.flatMap(p => p?.required || []))],
+      fields: Object.fromEntries(Object.entries(props).map(([k, v]) => [k, describe(sw, v)]))
+    };
+  }
+  return models;
+}
+
+// Model of the records an operation returns: the element type for arrays
+// and for paged envelopes like { items: [...], totalCount }
+function responseModel(sw, def) {
+  const resp = def?.responses?.["200"] || def?.responses?.["201"] || def?.responses?.default;
+  const content = resolveRef(sw, resp)?.content || {};
+  let sch = (content["application/json"] || content["text/json"] || Object.values(content)[0])?.schema;
+  for (let depth = 0; sch && depth < 4; depth++) {
+    const t = resolveRef(sw, sch);
+    if (t.type === "array") { sch = t.items; continue; }
+    const props = t.properties || {};
+    const isEnvelope = /(page|paged|list|result|response)/i.test(refName(sch) || "")
+      || ["total", "totalCount", "count", "totalRecords"].some(k => k in props);
+    const wrapper = isEnvelope && ["items", "data", "results", "records"]
+      .find(k => resolveRef(sw, props[k]).type === "array");
+    if (wrapper) { sch = props[wrapper]; continue; }
+    return refName(sch);
+  }
+  return null;
+}
+
+// Model an operation takes as its JSON body, for validating writes
+function requestModel(sw, def) {
+  const content = resolveRef(sw, def?.requestBody)?.content || {};
+  const sch = (content["application/json"] || content["text/json"] || Object.values(content)[0])?.schema;
+  return refName(!sch?.$ref && sch?.allOf?.length === 1 ? sch.allOf[0] : sch);
+}
+
+//-------------------------------------------------------------
+// Catalog
+//-------------------------------------------------------------
+export function compileCatalog(sw) {
+  const catalog = { resources: [], enums: {}, version: sw.info?.version || "unknown", hints: {}, models: {} };
+  const schemas = sw.components?.schemas || {};
+  for (const [name, sch] of Object.entries(schemas)) {
+    if (Array.isArray(sch?.enum)) catalog.enums[name] = sch.enum;
+  }
+  catalog.models = compileModels(sw);
+  const paths = sw.paths || {};
+  for (const [p, ops] of Object.entries(paths)) {
+    for (const [m, def] of Object.entries(ops)) {
+      const seg = p.split("/").filter(Boolean);
+      const fields = requestFields(sw, def);
+      catalog.resources.push({
+        resource: seg[1] || "root",
+        op: {
+          path: p,
+          method: (m || "").toUpperCase(),
+          summary: def?.summary || "",
+          isList: /\/list$/.test(p),
+          acceptsBody: !!def?.requestBody,
+          requestFields: fields,
+          requestModel: requestModel(sw, def),
+          sync: syncMode(fields),
+          responseModel: responseModel(sw, def)
+        }
+      });
+    }
+  }
+  catalog.hints = {
+    jobs: { prefer: ["/api/jobs/list", "/api/work-orders/list", "/api/production-jobs/list"] },
+    inventory: {
+      availability: "/api/inventory/availableByItem",
+      byItem: "/api/inventory/byItem",
+      transactions: "/api/inventory-transactions/list",
+      lots: "/api/inventory-lots/list"
+    },
+    items: { list: "/api/items/list/v2" },
+    invoices: { list: "/api/invoices/list" },
+    customers: { list: "/api/customers/list" }
+  };
+  return catalog;
+}
+
+// With a pool, every freshly compiled catalog is kept as a snapshot of its version
+export async function getCatalog(pool = null) {
+  const now = Date.now();
+  if (SCHEMA_CACHE && now - SCHEMA_CACHE_AT < SCHEMA_TTL_MS) return SCHEMA_CACHE;
+  const sw = await fetchSwagger();
+  SCHEMA_CACHE = compileCatalog(sw);
+  SCHEMA_CACHE_AT = now;
+  if (pool) {
+    await saveSnapshot(pool, SCHEMA_CACHE).catch(e => console.warn("schema snapshot not saved:", e.message));
+  }
+  return SCHEMA_CACHE;
+}
@@ -0,0 +1,186 @@
+// changeFeed.js — live mirror change events
+// ============================================================================
+// Every row the sync or the webhook receiver creates, updates or tombstones
+// is recorded in mirror_changes with its payload before and after. Inserting
+// there fires pg_notify('mirror_changes'); each server process LISTENs, reads
+// the new rows and hands them to in-process subscribers (the SSE stream at
+// /mirror/changes). Outbound webhooks are queued by the same insert, see
+// changeSubscriptions.js.
+// Filters: resources are mirror tables or their prefixes ("jobs" → jobs_list,
+// jobs_operations_list); fields only narrow updates, to those changing one of
+// the named top-level payload fields; actions are created | updated | deleted.
+// Changes older than MIRROR_CHANGES_RETENTION_DAYS are pruned hourly.
+// ============================================================================
+
+const RETENTION_DAYS = Number(process.env.MIRROR_CHANGES_RETENTION_DAYS || 14);
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+const POLL_MS = 10_000;
+const RECONNECT_MS = 5_000;
+const ACTIONS = ["created", "updated", "deleted"];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+//-------------------------------------------------------------
+// Filters and events
+//-------------------------------------------------------------
+const list = v => (Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [])
+  .map(s => String(s).trim()).filter(Boolean);
+
+// → { resources, fields, actions } with resources as table names / prefixes
+export function normalizeFilter({ resources, fields, actions } = {}) {
+  const filter = {
+    resources: list(resources).map(r => r.replace(/^\/api\//, "").replace(/[^a-zA-Z0-9_]/g, "_").toLowerCase()),
+    fields: list(fields).map(f => f.split(".")[0]),
+    actions: list(actions).map(a => a.toLowerCase())
+  };
+  const bad = filter.actions.find(a => !ACTIONS.includes(a));
+  if (bad) throw badRequest(`unknown action "${bad}" (expected ${ACTIONS.join(", ")})`);
+  return filter;
+}
+
+// same rules as the fan-out trigger in migrations/010_mirror_changes.sql
+export function matchesChange(filter, c) {
+  if (filter.resources.length
+      && !filter.resources.some(r => c.resource === r || c.resource.startsWith(`${r}_`))) return false;
+  if (filter.actions.length && !filter.actions.includes(c.action)) return false;
+  if (filter.fields.length && c.action === "updated"
+      && !filter.fields.some(f => (c.changedFields || []).includes(f))) return false;
+  return true;
+}
+
+// mirror_changes row → the event sent to SSE clients and webhook subscribers
+export function changeEvent(row) {
+  const changedFields = row.changed_fields || [];
+  const event = {
+    id: Number(row.id),
+    resource: row.resource,
+    recordId: row.record_id,
+    action: row.action,
+    changedAt: row.changed_at,
+    changedFields,
+    record: row.action === "deleted" ? row.before : row.after
+  };
+  if (row.action === "updated") {
+    event.diff = Object.fromEntries(changedFields.map(f => [f, { before: row.before?.[f], after: row.after?.[f] }]));
+  }
+  return event;
+}
+
+// Matching events after a change id, oldest first
+export async function changesSince(db, afterId, filter, limit = 500) {
+  const r = await db.query(
+    `SELECT * FROM mirror_changes
+     WHERE id > $1
+       AND ($2::text[] = '{}' OR EXISTS (
+             SELECT 1 FROM unnest($2::text[]) AS r(term)
+             WHERE resource = r.term OR starts_with(resource, r.term || '_')))
+       AND ($3::text[] = '{}' OR action = ANY($3))
+       AND ($4::text[] = '{}' OR action <> 'updated' OR changed_fields && $4)
+     ORDER BY id LIMIT $5`,
+    [afterId, filter.resources, filter.actions, filter.fields, limit]
+  );
+  return r.rows.map(changeEvent);
+}
+
+//-------------------------------------------------------------
+// In-process subscribers
+//-------------------------------------------------------------
+const listeners = new Set();
+let lastId = null;
+
+// fn(event) for every new change matching filter; returns the unsubscribe
+export function subscribeChanges(filter, fn) {
+  const l = { filter, fn };
+  listeners.add(l);
+  return () => listeners.delete(l);
+}
+
+function dispatch(event) {
+  for (const l of listeners) {
+    if (!matchesChange(l.filter, event)) continue;
+    try { l.fn(event); }
+    catch (e) { console.error("change listener failed:", e.message); }
+  }
+}
+
+//-------------------------------------------------------------
+// LISTEN loop
+//-------------------------------------------------------------
+export async function pruneChanges(pool, days = RETENTION_DAYS) {
+  const r = await pool.query(
+    `DELETE FROM mirror_changes WHERE changed_at < NOW() - make_interval(days => $1)`,
+    [Math.max(1, Math.floor(days))]
+  );
+  return r.rowCount;
+}
+
+export function startChangeFeed(pool) {
+  let pulling = null;
+  let again = false;
+
+  async function pull() {
+    if (lastId == null) {
+      lastId = Number((await pool.query(`SELECT COALESCE(MAX(id), 0) AS id FROM mirror_changes`)).rows[0].id);
+    }
+    // nobody is listening: just move past what was written
+    if (!listeners.size) {
+      lastId = Number((await pool.query(
+        `SELECT COALESCE(MAX(id), $1) AS id FROM mirror_changes`, [lastId]
+      )).rows[0].id);
+      return;
+    }
+    const all = normalizeFilter();
+    for (;;) {
+      const events = await changesSince(pool, lastId, all);
+      for (const ev of events) {
+        lastId = ev.id;
+        dispatch(ev);
+      }
+      if (events.length < 500) return;
+    }
+  }
+
+  // one pull at a time; a notification during a pull triggers another
+  function wake() {
+    if (pulling) { again = true; return; }
+    pulling = pull()
+      .catch(e => console.error("change feed pull failed:", e.message))
+      .finally(() => {
+        pulling = null;
+        if (again) { again = false; wake(); }
+      });
+  }
+
+  async function listen() {
+    let client;
+    try {
+      client = await pool.connect();
+      client.on("notification", wake);
+      client.on("error", e => {
+        console.error("change feed connection lost:", e.message);
+        client.release(e);
+        setTimeout(listen, RECONNECT_MS).unref();
+      });
+      await client.query("LISTEN mirror_changes");
+      wake();
+    } catch (e) {
+      console.error("change feed LISTEN failed:", e.message);
+      client?.release(e);
+      setTimeout(listen, RECONNECT_MS).unref();
+    }
+  }
+
+  listen();
+  // notifications are lost while reconnecting
+  setInterval(wake, POLL_MS).unref();
+
+  const prune = () => pruneChanges(pool)
+    .then(n => n && console.log(`changes: pruned ${n} rows older than ${RETENTION_DAYS}d`))
+    .catch(e => console.error("change prune failed:", e.message));
+  prune();
+  setInterval(prune, PRUNE_EVERY_MS).unref();
+}
@@ -0,0 +1,219 @@
+// changeSubscriptions.js — outbound webhooks for mirror changes
+// ============================================================================
+// A subscription POSTs every matching change event (see changeFeed.js) to
+// its URL:
+//   POST /admin/subscriptions
+//   { "name": "mes", "url": "https://mes.local/hooks/fulcrum",
+//     "resources": ["jobs"], "fields": ["status", "dueDate"], "actions": ["created", "updated"] }
+// The signing secret is generated unless given and only returned on create.
+// Each delivery is signed like the inbound Fulcrum webhooks:
+//   X-Mirror-Signature: sha256=<hex hmac-sha256 of the body>
+//   X-Mirror-Event: <change id>        X-Mirror-Delivery: <delivery id>
+// The insert into mirror_changes queues a delivery per matching subscription
+// in the same transaction, so nothing is lost while the server is down.
+// Delivery is at least once; failures back off exponentially (30s doubling,
+// capped at 6h) and after CHANGE_DELIVERY_MAX_ATTEMPTS the delivery is dead
+// until POST /admin/subscriptions/:id/retry requeues it. A subscription
+// PATCHed to active: false queues nothing new, and what it already queued
+// stays pending until it's reactivated.
+// ============================================================================
+
+import crypto from "crypto";
+import { normalizeFilter, changeEvent } from "./changeFeed.js";
+import { sign } from "./webhooks.js";
+
+const { fetch } = globalThis;
+
+const MAX_ATTEMPTS = Number(process.env.CHANGE_DELIVERY_MAX_ATTEMPTS || 10);
+const TIMEOUT_MS = 10_000;
+const POLL_MS = 5_000;
+const BATCH = 50;
+// a claimed delivery is invisible to other instances for this long
+const LEASE_SECONDS = 120;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+const COLUMNS = "id, name, url, resources, fields, actions, active, created_at";
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function checkUrl(url) {
+  let u;
+  try { u = new URL(url); }
+  catch { throw badRequest(`invalid url "${url}"`); }
+  if (!["http:", "https:"].includes(u.protocol)) throw badRequest("url must be http or https");
+  return u.toString();
+}
+
+//-------------------------------------------------------------
+// Subscriptions
+//-------------------------------------------------------------
+export async function listSubscriptions(db) {
+  const r = await db.query(
+    `SELECT ${COLUMNS},
+       (SELECT COUNT(*)::int FROM change_deliveries d WHERE d.subscription_id=s.id AND d.status='pending') AS pending,
+       (SELECT COUNT(*)::int FROM change_deliveries d WHERE d.subscription_id=s.id AND d.status='dead') AS dead
+     FROM change_subscriptions s ORDER BY id`
+  );
+  return r.rows;
+}
+
+export async function createSubscription(db, { name, url, secret, resources, fields, actions } = {}) {
+  if (!name || !url) throw badRequest("name and url are required");
+  const filter = normalizeFilter({ resources, fields, actions });
+  const key = secret || crypto.randomBytes(24).toString("hex");
+  const r = await db.query(
+    `INSERT INTO change_subscriptions(name,url,secret,resources,fields,actions)
+     VALUES ($1,$2,$3,$4,$5,$6) RETURNING ${COLUMNS}`,
+    [String(name), checkUrl(url), key, filter.resources, filter.fields, filter.actions]
+  );
+  return { ...r.rows[0], secret: key };
+}
+
+// patch: any of name, url, resources, fields, actions, active
+export async function updateSubscription(db, id, patch = {}) {
+  const sets = [], params = [];
+  const set = (col, v) => { params.push(v); sets.push(`${col}=$${params.length}`); };
+  if (patch.name != null) set("name", String(patch.name));
+  if (patch.url != null) set("url", checkUrl(patch.url));
+  if (patch.active != null) set("active", !!patch.active);
+  const filter = normalizeFilter(patch);
+  for (const k of ["resources", "fields", "actions"]) if (patch[k] != null) set(k, filter[k]);
+  if (!sets.length) throw badRequest("nothing to update");
+  params.push(Number(id));
+  const r = await db.query(
+    `UPDATE change_subscriptions SET ${sets.join(", ")} WHERE id=$${params.length} RETURNING ${COLUMNS}`, params
+  );
+  return r.rows[0] || null;
+}
+
+export async function deleteSubscription(db, id) {
+  const r = await db.query(`DELETE FROM change_subscriptions WHERE id=$1`, [Number(id)]);
+  return r.rowCount > 0;
+}
+
+//-------------------------------------------------------------
+// Deliveries
+//-------------------------------------------------------------
+export async function listDeliveries(db, subscriptionId, { status = null, limit = 100 } = {}) {
+  const r = await db.query(
+    `SELECT d.id, d.change_id, c.resource, c.record_id, c.action, d.status, d.attempts,
+            d.next_attempt_at, d.last_status, d.last_error, d.delivered_at
+     FROM change_deliveries d JOIN mirror_changes c ON c.id = d.change_id
+     WHERE d.subscription_id=$1 AND ($2::text IS NULL OR d.status=$2)
+     ORDER BY d.id DESC LIMIT $3`,
+    [Number(subscriptionId), status, Math.max(1, Math.min(Number(limit) || 100, 1000))]
+  );
+  return r.rows;
+}
+
+// dead deliveries (or the given ids) go back to pending with a fresh attempt count
+export async function retryDeliveries(db, subscriptionId, { ids = null } = {}) {
+  const r = await db.query(
+    `UPDATE change_deliveries SET status='pending', attempts=0, next_attempt_at=NOW()
+     WHERE subscription_id=$1 AND status <> 'delivered'
+       AND ($2::bigint[] IS NULL OR id = ANY($2)) AND ($2::bigint[] IS NOT NULL OR status='dead')`,
+    [Number(subscriptionId), Array.isArray(ids) ? ids.map(Number) : null]
+  );
+  return r.rowCount;
+}
+
+const backoffSeconds = attempts => Math.min(30 * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_SECONDS);
+
+async function deliver(pool, d, sub, change) {
+  const body = JSON.stringify({ subscription: sub.name, ...changeEvent(change) });
+  let status = null, error = null;
+  try {
+    const r = await fetch(sub.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "fulcrum-proxy/1.0",
+        "X-Mirror-Signature": sign(body, sub.secret),
+        "X-Mirror-Event": String(change.id),
+        "X-Mirror-Delivery": String(d.id)
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    status = r.status;
+    if (!r.ok) error = `HTTP ${r.status}: ${(await r.text()).slice(0, 200)}`;
+  } catch (e) {
+    error = String(e.message || e);
+  }
+  if (!error) {
+    await pool.query(
+      `UPDATE change_deliveries SET status='delivered', delivered_at=NOW(), last_status=$2, last_error=NULL WHERE id=$1`,
+      [d.id, status]
+    );
+    return;
+  }
+  await pool.query(
+    `UPDATE change_deliveries
+     SET status = CASE WHEN attempts >= $4 THEN 'dead' ELSE 'pending' END,
+         next_attempt_at = NOW() + make_interval(secs => $5), last_status=$2, last_error=$3
+     WHERE id=$1`,
+    [d.id, status, error, MAX_ATTEMPTS, backoffSeconds(d.attempts)]
+  );
+}
+
+// Claims due deliveries of active subscriptions (safe across instances) and
+// sends them; subscriptions in parallel, each one's deliveries in change order
+export async function deliverDue(pool) {
+  const due = (await pool.query(
+    `UPDATE change_deliveries d
+     SET attempts = d.attempts + 1, next_attempt_at = NOW() + make_interval(secs => $2)
+     WHERE d.id IN (
+       SELECT p.id FROM change_deliveries p
+       WHERE p.status='pending' AND p.next_attempt_at <= NOW()
+         AND EXISTS (SELECT 1 FROM change_subscriptions s WHERE s.id = p.subscription_id AND s.active)
+       ORDER BY p.id LIMIT $1 FOR UPDATE OF p SKIP LOCKED
+     )
+     RETURNING d.id, d.subscription_id, d.change_id, d.attempts`,
+    [BATCH, LEASE_SECONDS]
+  )).rows;
+  if (!due.length) return 0;
+
+  const subs = new Map((await pool.query(
+    `SELECT id, name, url, secret FROM change_subscriptions WHERE id = ANY($1::bigint[])`,
+    [[...new Set(due.map(d => d.subscription_id))]]
+  )).rows.map(s => [String(s.id), s]));
+  const changes = new Map((await pool.query(
+    `SELECT * FROM mirror_changes WHERE id = ANY($1::bigint[])`, [due.map(d => d.change_id)]
+  )).rows.map(c => [String(c.id), c]));
+
+  const bySub = new Map();
+  for (const d of due.sort((a, b) => Number(a.change_id) - Number(b.change_id))) {
+    const key = String(d.subscription_id);
+    if (!bySub.has(key)) bySub.set(key, []);
+    bySub.get(key).push(d);
+  }
+  await Promise.all([...bySub].map(async ([subId, ds]) => {
+    for (const d of ds) {
+      const change = changes.get(String(d.change_id));
+      if (subs.has(subId) && change) await deliver(pool, d, subs.get(subId), change);
+    }
+  }));
+  return due.length;
+}
+
+export function startDeliveries(pool) {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      // a full batch means more may be due
+      let sent;
+      do sent = await deliverDue(pool); while (sent === BATCH);
+    } catch (e) {
+      console.error("change delivery failed:", e.message);
+    } finally {
+      running = false;
+    }
+  };
+  run();
+  setInterval(run, POLL_MS).unref();
+}
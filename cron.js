@@ -0,0 +1,77 @@
+// cron.js — minimal five-field cron expressions
+// ============================================================================
+//   minute hour day-of-month month day-of-week
+// Each field takes *, a number, a range (1-5), a step (*/15, 0-30/5) or a
+// comma list of those. Day-of-week is 0-6 with 0 = Sunday (7 works too).
+// As in classic cron, when both day fields are restricted a day matching
+// either one fires. Times are evaluated in the server's local time zone.
+// ============================================================================
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 }
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`invalid cron ${name}: "${part}"`);
+    const from = m[1] === "*" ? min : Number(m[2]);
+    const to = m[1] === "*" ? max : m[3] != null ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`invalid cron ${name}: "${part}"`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+export function parseCron(expr) {
+  const parts = String(expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron expression needs 5 fields: "${expr}"`);
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  return {
+    expr: parts.join(" "),
+    minute, hour, dayOfMonth, month, dayOfWeek,
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*"
+  };
+}
+
+function dayMatches(cron, d) {
+  const dom = cron.dayOfMonth.has(d.getDate());
+  const dow = cron.dayOfWeek.has(d.getDay());
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+// First matching minute strictly after `after`; null if none within a year
+// (e.g. "0 0 31 2 *")
+export function nextRun(cron, after = new Date()) {
+  const d = new Date(after);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = after.getTime() + 366 * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0);
+    } else if (!dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0);
+    } else if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0);
+    } else if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,231 @@
+// exportFormats.js — CSV, XLSX and Parquet output for row-returning routes
+// ============================================================================
+// /mirror/:resource, /mirror/query and /call answer with a file instead of
+// JSON when asked for one, by ?format= (or "format" in a JSON body) or Accept:
+//   csv      text/csv
+//   xlsx     application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
+//   parquet  application/vnd.apache.parquet
+// Nested objects become dotted columns ({ customer: { name } } → customer.name);
+// arrays are written as JSON text. columns=number,customer.name,dueDate picks
+// the columns and their order; without it they are the keys of the first
+// batch of rows, so a key that only shows up later is left out. Rows are
+// written batch by batch as they are read, never all held at once. Parquet
+// column types come from the first batch too (numbers → DOUBLE, booleans →
+// BOOLEAN, dates → TIMESTAMP_MILLIS, anything else UTF8); later values that
+// don't fit are written as null.
+// ============================================================================
+
+import ExcelJS from "exceljs";
+import parquet from "@dsnp/parquetjs";
+import { csvCell } from "./reports.js";
+
+export const EXPORT_MAX_ROWS = Number(process.env.EXPORT_MAX_ROWS || 1_000_000);
+
+export const FORMATS = {
+  csv: { type: "text/csv; charset=utf-8" },
+  xlsx: { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  parquet: { type: "application/vnd.apache.parquet" }
+};
+
+const ACCEPT = [
+  [/text\/csv/i, "csv"],
+  [/spreadsheetml\.sheet/i, "xlsx"],
+  [/parquet/i, "parquet"]
+];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+//-------------------------------------------------------------
+// Request options
+//-------------------------------------------------------------
+// → "csv" | "xlsx" | "parquet", or null for JSON; throws a 400 on an unknown format
+export function exportFormat(req, body = {}) {
+  const asked = body?.format ?? req.query.format;
+  if (asked != null && asked !== "") {
+    const f = String(asked).toLowerCase();
+    if (f === "json") return null;
+    if (!FORMATS[f]) throw badRequest(`format must be json, ${Object.keys(FORMATS).join(", ")}`);
+    return f;
+  }
+  const accept = req.get("accept") || "";
+  return ACCEPT.find(([re]) => re.test(accept))?.[1] ?? null;
+}
+
+// "a,b.c" or ["a", "b.c"] → ["a", "b.c"], or null for the default
+export function exportColumns(spec) {
+  if (spec == null || spec === "") return null;
+  const cols = (Array.isArray(spec) ? spec : String(spec).split(",")).map(c => String(c).trim()).filter(Boolean);
+  if (!cols.length) return null;
+  if (new Set(cols).size !== cols.length) throw badRequest("columns must not repeat");
+  return cols;
+}
+
+//-------------------------------------------------------------
+// Rows
+//-------------------------------------------------------------
+const isPlainObject = v => v != null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date) && !Buffer.isBuffer(v);
+
+export function flattenRow(row, prefix = "", out = {}) {
+  if (!isPlainObject(row)) {
+    out[prefix || "value"] = row;
+    return out;
+  }
+  for (const [k, v] of Object.entries(row)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (isPlainObject(v) && Object.keys(v).length) flattenRow(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+function columnsOf(rows) {
+  const cols = new Set();
+  rows.forEach(r => Object.keys(r).forEach(k => cols.add(k)));
+  return [...cols];
+}
+
+const text = v => (v == null ? null : v instanceof Date ? v.toISOString() : typeof v === "object" ? JSON.stringify(v) : String(v));
+
+//-------------------------------------------------------------
+// Writers
+//-------------------------------------------------------------
+// Waits for the stream to drain before the next batch
+const drained = out => (out.writableNeedDrain
+  ? new Promise(resolve => { out.once("drain", resolve); out.once("close", resolve); })
+  : null);
+
+function csvWriter(out, columns) {
+  out.write(columns.map(csvCell).join(",") + "\r\n");
+  return {
+    async write(rows) {
+      out.write(rows.map(r => columns.map(c => csvCell(r[c])).join(",") + "\r\n").join(""));
+      await drained(out);
+    },
+    async end() { out.end(); }
+  };
+}
+
+function xlsxWriter(out, columns, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, "_").slice(0, 31) || "export");
+  sheet.addRow(columns).commit();
+  return {
+    async write(rows) {
+      for (const r of rows) {
+        sheet.addRow(columns.map(c => {
+          const v = r[c];
+          return v == null ? null : v instanceof Date || typeof v === "number" || typeof v === "boolean" ? v : text(v);
+        })).commit();
+      }
+      await drained(out);
+    },
+    async end() {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+const PARQUET_TYPES = {
+  DOUBLE: v => (typeof v === "number" ? v : Number.isFinite(Number(v)) && v !== "" && typeof v !== "boolean" ? Number(v) : null),
+  BOOLEAN: v => (typeof v === "boolean" ? v : null),
+  TIMESTAMP_MILLIS: v => { const d = v instanceof Date ? v : new Date(v); return isNaN(d) ? null : d; },
+  UTF8: text
+};
+
+function parquetType(rows, column) {
+  const values = rows.map(r => r[column]).filter(v => v != null);
+  if (!values.length) return "UTF8";
+  if (values.every(v => typeof v === "number")) return "DOUBLE";
+  if (values.every(v => typeof v === "boolean")) return "BOOLEAN";
+  if (values.every(v => v instanceof Date)) return "TIMESTAMP_MILLIS";
+  return "UTF8";
+}
+
+async function parquetWriter(out, columns, sample) {
+  // a file needs at least one column, even for an empty result
+  if (!columns.length) columns = ["value"];
+  const types = Object.fromEntries(columns.map(c => [c, parquetType(sample, c)]));
+  const schema = new parquet.ParquetSchema(
+    Object.fromEntries(columns.map(c => [c, { type: types[c], optional: true }]))
+  );
+  const writer = await parquet.ParquetWriter.openStream(schema, out);
+  return {
+    async write(rows) {
+      for (const r of rows) {
+        const row = {};
+        for (const c of columns) {
+          const v = r[c] == null ? null : PARQUET_TYPES[types[c]](r[c]);
+          if (v != null) row[c] = v;
+        }
+        await writer.appendRow(row);
+      }
+      await drained(out);
+    },
+    async end() { await writer.close(); }
+  };
+}
+
+//-------------------------------------------------------------
+// Export
+//-------------------------------------------------------------
+// Writes batches (an iterable or async iterable of row arrays) to out and
+// ends it → rows written. The first batch is read before anything is
+// written, and onStart runs then, so an error up to there leaves out untouched.
+export async function writeExport(out, format, batches, { columns = null, name = "export", onStart = () => {} } = {}) {
+  const it = batches[Symbol.asyncIterator]?.() ?? batches[Symbol.iterator]();
+  let next = await it.next();
+  let rows = 0;
+  try {
+    onStart();
+    let batch = next.done ? [] : next.value.map(r => flattenRow(r));
+    const cols = columns || columnsOf(batch);
+    const writer = format === "csv" ? csvWriter(out, cols)
+                 : format === "xlsx" ? xlsxWriter(out, cols, name)
+                 : await parquetWriter(out, cols, batch);
+    while (!out.destroyed) {
+      if (batch.length) {
+        await writer.write(batch);
+        rows += batch.length;
+      }
+      if (next.done) break;
+      next = await it.next();
+      batch = next.done ? [] : next.value.map(r => flattenRow(r));
+    }
+    if (!out.destroyed) await writer.end();
+    return rows;
+  } finally {
+    // stopped early: let the source release its cursor
+    if (!next.done) await it.return?.();
+  }
+}
+
+// writeExport to an HTTP response as an attachment → { rows, error }.
+// Errors before the first batch throw as usual; after it the response is
+// already underway, so it's cut off instead.
+export async function sendExport(res, format, batches, { name, columns = null }) {
+  let started = false;
+  try {
+    const rows = await writeExport(res, format, batches, {
+      columns,
+      name,
+      onStart: () => {
+        started = true;
+        res.status(200).set({
+          "Content-Type": FORMATS[format].type,
+          "Content-Disposition": `attachment; filename="${name}.${format}"`
+        });
+      }
+    });
+    return { rows, error: null };
+  } catch (e) {
+    if (!started) throw e;
+    console.error(`${format} export of ${name} failed midway:`, e);
+    res.destroy(e);
+    return { rows: null, error: e };
+  }
+}
@@ -0,0 +1,146 @@
+// exportSchedule.js — scheduled exports to files in EXPORT_DIR
+// ============================================================================
+// EXPORT_SCHEDULE names exports of a mirror table (query: the /mirror/:resource
+// parameters as an object) or of a read-only SQL query, each on a cron:
+//   EXPORT_SCHEDULE='{"open-jobs":{"cron":"0 6 * * 1-5","resource":"jobs_list","format":"xlsx",
+//                                  "query":{"status":"InProgress","sort":"dueDate"},
+//                                  "columns":"number,dueDate,parentItemId"},
+//                     "shortages":{"cron":"30 6 * * *","sql":"SELECT * FROM job_component_shortages"}}'
+// Each run writes EXPORT_DIR/<name>-<YYYY-MM-DD>T<HHmm>.<format> (local
+// time; csv unless format says otherwise) to a .partial file first and
+// renames it when complete, so whatever picks the files up never sees half
+// of one. A run that is still going when the next is due makes that one
+// skip. GET /admin/exports shows the schedule and the last run of each,
+// POST /admin/exports/:name runs one now.
+// ============================================================================
+
+import fs from "fs";
+import path from "path";
+import { parseCron, nextRun } from "./cron.js";
+import { listQuery, projectedBatches } from "./mirrorRoutes.js";
+import { queryBatches, streamReadOnlyQuery } from "./sqlGuard.js";
+import { FORMATS, EXPORT_MAX_ROWS, exportColumns, writeExport } from "./exportFormats.js";
+
+const EXPORT_DIR = process.env.EXPORT_DIR || "";
+const TICK_MS = 30_000;
+const NAME_RE = /^[A-Za-z0-9_.-]+$/;
+
+function parseExports(raw) {
+  let entries = {};
+  try { entries = raw ? JSON.parse(raw) : {}; }
+  catch (e) { console.error("EXPORT_SCHEDULE is not valid JSON, scheduled exports disabled:", e.message); }
+  const list = [];
+  for (const [name, spec] of Object.entries(entries)) {
+    try {
+      if (!NAME_RE.test(name)) throw new Error("names may only use letters, digits, _ . and -");
+      if (!spec || !spec.resource === !spec.sql) throw new Error("needs either resource or sql");
+      const format = String(spec.format || "csv").toLowerCase();
+      if (!FORMATS[format]) throw new Error(`unknown format "${spec.format}"`);
+      list.push({
+        name,
+        cron: parseCron(spec.cron),
+        resource: spec.resource || null,
+        query: spec.query || {},
+        sql: spec.sql || null,
+        params: spec.params || [],
+        format,
+        columns: exportColumns(spec.columns),
+        nextAt: null,
+        running: false,
+        last: null
+      });
+    } catch (e) {
+      console.error(`EXPORT_SCHEDULE["${name}"] ignored:`, e.message);
+    }
+  }
+  return list;
+}
+
+const EXPORTS = parseExports(process.env.EXPORT_SCHEDULE);
+
+let pool = null;
+
+//-------------------------------------------------------------
+// Running
+//-------------------------------------------------------------
+const pad = n => String(n).padStart(2, "0");
+const stamp = d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}${pad(d.getMinutes())}`;
+
+async function rowsFor(db, e) {
+  if (!e.resource) return streamReadOnlyQuery(db, e.sql, e.params, { maxRows: EXPORT_MAX_ROWS });
+  const known = await db.query("SELECT 1 FROM mirror_meta WHERE table_name=$1", [e.resource]);
+  if (!known.rowCount) throw new Error(`${e.resource} is not a mirror table`);
+  const { sql, params, fields } = listQuery(e.resource, e.query);
+  return projectedBatches(queryBatches(db, sql, params, { maxRows: EXPORT_MAX_ROWS }), fields);
+}
+
+// → e.last: { at, file, rows, ms, error }
+async function runExport(db, e, now = new Date()) {
+  e.running = true;
+  const file = path.join(EXPORT_DIR, `${e.name}-${stamp(now)}.${e.format}`);
+  const partial = `${file}.partial`;
+  try {
+    if (!EXPORT_DIR) throw new Error("EXPORT_DIR is not set");
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const batches = await rowsFor(db, e);
+    const out = fs.createWriteStream(partial);
+    const closed = new Promise((resolve, reject) => { out.on("close", resolve); out.on("error", reject); });
+    closed.catch(() => {});
+    let rows;
+    try {
+      rows = await writeExport(out, e.format, batches, { columns: e.columns, name: e.name });
+    } catch (err) {
+      out.destroy();
+      throw err;
+    }
+    await closed;
+    await fs.promises.rename(partial, file);
+    e.last = { at: now, file, rows, ms: Date.now() - now, error: null };
+    console.log(`export ${e.name}: ${rows} rows → ${file}`);
+  } catch (err) {
+    await fs.promises.rm(partial, { force: true }).catch(() => {});
+    e.last = { at: now, file: null, rows: null, ms: Date.now() - now, error: String(err.message || err) };
+    console.error(`export ${e.name} failed:`, e.last.error);
+  } finally {
+    e.running = false;
+  }
+  return e.last;
+}
+
+const view = ({ cron, ...e }) => ({ ...e, cron: cron.expr });
+
+export function exportInfo() {
+  return { dir: EXPORT_DIR || null, exports: EXPORTS.map(view) };
+}
+
+// Runs a scheduled export now → its view, null when unknown; { busy } while it runs
+export async function runExportNow(db, name) {
+  const e = EXPORTS.find(x => x.name === name);
+  if (!e) return null;
+  if (e.running) return { busy: true, ...view(e) };
+  await runExport(db, e);
+  return view(e);
+}
+
+//-------------------------------------------------------------
+// Ticking
+//-------------------------------------------------------------
+function tick() {
+  const now = new Date();
+  for (const e of EXPORTS) {
+    if (e.nextAt && now >= e.nextAt && !e.running) runExport(pool, e, now);
+    if (!e.nextAt || now >= e.nextAt) e.nextAt = nextRun(e.cron, now);
+  }
+}
+
+export function startExports(p) {
+  pool = p;
+  if (!EXPORTS.length) return;
+  if (!EXPORT_DIR) {
+    console.error("EXPORT_SCHEDULE is set but EXPORT_DIR isn't; scheduled exports disabled");
+    return;
+  }
+  tick();
+  setInterval(tick, TICK_MS).unref();
+  console.log(`exports: ${EXPORTS.map(e => `${e.name} "${e.cron.expr}"`).join(", ")} → ${EXPORT_DIR}`);
+}
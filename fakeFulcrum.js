@@ -0,0 +1,366 @@
+// fakeFulcrum.js — a local stand-in for the Fulcrum API
+// ============================================================================
+// Serves a small swagger document and seeded records so the proxy and the
+// sync run without a real token:
+//   node fakeFulcrum.js --port 4010 --token fake-token
+//   FULCRUM_BASE_URL=http://localhost:4010 FULCRUM_TOKEN=fake-token npm start
+// Every /api and /swagger call needs "Authorization: Bearer <token>".
+//   GET  /swagger/v1/swagger.json
+//   POST /api/items/list/v2      body DateFrom / DateTo        (created, incremental)
+//   POST /api/jobs/list          body UpdatedUtcFrom / ...To   (updated, incremental)
+//   POST /api/customers/list     no filters                    (full refresh)
+//   POST /api/jobs/{jobId}/operations/list
+//   GET  /api/items/{id}, /api/jobs/{id}, /api/customers/{id}
+//   POST /api/jobs, PATCH /api/jobs/{id}   create / update (no validation)
+// Lists page with ?Skip=&Take= (Take capped at 500) and sort with
+// ?Sort.Field=CreatedUtc&Sort.Dir=Ascending|Descending.
+//
+// Failures are scripted per request with the `failures` option or
+//   POST /__fake/failures [{ "path": "/api/jobs/list", "status": 429, "retryAfter": 1, "times": 2 }]
+// A rule fires for requests whose path starts with `path` (and, with `skip`,
+// whose Skip is at least that: a 500 halfway through pagination), `times`
+// times (default 1, 0 = until cleared). `empty: true` answers 200 with no
+// body; `body` replaces the default error body.
+//   GET /__fake/requests              what was received, oldest first
+//   PATCH|DELETE /__fake/records/:resource/:id   change or drop a record
+//   POST /__fake/reset                reseed, clear failures and requests
+// ============================================================================
+
+import express from "express";
+import { parseArgs } from "util";
+import { pathToFileURL } from "url";
+
+const MAX_TAKE = 500;
+const MAX_LOGGED = 1000;
+const SEED_EPOCH = Date.parse("2026-01-01T00:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+//-------------------------------------------------------------
+// Resources and seed data
+//-------------------------------------------------------------
+const RESOURCES = {
+  items:      { list: "/api/items/list/v2", detail: "/api/items/{id}", model: "Item", request: "ItemListRequest" },
+  jobs: {
+    list: "/api/jobs/list", detail: "/api/jobs/{id}", model: "Job", request: "JobListRequest",
+    create: "JobCreateRequest", update: "JobUpdateRequest"
+  },
+  customers:  { list: "/api/customers/list", detail: "/api/customers/{id}", model: "Customer" },
+  operations: { list: "/api/jobs/{jobId}/operations/list", model: "JobOperation", parent: "jobs", parentField: "jobId" }
+};
+
+// body filter → [record field, lower (1) or upper (-1) bound]
+const DATE_FILTERS = {
+  DateFrom: ["createdUtc", 1], DateTo: ["createdUtc", -1],
+  UpdatedUtcFrom: ["updatedUtc", 1], UpdatedUtcTo: ["updatedUtc", -1]
+};
+
+const ENUMS = {
+  ItemType: ["Make", "Buy"],
+  JobStatus: ["Scheduled", "InProgress", "Complete"]
+};
+
+const str = { type: "string" };
+const int = { type: "integer", format: "int32" };
+const num = { type: "number", format: "double" };
+const date = { type: "string", format: "date-time" };
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const SCHEMAS = {
+  Item: {
+    type: "object", required: ["id", "number", "itemType"],
+    properties: { id: str, number: str, description: { ...str, nullable: true }, itemType: ref("ItemType"), createdUtc: date, updatedUtc: date }
+  },
+  Job: {
+    type: "object", required: ["id", "number", "status"],
+    properties: {
+      id: str, number: str, parentItemId: str, customerId: { ...str, nullable: true }, status: ref("JobStatus"),
+      quantityToMake: num, quantityCompleted: num, dueDate: date, createdUtc: date, updatedUtc: date
+    }
+  },
+  Customer: { type: "object", required: ["id", "name"], properties: { id: str, name: str, createdUtc: date, updatedUtc: date } },
+  JobOperation: {
+    type: "object", required: ["id", "jobId"],
+    properties: { id: str, jobId: str, sequence: int, name: str, createdUtc: date, updatedUtc: date }
+  },
+  JobCreateRequest: {
+    type: "object", required: ["parentItemId", "quantityToMake"],
+    properties: { parentItemId: str, quantityToMake: num, dueDate: { ...date, nullable: true }, status: ref("JobStatus") }
+  },
+  JobUpdateRequest: {
+    type: "object",
+    properties: { quantityToMake: num, quantityCompleted: num, dueDate: { ...date, nullable: true }, status: ref("JobStatus") }
+  },
+  ItemListRequest: { type: "object", properties: { DateFrom: { ...date, nullable: true }, DateTo: { ...date, nullable: true } } },
+  JobListRequest: { type: "object", properties: { UpdatedUtcFrom: { ...date, nullable: true }, UpdatedUtcTo: { ...date, nullable: true } } }
+};
+
+const iso = ms => new Date(ms).toISOString();
+const pad = (n, w = 4) => String(n).padStart(w, "0");
+
+export function seedData({ items = 600, jobs = 250, customers = 12 } = {}) {
+  const data = { items: [], jobs: [], customers: [], operations: [] };
+  for (let i = 1; i <= items; i++) {
+    const at = iso(SEED_EPOCH + i * HOUR);
+    data.items.push({
+      id: `item-${pad(i)}`, number: `P-${1000 + i}`, description: i % 7 ? `Part ${i}` : null,
+      itemType: i % 3 ? "Buy" : "Make", createdUtc: at, updatedUtc: at
+    });
+  }
+  for (let i = 1; i <= jobs; i++) {
+    const at = iso(SEED_EPOCH + i * HOUR / 2);
+    const status = ENUMS.JobStatus[i % 3];
+    const job = {
+      id: `job-${pad(i)}`, number: `J-${5000 + i}`, parentItemId: items ? data.items[(i - 1) % Math.min(10, items)].id : null,
+      customerId: customers ? `cust-${pad((i - 1) % customers + 1, 2)}` : null,
+      status, quantityToMake: 10 + (i % 5) * 5, quantityCompleted: status === "Complete" ? 10 + (i % 5) * 5 : 0,
+      dueDate: iso(SEED_EPOCH + (30 + i) * 24 * HOUR), createdUtc: at, updatedUtc: at
+    };
+    data.jobs.push(job);
+    ["Cut", "Weld"].forEach((name, k) => data.operations.push({
+      id: `${job.id}-op-${k + 1}`, jobId: job.id, sequence: (k + 1) * 10, name, createdUtc: at, updatedUtc: at
+    }));
+  }
+  for (let i = 1; i <= customers; i++) {
+    const at = iso(SEED_EPOCH + i * 24 * HOUR);
+    data.customers.push({ id: `cust-${pad(i, 2)}`, name: `Customer ${i}`, createdUtc: at, updatedUtc: at });
+  }
+  return data;
+}
+
+//-------------------------------------------------------------
+// Swagger
+//-------------------------------------------------------------
+const listParams = ["Skip", "Take"].map(name => ({ name, in: "query", schema: int }))
+  .concat(["Sort.Field", "Sort.Dir"].map(name => ({ name, in: "query", schema: str })));
+const pathParam = name => ({ name, in: "path", required: true, schema: str });
+const ok = schema => ({ 200: { description: "Success", content: { "application/json": { schema } } } });
+const body = model => ({ requestBody: { content: { "application/json": { schema: ref(model) } } } });
+
+export function swaggerDocument() {
+  const paths = {};
+  for (const r of Object.values(RESOURCES)) {
+    const parentParam = r.list.match(/{(\w+)}/)?.[1];
+    paths[r.list] = {
+      post: {
+        summary: `List ${r.model} records`,
+        parameters: [...(parentParam ? [pathParam(parentParam)] : []), ...listParams],
+        ...(r.request ? body(r.request) : {}),
+        responses: ok({ type: "array", items: ref(r.model) })
+      }
+    };
+    if (r.detail) {
+      paths[r.detail] = { get: { summary: `Get a ${r.model}`, parameters: [pathParam("id")], responses: ok(ref(r.model)) } };
+    }
+    if (r.update) {
+      paths[r.detail].patch = { summary: `Update a ${r.model}`, parameters: [pathParam("id")], ...body(r.update), responses: ok(ref(r.model)) };
+    }
+    if (r.create) {
+      paths[r.list.replace(/\/list.*$/, "")] = { post: { summary: `Create a ${r.model}`, ...body(r.create), responses: ok(ref(r.model)) } };
+    }
+  }
+  const schemas = { ...SCHEMAS };
+  for (const [name, values] of Object.entries(ENUMS)) schemas[name] = { type: "string", enum: values };
+  return { openapi: "3.0.1", info: { title: "Fulcrum (fake)", version: "1.0-fake" }, paths, components: { schemas } };
+}
+
+//-------------------------------------------------------------
+// Listing
+//-------------------------------------------------------------
+function invalid(res, message) {
+  return res.status(400).json({ title: "One or more validation errors occurred.", status: 400, detail: message });
+}
+
+function listRecords(rows, query, body) {
+  let out = rows;
+  for (const [key, [field, bound]] of Object.entries(DATE_FILTERS)) {
+    if (body?.[key] == null) continue;
+    const at = Date.parse(body[key]);
+    if (isNaN(at)) return { error: `${key} is not a date` };
+    out = out.filter(r => (bound > 0 ? Date.parse(r[field]) >= at : Date.parse(r[field]) <= at));
+  }
+
+  const sortField = query["Sort.Field"];
+  if (sortField) {
+    const field = Object.keys(rows[0] || {}).find(k => k.toLowerCase() === String(sortField).toLowerCase());
+    if (!field) return { error: `unknown sort field ${sortField}` };
+    const dir = /^desc/i.test(query["Sort.Dir"] || "") ? -1 : 1;
+    const key = v => (/Utc$|Date$/.test(field) ? Date.parse(v) : v);
+    out = [...out].sort((a, b) =>
+      dir * ((key(a[field]) > key(b[field])) - (key(a[field]) < key(b[field])) || a.id.localeCompare(b.id)));
+  }
+
+  const skip = Math.max(0, Number(query.Skip) || 0);
+  const take = Math.min(MAX_TAKE, Math.max(1, Number(query.Take) || 100));
+  return { rows: out.slice(skip, skip + take) };
+}
+
+//-------------------------------------------------------------
+// App
+//-------------------------------------------------------------
+export function createFakeFulcrum({ token = "fake-token", counts = {}, failures = [] } = {}) {
+  let data = seedData(counts);
+  let rules = [];
+  const requests = [];
+  let server = null;
+
+  const fail = list => {
+    for (const rule of [].concat(list)) {
+      if (!rule?.path) throw new Error("a failure rule needs a path");
+      rules.push({ status: rule.empty ? 200 : 500, times: 1, ...rule });
+    }
+  };
+  fail(failures);
+
+  const find = (resource, id) => data[resource]?.find(r => r.id === id) || null;
+  const update = (resource, id, patch = {}) => {
+    const rec = find(resource, id);
+    if (rec) Object.assign(rec, patch, { updatedUtc: patch.updatedUtc || new Date().toISOString() });
+    return rec;
+  };
+  const create = (resource, fields = {}) => {
+    const n = data[resource].length + 1;
+    const at = new Date().toISOString();
+    const rec = { ...fields, id: `${resource.replace(/s$/, "")}-new-${pad(n)}`, createdUtc: at, updatedUtc: at };
+    data[resource].push(rec);
+    return rec;
+  };
+  const remove = (resource, id) => {
+    const rec = find(resource, id);
+    if (rec) data[resource] = data[resource].filter(r => r !== rec);
+    return rec;
+  };
+  const reset = () => {
+    data = seedData(counts);
+    rules = [];
+    requests.length = 0;
+  };
+
+  const app = express();
+  app.use(express.json({ limit: "2mb" }));
+
+  // ---------- scripting ----------
+  app.get("/__fake/failures", (_req, res) => res.json(rules));
+  app.post("/__fake/failures", (req, res) => {
+    try { fail(req.body); res.status(201).json(rules); }
+    catch (e) { invalid(res, e.message); }
+  });
+  app.delete("/__fake/failures", (_req, res) => { rules = []; res.status(204).end(); });
+  app.get("/__fake/requests", (_req, res) => res.json(requests));
+  app.delete("/__fake/requests", (_req, res) => { requests.length = 0; res.status(204).end(); });
+  app.patch("/__fake/records/:resource/:id", (req, res) => {
+    const rec = update(req.params.resource, req.params.id, req.body);
+    rec ? res.json(rec) : res.status(404).json({ error: "not_found" });
+  });
+  app.delete("/__fake/records/:resource/:id", (req, res) => {
+    remove(req.params.resource, req.params.id) ? res.status(204).end() : res.status(404).json({ error: "not_found" });
+  });
+  app.post("/__fake/reset", (_req, res) => { reset(); res.status(204).end(); });
+
+  // ---------- request log, auth and scripted failures ----------
+  app.use((req, res, next) => {
+    const entry = { method: req.method, path: req.path, query: { ...req.query }, body: req.body, status: null };
+    requests.push(entry);
+    if (requests.length > MAX_LOGGED) requests.shift();
+    res.on("finish", () => { entry.status = res.statusCode; });
+
+    if (token && req.get("authorization") !== `Bearer ${token}`) {
+      return res.status(401).json({ type: "Unauthorized", status: 401, detail: "invalid bearer token" });
+    }
+    const skip = Number(req.query.Skip) || 0;
+    const rule = rules.find(r =>
+      req.path.startsWith(r.path) && (!r.method || r.method.toUpperCase() === req.method) && (r.skip == null || skip >= r.skip));
+    if (!rule) return next();
+    if (rule.times > 0 && --rule.times === 0) rules = rules.filter(r => r !== rule);
+    if (rule.retryAfter != null) res.set("Retry-After", String(rule.retryAfter));
+    if (rule.empty) return res.status(rule.status).end();
+    res.status(rule.status).json(rule.body ?? { error: "scripted_failure", status: rule.status });
+  });
+
+  app.get("/swagger/v1/swagger.json", (_req, res) => res.json(swaggerDocument()));
+
+  for (const [name, r] of Object.entries(RESOURCES)) {
+    const route = p => p.replace(/{(\w+)}/g, ":$1");
+    app.post(route(r.list), (req, res) => {
+      let rows = data[name];
+      if (r.parent) {
+        const parentId = req.params[r.parentField];
+        if (!find(r.parent, parentId)) return res.status(404).json({ status: 404, detail: `${r.parent} ${parentId} not found` });
+        rows = rows.filter(x => x[r.parentField] === parentId);
+      }
+      const out = listRecords(rows, req.query, req.body);
+      out.error ? invalid(res, out.error) : res.json(out.rows);
+    });
+    if (r.detail) {
+      app.get(route(r.detail), (req, res) => {
+        const rec = find(name, req.params.id);
+        rec ? res.json(rec) : res.status(404).json({ status: 404, detail: `${r.model} ${req.params.id} not found` });
+      });
+    }
+    if (r.update) {
+      app.patch(route(r.detail), (req, res) => {
+        const rec = update(name, req.params.id, req.body);
+        rec ? res.json(rec) : res.status(404).json({ status: 404, detail: `${r.model} ${req.params.id} not found` });
+      });
+    }
+    if (r.create) {
+      app.post(r.list.replace(/\/list.*$/, ""), (req, res) => res.json(create(name, req.body)));
+    }
+  }
+  app.use((req, res) => res.status(404).json({ status: 404, detail: `no route for ${req.method} ${req.path}` }));
+
+  return {
+    app,
+    requests,
+    get data() { return data; },
+    fail,
+    clearFailures: () => { rules = []; },
+    create,
+    update,
+    remove,
+    reset,
+    // → base URL, e.g. http://127.0.0.1:41234 for port 0
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+        server.on("error", reject);
+      });
+    },
+    close() {
+      if (!server) return Promise.resolve();
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+//-------------------------------------------------------------
+// CLI
+//-------------------------------------------------------------
+async function cli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: "string", default: process.env.PORT || "4010" },
+      host: { type: "string", default: "127.0.0.1" },
+      token: { type: "string", default: process.env.FAKE_FULCRUM_TOKEN || "fake-token" },
+      items: { type: "string" },
+      jobs: { type: "string" },
+      customers: { type: "string" },
+      failures: { type: "string" }
+    }
+  });
+  const counts = {};
+  for (const k of ["items", "jobs", "customers"]) if (values[k] != null) counts[k] = Number(values[k]);
+  const fake = createFakeFulcrum({
+    token: values.token,
+    counts,
+    failures: values.failures ? JSON.parse(values.failures) : []
+  });
+  const url = await fake.listen(Number(values.port), values.host);
+  console.log(`Fake Fulcrum on ${url} (token "${values.token}")`);
+  console.log(`  FULCRUM_BASE_URL=${url} FULCRUM_TOKEN=${values.token} npm start`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli(process.argv.slice(2)).catch(e => { console.error(e.message); process.exit(1); });
+}
@@ -0,0 +1,479 @@
+// graphqlApi.js — read-only GraphQL over the mirror tables (GET/POST /graphql)
+// ============================================================================
+// One type per table in mirror_meta (jobs_list → JobsList) with a field per
+// payload key, typed from a sample of rows (objects and arrays are JSON).
+// Every "…Id" key analyzeSchema listed under relationships becomes a field for
+// the record it points at, in the table whose name matches the key
+// (customerId → customers_list; parentItemId → parentItem, else item →
+// items_list), and that table's type gets the reverse list:
+//   { jobsList(filter: { status: { eq: "InProgress" } }, sort: "-dueDate", first: 20) {
+//       nodes { number customer { name }
+//               parentItem { number itemBomsData { nodes { quantityPer componentItem { number } } } } }
+//       pageInfo { hasNextPage endCursor } } }
+// A reverse list is named after its table, plus "By<Key>" when the key isn't
+// named after the target (Item.jobsListByParentItemId). GRAPHQL_RELATIONS
+// picks the target where the name is ambiguous or wrong:
+//   GRAPHQL_RELATIONS='{"jobs_list.parentItemId":"items_list_v2","vendorId":"suppliers_list"}'
+// Lists take filter (the /mirror/:resource operators per field, with and/or),
+// sort (the /mirror/:resource syntax), first (default 100, max 500) and
+// after (a previous pageInfo.endCursor). Related records are loaded in one
+// query per table and relationship for all the parents at a level, not one
+// per parent. Queries nested deeper than GRAPHQL_MAX_DEPTH (10) or costing
+// more than GRAPHQL_MAX_COMPLEXITY (20000: one per field, a list multiplies
+// what's under it by first) are rejected before they run. The schema is
+// rebuilt when mirror_meta changes.
+// ============================================================================
+
+import express from "express";
+import {
+  GraphQLSchema, GraphQLObjectType, GraphQLInputObjectType, GraphQLScalarType, GraphQLList, GraphQLNonNull,
+  GraphQLString, GraphQLFloat, GraphQLBoolean, GraphQLInt, GraphQLID,
+  Kind, parse, validate, execute, getOperationAST, getNamedType, valueFromASTUntyped
+} from "graphql";
+import {
+  OPS, MAX_LIMIT, quoteIdent, sqlBuilder, buildFilter, parseSort, keysetCondition, encodeCursor, decodeCursor
+} from "./mirrorRoutes.js";
+import { norm, sameNoun } from "./syncGraph.js";
+
+const MAX_DEPTH      = Number(process.env.GRAPHQL_MAX_DEPTH || 10);
+const MAX_COMPLEXITY = Number(process.env.GRAPHQL_MAX_COMPLEXITY || 20000);
+const DEFAULT_FIRST  = 100;
+const SAMPLE_ROWS    = 25;
+const SCHEMA_CHECK_MS = 60_000;
+const NAME_RE = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+function parseOverrides(raw) {
+  try { return raw ? JSON.parse(raw) : {}; }
+  catch (e) { console.error("GRAPHQL_RELATIONS is not valid JSON, ignoring it:", e.message); return {}; }
+}
+
+const RELATION_OVERRIDES = parseOverrides(process.env.GRAPHQL_RELATIONS);
+
+//-------------------------------------------------------------
+// Names
+//-------------------------------------------------------------
+const words = s => String(s).split(/_+|(?<=[a-z0-9])(?=[A-Z])/).filter(Boolean);
+const pascal = s => {
+  const p = words(s).map(w => w[0].toUpperCase() + w.slice(1)).join("");
+  return /^[A-Za-z]/.test(p) ? p : `T${p}`;
+};
+const camel = s => { const p = pascal(s); return p[0].toLowerCase() + p.slice(1); };
+// jobs_list → jobs, item_boms_data → itemboms, items_list_v2 → items
+const tableNoun = t => norm(t.replace(/_(list|data)(_[a-z0-9]+)*$/i, ""));
+
+// The mirror table a key such as "parentItemId" points at, or null. Tried in
+// order: the override, the mirror_meta hint ("customers"), then the key's
+// noun with leading words dropped (parentItem, item); the shortest name wins.
+export function relationTarget(table, key, hint, tables, overrides = RELATION_OVERRIDES) {
+  const override = overrides[`${table}.${key}`] ?? overrides[key];
+  if (override !== undefined) return tables.includes(override) ? override : null;
+  const parts = words(key.replace(/Id$/, ""));
+  const nouns = [norm(hint), ...parts.map((_, i) => norm(parts.slice(i).join("")))];
+  for (const noun of nouns) {
+    const hits = tables.filter(t => sameNoun(noun, tableNoun(t)));
+    if (hits.length) return hits.sort((a, b) => a.length - b.length || a.localeCompare(b))[0];
+  }
+  return null;
+}
+
+//-------------------------------------------------------------
+// Tables
+//-------------------------------------------------------------
+const KINDS = { string: "String", number: "Float", boolean: "Boolean" };
+
+// → [{ table, fields: { key: "String" | "Float" | "Boolean" | "JSON" }, relations: { key: hint } }]
+export async function describeTables(pool) {
+  const meta = await pool.query(
+    `SELECT table_name, key_fields, relationships FROM mirror_meta
+     WHERE to_regclass(quote_ident(table_name)) IS NOT NULL
+     ORDER BY table_name`
+  );
+  const tables = [];
+  for (const m of meta.rows) {
+    const sample = await pool.query(
+      `SELECT e.key, array_agg(DISTINCT jsonb_typeof(e.value)) FILTER (WHERE jsonb_typeof(e.value) <> 'null') AS types
+       FROM (SELECT payload FROM ${quoteIdent(m.table_name)} WHERE deleted_at IS NULL LIMIT ${SAMPLE_ROWS}) s,
+            jsonb_each(CASE WHEN jsonb_typeof(s.payload) = 'object' THEN s.payload ELSE '{}'::jsonb END) e
+       GROUP BY e.key`
+    );
+    const fields = {};
+    for (const k of Array.isArray(m.key_fields) ? m.key_fields : []) fields[k] = "String";
+    for (const { key, types } of sample.rows) {
+      fields[key] = !types?.length ? "String" : types.length === 1 && KINDS[types[0]] ? KINDS[types[0]] : "JSON";
+    }
+    tables.push({ table: m.table_name, fields, relations: m.relationships || {} });
+  }
+  return tables;
+}
+
+//-------------------------------------------------------------
+// Loading
+//-------------------------------------------------------------
+const clampFirst = first => Math.max(1, Math.min(Number(first) || DEFAULT_FIRST, MAX_LIMIT));
+
+// filter input → SQL condition ("" for none)
+function filterSql(b, filter) {
+  const parts = [];
+  for (const [name, value] of Object.entries(filter || {})) {
+    if (value == null) continue;
+    if (name === "and" || name === "or") {
+      const subs = value.map(f => filterSql(b, f));
+      // an empty branch matches everything
+      if (name === "or" && subs.some(s => !s)) continue;
+      const kept = subs.filter(Boolean);
+      if (kept.length) parts.push(`(${kept.map(s => `(${s})`).join(name === "and" ? " AND " : " OR ")})`);
+      continue;
+    }
+    for (const [op, v] of Object.entries(value)) if (v != null) parts.push(buildFilter(b, name, op, v));
+  }
+  return parts.join(" AND ");
+}
+
+// One page of a table, or with key/parentIds one page per parent:
+// → { nodes, pageInfo }, or Map(parent id → { nodes, pageInfo })
+async function loadPages(pool, table, args, { key = null, parentIds = null } = {}) {
+  const b = sqlBuilder();
+  const where = ["deleted_at IS NULL"];
+  const filter = filterSql(b, args.filter);
+  if (filter) where.push(filter);
+  const sortSpec = String(args.sort || "createdutc");
+  const keys = parseSort(b, sortSpec);
+  if (args.after) where.push(keysetCondition(b, keys, decodeCursor(args.after, sortSpec)));
+  const limit = clampFirst(args.first);
+  const order = keys.map(k => `${k.expr} ${k.desc ? "DESC" : "ASC"}`).join(", ");
+  const columns = `id, payload, synced_at, ${keys.map((k, i) => `${k.expr}::text AS _k${i}`).join(", ")}`;
+
+  const page = rows => {
+    const nodes = rows.slice(0, limit);
+    const last = nodes[nodes.length - 1];
+    return {
+      nodes,
+      pageInfo: {
+        hasNextPage: rows.length > limit,
+        endCursor: last ? encodeCursor(sortSpec, keys.map((_, i) => last[`_k${i}`])) : null
+      }
+    };
+  };
+
+  if (!key) {
+    const q = await pool.query(
+      `SELECT ${columns} FROM ${quoteIdent(table)} WHERE ${where.join(" AND ")} ORDER BY ${order} LIMIT ${limit + 1}`,
+      b.params
+    );
+    return page(q.rows);
+  }
+  const parent = `(payload->>${b.param(key)}::text)`;
+  where.push(`${parent} = ANY(${b.param(parentIds)}::text[])`);
+  const q = await pool.query(
+    `SELECT * FROM (
+       SELECT ${columns}, ${parent} AS _parent,
+              row_number() OVER (PARTITION BY ${parent} ORDER BY ${order}) AS _n
+       FROM ${quoteIdent(table)} WHERE ${where.join(" AND ")}
+     ) x WHERE _n <= ${limit + 1} ORDER BY _parent, _n`,
+    b.params
+  );
+  const byParent = new Map(parentIds.map(id => [id, []]));
+  q.rows.forEach(r => byParent.get(r._parent)?.push(r));
+  return new Map([...byParent].map(([id, rows]) => [id, page(rows)]));
+}
+
+// Collects the keys asked for in one tick and loads them in one call;
+// load(keys) → values in the same order
+function batchLoader(load) {
+  const cache = new Map();
+  let queue = null;
+  return key => {
+    if (cache.has(key)) return cache.get(key);
+    const p = new Promise((resolve, reject) => {
+      if (!queue) {
+        queue = [];
+        setImmediate(() => {
+          const batch = queue;
+          queue = null;
+          load(batch.map(x => x.key)).then(
+            values => batch.forEach((x, i) => x.resolve(values[i])),
+            e => batch.forEach(x => x.reject(e))
+          );
+        });
+      }
+      queue.push({ key, resolve, reject });
+    });
+    cache.set(key, p);
+    return p;
+  };
+}
+
+// Per-request loaders, handed to resolvers as the context
+function requestLoaders(pool) {
+  const loaders = new Map();
+  const loader = (name, make) => loaders.get(name) || loaders.set(name, batchLoader(make)).get(name);
+  return {
+    page: (table, args) => loadPages(pool, table, args),
+    record: (table, id) => loader(`record:${table}`, async ids => {
+      const q = await pool.query(
+        `SELECT id, payload, synced_at FROM ${quoteIdent(table)} WHERE deleted_at IS NULL AND id = ANY($1::text[])`,
+        [ids]
+      );
+      const byId = new Map(q.rows.map(r => [r.id, r]));
+      return ids.map(id => byId.get(id) ?? null);
+    })(String(id)),
+    children: (table, key, args, parentId) => loader(`children:${table}:${key}:${JSON.stringify(args)}`, async ids => {
+      const pages = await loadPages(pool, table, args, { key, parentIds: ids });
+      return ids.map(id => pages.get(id));
+    })(String(parentId))
+  };
+}
+
+//-------------------------------------------------------------
+// Schema
+//-------------------------------------------------------------
+const JSONScalar = new GraphQLScalarType({
+  name: "JSON",
+  description: "Any JSON value",
+  serialize: v => v,
+  parseValue: v => v,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+});
+
+const opFilter = (name, type, ops) => new GraphQLInputObjectType({
+  name,
+  fields: Object.fromEntries(ops.map(op => [op, {
+    type: op === "exists" ? GraphQLBoolean : op === "in" || op === "nin" ? new GraphQLList(new GraphQLNonNull(type)) : type
+  }]))
+});
+
+const SCALARS = { String: GraphQLString, Float: GraphQLFloat, Boolean: GraphQLBoolean, JSON: JSONScalar };
+const FILTERS = {
+  String: opFilter("StringFilter", GraphQLString, Object.keys(OPS)),
+  Float: opFilter("FloatFilter", GraphQLFloat, Object.keys(OPS).filter(op => !op.includes("like"))),
+  Boolean: opFilter("BooleanFilter", GraphQLBoolean, ["eq", "ne", "exists"])
+};
+
+const PageInfo = new GraphQLObjectType({
+  name: "PageInfo",
+  fields: {
+    hasNextPage: { type: new GraphQLNonNull(GraphQLBoolean) },
+    endCursor: { type: GraphQLString }
+  }
+});
+
+// tables from describeTables → GraphQLSchema
+export function mirrorSchema(tables, overrides = RELATION_OVERRIDES) {
+  const used = new Set(["Query", "JSON", "PageInfo", "String", "Float", "Boolean", "Int", "ID", ...Object.values(FILTERS).map(f => f.name)]);
+  const unique = (base, taken = used) => {
+    let name = base;
+    for (let i = 2; taken.has(name); i++) name = `${base}${i}`;
+    taken.add(name);
+    return name;
+  };
+
+  const byTable = new Map(tables.map(t => [t.table, {
+    ...t,
+    fields: Object.fromEntries(Object.entries(t.fields).filter(([k]) => NAME_RE.test(k) && k !== "id")),
+    typeName: unique(pascal(t.table)),
+    forward: [],
+    reverse: []
+  }]));
+  const names = [...byTable.keys()];
+  for (const t of byTable.values()) {
+    for (const [key, hint] of Object.entries(t.relations)) {
+      if (!/[a-z0-9]Id$/.test(key) || !["String", "Float"].includes(t.fields[key])) continue;
+      const target = relationTarget(t.table, key, hint, names, overrides);
+      if (!target) continue;
+      t.forward.push({ key, to: byTable.get(target) });
+      byTable.get(target).reverse.push({ key, from: t });
+    }
+  }
+
+  const listArgs = t => ({
+    filter: { type: t.filterType },
+    sort: { type: GraphQLString, description: 'Comma list of fields, "-" for descending, as in /mirror/:resource' },
+    first: { type: GraphQLInt, description: `Page size (default ${DEFAULT_FIRST}, max ${MAX_LIMIT})` },
+    after: { type: GraphQLString, description: "endCursor of the previous page" }
+  });
+
+  for (const t of byTable.values()) {
+    t.filterType = new GraphQLInputObjectType({
+      name: unique(`${t.typeName}Filter`),
+      fields: () => ({
+        id: { type: FILTERS.String },
+        ...Object.fromEntries(Object.entries(t.fields)
+          .filter(([k, kind]) => FILTERS[kind] && k !== "and" && k !== "or")
+          .map(([k, kind]) => [k, { type: FILTERS[kind] }])),
+        and: { type: new GraphQLList(new GraphQLNonNull(t.filterType)) },
+        or: { type: new GraphQLList(new GraphQLNonNull(t.filterType)) }
+      })
+    });
+    t.type = new GraphQLObjectType({
+      name: t.typeName,
+      fields: () => {
+        const taken = new Set(["id", "_syncedAt"]);
+        const fields = {
+          id: { type: new GraphQLNonNull(GraphQLID), resolve: row => row.id },
+          _syncedAt: { type: GraphQLString, resolve: row => row.synced_at?.toISOString?.() ?? row.synced_at ?? null }
+        };
+        for (const [k, kind] of Object.entries(t.fields)) {
+          fields[unique(k, taken)] = { type: SCALARS[kind], resolve: row => row.payload?.[k] ?? null };
+        }
+        for (const { key, to } of t.forward) {
+          const base = key.replace(/Id$/, "");
+          fields[unique(taken.has(base) ? `${base}Record` : base, taken)] = {
+            type: to.type,
+            resolve: (row, _args, ctx) => {
+              const v = row.payload?.[key];
+              return v == null || typeof v === "object" ? null : ctx.record(to.table, v);
+            }
+          };
+        }
+        for (const { key, from } of t.reverse) {
+          const named = sameNoun(norm(key.replace(/Id$/, "")), tableNoun(t.table));
+          fields[unique(camel(from.table) + (named ? "" : `By${pascal(key)}`), taken)] = {
+            type: new GraphQLNonNull(from.connection),
+            args: listArgs(from),
+            resolve: (row, args, ctx) => ctx.children(from.table, key, args, row.id)
+          };
+        }
+        return fields;
+      }
+    });
+    t.connection = new GraphQLObjectType({
+      name: unique(`${t.typeName}Connection`),
+      fields: () => ({
+        nodes: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(t.type))) },
+        pageInfo: { type: new GraphQLNonNull(PageInfo) }
+      })
+    });
+  }
+
+  const query = new GraphQLObjectType({
+    name: "Query",
+    fields: () => {
+      const taken = new Set(["_tables"]);
+      const fields = {
+        _tables: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString))), resolve: () => names }
+      };
+      for (const t of byTable.values()) {
+        fields[unique(camel(t.table), taken)] = {
+          type: new GraphQLNonNull(t.connection),
+          args: listArgs(t),
+          resolve: (_src, args, ctx) => ctx.page(t.table, args)
+        };
+        fields[unique(`${camel(t.table)}ById`, taken)] = {
+          type: t.type,
+          args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+          resolve: (_src, { id }, ctx) => ctx.record(t.table, id)
+        };
+      }
+      return fields;
+    }
+  });
+  return new GraphQLSchema({ query });
+}
+
+//-------------------------------------------------------------
+// Limits
+//-------------------------------------------------------------
+// → { depth, complexity } of the operation; run on a validated document.
+// Introspection fields are free.
+export function measureQuery(schema, document, { operationName = null, variables = {} } = {}) {
+  const op = getOperationAST(document, operationName);
+  if (!op) return { depth: 0, complexity: 0 };
+  const fragments = Object.fromEntries(document.definitions
+    .filter(d => d.kind === Kind.FRAGMENT_DEFINITION)
+    .map(d => [d.name.value, d]));
+  const argument = (node, name) => {
+    const a = node.arguments?.find(x => x.name.value === name);
+    return a ? valueFromASTUntyped(a.value, variables) : undefined;
+  };
+
+  const walk = (type, selectionSet) => {
+    let depth = 0, complexity = 0;
+    for (const sel of selectionSet.selections) {
+      if (sel.kind === Kind.FIELD) {
+        if (sel.name.value.startsWith("__")) continue;
+        const field = type?.getFields?.()[sel.name.value];
+        let d = 1, c = 1;
+        if (sel.selectionSet) {
+          const inner = walk(getNamedType(field?.type), sel.selectionSet);
+          const n = field?.args.some(a => a.name === "first") ? clampFirst(argument(sel, "first")) : 1;
+          d += inner.depth;
+          c += n * inner.complexity;
+        }
+        depth = Math.max(depth, d);
+        complexity += c;
+      } else {
+        const frag = sel.kind === Kind.FRAGMENT_SPREAD ? fragments[sel.name.value] : sel;
+        if (!frag) continue;
+        const inner = walk(frag.typeCondition ? schema.getType(frag.typeCondition.name.value) : type, frag.selectionSet);
+        depth = Math.max(depth, inner.depth);
+        complexity += inner.complexity;
+      }
+    }
+    return { depth, complexity };
+  };
+  return walk(schema.getRootType(op.operation), op.selectionSet);
+}
+
+//-------------------------------------------------------------
+// Router
+//-------------------------------------------------------------
+export function graphqlRoutes({ pool }) {
+  const router = express.Router();
+  let cached = null;
+
+  async function currentSchema() {
+    if (cached && Date.now() - cached.checkedAt < SCHEMA_CHECK_MS) return cached.schema;
+    const v = await pool.query(
+      `SELECT COUNT(*) || ':' || COALESCE(MAX(last_discovered)::text, '') AS version FROM mirror_meta`
+    );
+    const version = v.rows[0].version;
+    if (cached?.version !== version) cached = { version, schema: mirrorSchema(await describeTables(pool)) };
+    cached.checkedAt = Date.now();
+    return cached.schema;
+  }
+
+  const fail = (res, status, message) => res.status(status).json({ errors: [{ message }] });
+
+  async function handle(req, res, { query, variables, operationName }) {
+    if (typeof query !== "string" || !query.trim()) return fail(res, 400, "query is required");
+    if (typeof variables === "string") {
+      try { variables = JSON.parse(variables); } catch { return fail(res, 400, "variables must be JSON"); }
+    }
+    if (variables != null && (typeof variables !== "object" || Array.isArray(variables))) {
+      return fail(res, 400, "variables must be an object");
+    }
+
+    let document;
+    try { document = parse(query); } catch (e) { return res.status(400).json({ errors: [e] }); }
+    const op = getOperationAST(document, operationName || null);
+    if (op && op.operation !== "query") return fail(res, 400, "only queries are supported");
+
+    const schema = await currentSchema();
+    const errors = validate(schema, document);
+    if (errors.length) return res.status(400).json({ errors });
+
+    const { depth, complexity } = measureQuery(schema, document, { operationName, variables: variables || {} });
+    if (depth > MAX_DEPTH) return fail(res, 400, `query depth ${depth} exceeds the limit of ${MAX_DEPTH}`);
+    if (complexity > MAX_COMPLEXITY) {
+      return fail(res, 400, `query complexity ${complexity} exceeds the limit of ${MAX_COMPLEXITY}`);
+    }
+
+    const result = await execute({
+      schema, document, operationName, variableValues: variables || {}, contextValue: requestLoaders(pool)
+    });
+    res.set("X-Query-Complexity", String(complexity)).json(result);
+  }
+
+  const route = read => async (req, res) => {
+    try {
+      await handle(req, res, read(req));
+    } catch (e) {
+      console.error("graphql error:", e);
+      res.status(500).json({ error: String(e) });
+    }
+  };
+
+  router.get("/graphql", route(req => req.query));
+  router.post("/graphql", route(req => req.body || {}));
+  return router;
+}
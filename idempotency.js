@@ -0,0 +1,94 @@
+// idempotency.js — Idempotency-Key handling for writes to Fulcrum
+// ============================================================================
+// The first request with a key claims it; its response is stored and any
+// retry with the same key and the same request gets that response again
+// instead of a second write. The same key with a different request is a
+// conflict, as is a retry while the first write is still in flight. A claim
+// is leased for IDEMPOTENCY_LEASE_SECONDS and renewed by holdKey() for as long
+// as its write runs, so only a claim whose process died is taken over. Each
+// claim carries a token: completing or releasing a key that was taken over
+// leaves the new claim alone. Keys are per caller (API key) and expire after
+// IDEMPOTENCY_TTL_HOURS; upstream 5xx and network failures release the key so
+// it can be retried.
+// ============================================================================
+
+import crypto from "crypto";
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+// an in-flight claim that isn't renewed blocks retries for this long
+const LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS || 120);
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+export const requestHash = ({ method, path, body }) =>
+  crypto.createHash("sha256").update(JSON.stringify([method, path, body ?? null])).digest("hex");
+
+// → { claimed: true, token } | { replay: { status, response } } | { conflict: "in_progress" | "mismatch" }
+export async function claimKey(db, { caller, key, hash }) {
+  for (;;) {
+    const token = crypto.randomUUID();
+    // an expired key, or an in-flight one past its lease, is taken over as if it were new
+    const r = await db.query(
+      `INSERT INTO idempotency_keys(caller,key,request_hash,claim_token,leased_until)
+       VALUES ($1,$2,$3,$6,NOW() + $5 * interval '1 second')
+       ON CONFLICT (caller,key) DO UPDATE
+         SET request_hash=EXCLUDED.request_hash, status=NULL, response=NULL, created_at=NOW(), completed_at=NULL,
+             claim_token=EXCLUDED.claim_token, leased_until=EXCLUDED.leased_until
+         WHERE idempotency_keys.created_at < NOW() - $4 * interval '1 hour'
+            OR (idempotency_keys.status IS NULL AND idempotency_keys.leased_until < NOW())
+       RETURNING key`,
+      [caller, key, hash, TTL_HOURS, LEASE_SECONDS, token]
+    );
+    if (r.rows[0]) return { claimed: true, token };
+    const row = (await db.query(
+      `SELECT request_hash, status, response FROM idempotency_keys WHERE caller=$1 AND key=$2`, [caller, key]
+    )).rows[0];
+    // released between the two statements: claim again
+    if (!row) continue;
+    if (row.request_hash !== hash) return { conflict: "mismatch" };
+    if (row.status == null) return { conflict: "in_progress" };
+    return { replay: { status: row.status, response: row.response } };
+  }
+}
+
+// Renews the claim's lease until the returned stop() is called
+export function holdKey(db, { caller, key, token }) {
+  const timer = setInterval(() => {
+    db.query(
+      `UPDATE idempotency_keys SET leased_until = NOW() + $4 * interval '1 second'
+       WHERE caller=$1 AND key=$2 AND claim_token=$3 AND status IS NULL`,
+      [caller, key, token, LEASE_SECONDS]
+    ).catch(e => console.error("idempotency lease renewal failed:", e.message));
+  }, LEASE_SECONDS * 1000 / 3);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// complete and release only touch the key while the claim is still this one
+export async function completeKey(db, { caller, key, token }, status, response) {
+  await db.query(
+    `UPDATE idempotency_keys SET status=$4, response=$5, completed_at=NOW()
+     WHERE caller=$1 AND key=$2 AND claim_token=$3 AND status IS NULL`,
+    [caller, key, token, status, JSON.stringify(response ?? null)]
+  );
+}
+
+export async function releaseKey(db, { caller, key, token }) {
+  await db.query(
+    `DELETE FROM idempotency_keys WHERE caller=$1 AND key=$2 AND claim_token=$3 AND status IS NULL`, [caller, key, token]
+  );
+}
+
+export async function pruneKeys(pool, hours = TTL_HOURS) {
+  const r = await pool.query(
+    `DELETE FROM idempotency_keys WHERE created_at < NOW() - $1 * interval '1 hour'`, [hours]
+  );
+  return r.rowCount;
+}
+
+export function startIdempotencyPruning(pool) {
+  const run = () => pruneKeys(pool)
+    .then(n => n && console.log(`idempotency: pruned ${n} keys older than ${TTL_HOURS}h`))
+    .catch(e => console.error("idempotency prune failed:", e.message));
+  run();
+  setInterval(run, PRUNE_EVERY_MS).unref();
+}
@@ -0,0 +1,193 @@
+// migrate.js — versioned schema migrations
+// ============================================================================
+// Applies numbered files from ./migrations in order and records them in
+// schema_migrations. A migration is either
+//   NNN_name.sql  with "-- up" and "-- down" sections, or
+//   NNN_name.js   exporting async up(client) and optionally down(client).
+// Each migration runs in its own transaction; an advisory lock keeps two
+// workers (server boot, sync job, deploy step) from migrating at once.
+//
+// Usage: node migrate.js [up | status | down [steps]]
+// ============================================================================
+
+import pg from "pg";
+import fs from "fs/promises";
+import { pathToFileURL } from "url";
+
+const MIGRATIONS_DIR = new URL("./migrations/", import.meta.url);
+const LOCK_KEY = 4631701; // arbitrary, shared by every fulcrum-proxy process
+
+//-------------------------------------------------------------
+// Discovery
+//-------------------------------------------------------------
+function splitSql(text) {
+  const parts = { up: "", down: "" };
+  let section = null;
+  for (const line of text.split("\n")) {
+    const m = line.match(/^--\s*(up|down)\s*$/i);
+    if (m) { section = m[1].toLowerCase(); continue; }
+    if (section) parts[section] += line + "\n";
+  }
+  return parts;
+}
+
+async function loadMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR))
+    .filter(f => /^\d+_[\w-]+\.(sql|js)$/.test(f))
+    .sort();
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name, ext] = file.match(/^(\d+)_([\w-]+)\.(sql|js)$/);
+    const url = new URL(file, MIGRATIONS_DIR);
+    if (ext === "sql") {
+      const { up, down } = splitSql(await fs.readFile(url, "utf8"));
+      migrations.push({
+        version, name,
+        up: client => client.query(up),
+        down: down.trim() ? client => client.query(down) : null
+      });
+    } else {
+      const mod = await import(url.href);
+      migrations.push({ version, name, up: mod.up, down: mod.down || null });
+    }
+  }
+  const dup = migrations.find((m, i) => migrations.findIndex(o => o.version === m.version) !== i);
+  if (dup) throw new Error(`duplicate migration version ${dup.version}`);
+  return migrations;
+}
+
+//-------------------------------------------------------------
+// Bookkeeping
+//-------------------------------------------------------------
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function appliedVersions(client) {
+  const r = await client.query(`SELECT version, applied_at FROM schema_migrations`);
+  return new Map(r.rows.map(x => [x.version, x.applied_at]));
+}
+
+async function withLock(client, fn) {
+  await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+  try {
+    await ensureMigrationsTable(client);
+    return await fn();
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]);
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    await fn();
+    await client.query("COMMIT");
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    throw e;
+  }
+}
+
+//-------------------------------------------------------------
+// Commands
+//-------------------------------------------------------------
+export async function migrateUp(client) {
+  const migrations = await loadMigrations();
+  return withLock(client, async () => {
+    const applied = await appliedVersions(client);
+    const done = [];
+    for (const m of migrations) {
+      if (applied.has(m.version)) continue;
+      console.log(`→ migrating ${m.version}_${m.name}`);
+      await inTransaction(client, async () => {
+        await m.up(client);
+        await client.query(
+          `INSERT INTO schema_migrations(version,name) VALUES ($1,$2)`,
+          [m.version, m.name]
+        );
+      });
+      done.push(`${m.version}_${m.name}`);
+    }
+    return done;
+  });
+}
+
+export async function migrateDown(client, steps = 1) {
+  const migrations = await loadMigrations();
+  return withLock(client, async () => {
+    const applied = await appliedVersions(client);
+    const targets = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+    const undone = [];
+    for (const m of targets) {
+      if (!m.down) throw new Error(`migration ${m.version}_${m.name} is irreversible`);
+      console.log(`← reverting ${m.version}_${m.name}`);
+      await inTransaction(client, async () => {
+        await m.down(client);
+        await client.query(`DELETE FROM schema_migrations WHERE version=$1`, [m.version]);
+      });
+      undone.push(`${m.version}_${m.name}`);
+    }
+    return undone;
+  });
+}
+
+export async function migrationStatus(client) {
+  const migrations = await loadMigrations();
+  return withLock(client, async () => {
+    const applied = await appliedVersions(client);
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.get(m.version) || null
+    }));
+  });
+}
+
+// Convenience for processes that only hold a pool
+export async function runMigrations(pool) {
+  const client = await pool.connect();
+  try { return await migrateUp(client); }
+  finally { client.release(); }
+}
+
+//-------------------------------------------------------------
+// CLI
+//-------------------------------------------------------------
+async function cli([command = "up", arg]) {
+  const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+  const client = await pool.connect();
+  try {
+    if (command === "up") {
+      const done = await migrateUp(client);
+      console.log(done.length ? `✅ Applied ${done.length} migration(s)` : "✅ Schema up to date");
+    } else if (command === "down") {
+      const steps = Math.max(1, Number(arg ?? 1) || 1);
+      const undone = await migrateDown(client, steps);
+      console.log(`✅ Reverted ${undone.length} migration(s)`);
+    } else if (command === "status") {
+      for (const m of await migrationStatus(client)) {
+        const when = m.applied_at ? new Date(m.applied_at).toISOString() : "pending";
+        console.log(`${m.applied_at ? "✓" : "·"} ${m.version}_${m.name}  ${when}`);
+      }
+    } else {
+      throw new Error(`unknown command "${command}" (expected up, status or down)`);
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli(process.argv.slice(2)).catch(err => {
+    console.error("❌ Migration failed:", err.message);
+    process.exit(1);
+  });
+}
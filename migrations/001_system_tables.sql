@@ -0,0 +1,26 @@
+-- up
+CREATE TABLE IF NOT EXISTS mirror_log (
+  resource TEXT,
+  rowcount INTEGER,
+  synced_at TIMESTAMPTZ DEFAULT NOW(),
+  hash TEXT,
+  last_date TIMESTAMPTZ,
+  errors JSONB
+);
+
+CREATE TABLE IF NOT EXISTS mirror_meta (
+  table_name TEXT PRIMARY KEY,
+  key_fields JSONB,
+  relationships JSONB,
+  last_discovered TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- bring older mirrors forward
+ALTER TABLE mirror_log
+  ADD COLUMN IF NOT EXISTS hash TEXT,
+  ADD COLUMN IF NOT EXISTS last_date TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS errors JSONB;
+
+-- down
+DROP TABLE IF EXISTS mirror_meta;
+DROP TABLE IF EXISTS mirror_log;
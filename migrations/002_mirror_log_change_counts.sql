@@ -0,0 +1,11 @@
+-- up
+ALTER TABLE mirror_log
+  ADD COLUMN IF NOT EXISTS inserted INTEGER,
+  ADD COLUMN IF NOT EXISTS updated INTEGER,
+  ADD COLUMN IF NOT EXISTS deleted INTEGER;
+
+-- down
+ALTER TABLE mirror_log
+  DROP COLUMN IF EXISTS inserted,
+  DROP COLUMN IF EXISTS updated,
+  DROP COLUMN IF EXISTS deleted;
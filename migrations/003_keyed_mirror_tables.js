@@ -0,0 +1,68 @@
+// Older mirrors were append-only (payload + generated id). Fold each of them
+// into the keyed layout, keeping the most recently synced copy of a record
+// (by synced_at where the table has one, else the last one inserted). Rows
+// whose payload has no id can't be keyed; they're moved to <table>_unkeyed.
+// Irreversible: there is no down step.
+
+export async function up(client) {
+  const legacy = await client.query(`
+    SELECT c.table_name
+    FROM information_schema.columns c
+    WHERE c.table_schema = current_schema()
+      AND c.column_name = 'payload'
+      AND NOT EXISTS (
+        SELECT 1 FROM information_schema.columns r
+        WHERE r.table_schema = c.table_schema
+          AND r.table_name = c.table_name
+          AND r.column_name = 'row_hash'
+      )
+      AND EXISTS (
+        SELECT 1 FROM information_schema.tables t
+        WHERE t.table_schema = c.table_schema
+          AND t.table_name = c.table_name
+          AND t.table_type = 'BASE TABLE'
+      )
+  `);
+
+  for (const { table_name: t } of legacy.rows) {
+    console.log(`   ↳ converting ${t} to keyed mirror table`);
+    await client.query(`ALTER TABLE "${t}" RENAME TO "${t}_legacy"`);
+    await client.query(`
+      CREATE TABLE "${t}" (
+        id TEXT PRIMARY KEY,
+        payload JSONB NOT NULL,
+        row_hash TEXT NOT NULL,
+        createdutc TIMESTAMPTZ,
+        updatedutc TIMESTAMPTZ,
+        synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        deleted_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS "${t}_createdutc_idx" ON "${t}"(createdutc);
+    `);
+    const hasSyncedAt = (await client.query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = $1 AND column_name = 'synced_at'`,
+      [`${t}_legacy`]
+    )).rowCount > 0;
+    await client.query(`
+      INSERT INTO "${t}"(id,payload,row_hash,createdutc,updatedutc,synced_at)
+      SELECT DISTINCT ON (payload->>'id') payload->>'id', payload, md5(payload::text),
+             CASE WHEN payload->>'createdUtc' ~ '^\\d{4}-\\d{2}-\\d{2}' THEN (payload->>'createdUtc')::timestamptz END,
+             CASE WHEN payload->>'updatedUtc' ~ '^\\d{4}-\\d{2}-\\d{2}' THEN (payload->>'updatedUtc')::timestamptz END,
+             ${hasSyncedAt ? "COALESCE(synced_at, NOW())" : "NOW()"}
+      FROM "${t}_legacy"
+      WHERE payload->>'id' IS NOT NULL
+      ORDER BY payload->>'id', ${hasSyncedAt ? "synced_at DESC NULLS LAST, " : ""}ctid DESC
+    `);
+    const unkeyed = await client.query(
+      `SELECT COUNT(*)::int AS n FROM "${t}_legacy" WHERE payload IS NULL OR payload->>'id' IS NULL`
+    );
+    if (unkeyed.rows[0].n) {
+      await client.query(`DELETE FROM "${t}_legacy" WHERE payload->>'id' IS NOT NULL`);
+      await client.query(`ALTER TABLE "${t}_legacy" RENAME TO "${t}_unkeyed"`);
+      console.warn(`   ⚠ ${unkeyed.rows[0].n} row(s) of ${t} have no id, kept in ${t}_unkeyed`);
+    } else {
+      await client.query(`DROP TABLE "${t}_legacy"`);
+    }
+  }
+}
@@ -0,0 +1,18 @@
+-- up
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,
+  -- empty array = no restriction beyond the proxy's ALLOWED_PREFIXES / any method
+  path_prefixes TEXT[] NOT NULL DEFAULT '{}',
+  methods TEXT[] NOT NULL DEFAULT '{}',
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ
+);
+
+-- down
+DROP TABLE IF EXISTS api_keys;
@@ -0,0 +1,24 @@
+-- up
+CREATE TABLE IF NOT EXISTS proxy_audit (
+  id BIGSERIAL PRIMARY KEY,
+  at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  caller TEXT,
+  api_key_id INTEGER,
+  method TEXT,
+  path TEXT,
+  query JSONB,
+  -- reads keep only a hash of the body; writes keep the redacted body itself
+  body_hash TEXT,
+  body JSONB,
+  status INTEGER,
+  latency_ms INTEGER,
+  rows_returned INTEGER,
+  cache TEXT,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS proxy_audit_at_idx ON proxy_audit(at);
+CREATE INDEX IF NOT EXISTS proxy_audit_caller_at_idx ON proxy_audit(caller, at);
+CREATE INDEX IF NOT EXISTS proxy_audit_path_idx ON proxy_audit(path text_pattern_ops);
+
+-- down
+DROP TABLE IF EXISTS proxy_audit;
@@ -0,0 +1,57 @@
+-- up
+-- casts that yield NULL instead of failing the whole query on one bad value
+CREATE OR REPLACE FUNCTION mirror_try_numeric(v TEXT) RETURNS NUMERIC
+LANGUAGE plpgsql IMMUTABLE AS $$
+BEGIN
+  RETURN v::numeric;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END $$;
+
+CREATE OR REPLACE FUNCTION mirror_try_boolean(v TEXT) RETURNS BOOLEAN
+LANGUAGE plpgsql IMMUTABLE AS $$
+BEGIN
+  RETURN v::boolean;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END $$;
+
+CREATE OR REPLACE FUNCTION mirror_try_timestamptz(v TEXT) RETURNS TIMESTAMPTZ
+LANGUAGE plpgsql STABLE AS $$
+BEGIN
+  RETURN v::timestamptz;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END $$;
+
+CREATE OR REPLACE FUNCTION mirror_try_date(v TEXT) RETURNS DATE
+LANGUAGE plpgsql STABLE AS $$
+BEGIN
+  RETURN v::date;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END $$;
+
+-- which typed views were generated for a mirror table, and from what
+CREATE TABLE IF NOT EXISTS mirror_typed_views (
+  table_name TEXT PRIMARY KEY,
+  model TEXT NOT NULL,
+  swagger_version TEXT,
+  view_names TEXT[] NOT NULL,
+  sql_hash TEXT NOT NULL,
+  generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- down
+DO $$
+DECLARE v TEXT;
+BEGIN
+  FOR v IN SELECT unnest(view_names) FROM mirror_typed_views LOOP
+    EXECUTE format('DROP VIEW IF EXISTS %I', v);
+  END LOOP;
+END $$;
+DROP TABLE IF EXISTS mirror_typed_views;
+DROP FUNCTION IF EXISTS mirror_try_date(TEXT);
+DROP FUNCTION IF EXISTS mirror_try_timestamptz(TEXT);
+DROP FUNCTION IF EXISTS mirror_try_boolean(TEXT);
+DROP FUNCTION IF EXISTS mirror_try_numeric(TEXT);
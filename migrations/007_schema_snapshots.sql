@@ -0,0 +1,13 @@
+-- up
+-- one compiled catalog per swagger version, as served by /schema
+CREATE TABLE IF NOT EXISTS schema_snapshots (
+  version TEXT PRIMARY KEY,
+  catalog JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- set by the sync job; the latest one is the version the mirror was built against
+  synced_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS schema_snapshots_fetched_at_idx ON schema_snapshots(fetched_at);
+
+-- down
+DROP TABLE IF EXISTS schema_snapshots;
@@ -0,0 +1,39 @@
+-- up
+-- one row per sync run; "running" rows whose process is gone are marked aborted
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id BIGSERIAL PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'running',  -- running | completed | partial | failed | aborted
+  options JSONB,
+  host TEXT,
+  pid INTEGER,
+  resources INTEGER,
+  failed INTEGER,
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS sync_runs_started_at_idx ON sync_runs(started_at);
+
+-- progress of each resource within a run; an unfinished one is resumed by the next run
+CREATE TABLE IF NOT EXISTS sync_checkpoints (
+  run_id BIGINT NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+  resource TEXT NOT NULL,
+  path TEXT,
+  status TEXT NOT NULL DEFAULT 'running',  -- running | done | failed
+  full_pass BOOLEAN,
+  fetch_since TEXT,
+  watermark TIMESTAMPTZ,
+  last_parent_id TEXT,
+  last_page INTEGER,
+  rows_done BIGINT NOT NULL DEFAULT 0,
+  parents_done BIGINT,
+  parents_total BIGINT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (run_id, resource)
+);
+CREATE INDEX IF NOT EXISTS sync_checkpoints_resource_idx ON sync_checkpoints(resource, updated_at);
+
+-- down
+DROP TABLE IF EXISTS sync_checkpoints;
+DROP TABLE IF EXISTS sync_runs;
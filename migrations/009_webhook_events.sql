@@ -0,0 +1,21 @@
+-- up
+-- every webhook delivery, deduplicated on the sender's event id, kept for replay
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_id TEXT NOT NULL UNIQUE,
+  entity_type TEXT,
+  entity_id TEXT,
+  action TEXT,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received',  -- received | applied | ignored | failed
+  target_table TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS webhook_events_status_idx ON webhook_events(status, received_at);
+CREATE INDEX IF NOT EXISTS webhook_events_entity_idx ON webhook_events(entity_type, entity_id);
+
+-- down
+DROP TABLE IF EXISTS webhook_events;
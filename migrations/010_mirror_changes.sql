@@ -0,0 +1,87 @@
+-- up
+-- one row per created / updated / deleted mirror record
+CREATE TABLE IF NOT EXISTS mirror_changes (
+  id BIGSERIAL PRIMARY KEY,
+  resource TEXT NOT NULL,
+  record_id TEXT NOT NULL,
+  action TEXT NOT NULL,  -- created | updated | deleted
+  before JSONB,
+  after JSONB,
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS mirror_changes_resource_idx ON mirror_changes(resource, id);
+CREATE INDEX IF NOT EXISTS mirror_changes_changed_at_idx ON mirror_changes(changed_at);
+
+-- top-level payload keys whose values differ between two versions of a record
+CREATE OR REPLACE FUNCTION mirror_changed_fields(a JSONB, b JSONB) RETURNS TEXT[]
+LANGUAGE sql IMMUTABLE AS $$
+  WITH o AS (
+    SELECT CASE WHEN jsonb_typeof(a) = 'object' THEN a ELSE '{}' END AS a,
+           CASE WHEN jsonb_typeof(b) = 'object' THEN b ELSE '{}' END AS b
+  )
+  SELECT COALESCE(array_agg(k ORDER BY k), '{}')
+  FROM o, (SELECT jsonb_object_keys(o.a) FROM o UNION SELECT jsonb_object_keys(o.b) FROM o) AS keys(k)
+  WHERE o.a -> k IS DISTINCT FROM o.b -> k
+$$;
+
+-- outbound webhooks; empty filter arrays match everything
+CREATE TABLE IF NOT EXISTS change_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  resources TEXT[] NOT NULL DEFAULT '{}',
+  fields TEXT[] NOT NULL DEFAULT '{}',
+  actions TEXT[] NOT NULL DEFAULT '{}',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS change_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  subscription_id BIGINT NOT NULL REFERENCES change_subscriptions(id) ON DELETE CASCADE,
+  change_id BIGINT NOT NULL REFERENCES mirror_changes(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending | delivered | dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_status INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  UNIQUE (subscription_id, change_id)
+);
+CREATE INDEX IF NOT EXISTS change_deliveries_due_idx ON change_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS change_deliveries_change_idx ON change_deliveries(change_id);
+
+-- queues a delivery per matching subscription in the writer's transaction and
+-- wakes the listening server processes
+CREATE OR REPLACE FUNCTION mirror_changes_fanout() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  INSERT INTO change_deliveries(subscription_id, change_id)
+  SELECT s.id, c.id
+  FROM new_rows c
+  JOIN change_subscriptions s ON s.active
+   AND (s.resources = '{}' OR EXISTS (
+         SELECT 1 FROM unnest(s.resources) AS r(term)
+         WHERE c.resource = r.term OR starts_with(c.resource, r.term || '_')))
+   AND (s.actions = '{}' OR c.action = ANY(s.actions))
+   AND (s.fields = '{}' OR c.action <> 'updated' OR c.changed_fields && s.fields)
+  ON CONFLICT DO NOTHING;
+
+  PERFORM pg_notify('mirror_changes', json_build_object('resource', resource, 'lastId', MAX(id))::text)
+  FROM new_rows GROUP BY resource;
+  RETURN NULL;
+END $$;
+
+DROP TRIGGER IF EXISTS mirror_changes_fanout ON mirror_changes;
+CREATE TRIGGER mirror_changes_fanout AFTER INSERT ON mirror_changes
+  REFERENCING NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION mirror_changes_fanout();
+
+-- down
+DROP TABLE IF EXISTS change_deliveries;
+DROP TABLE IF EXISTS change_subscriptions;
+DROP TABLE IF EXISTS mirror_changes;
+DROP FUNCTION IF EXISTS mirror_changes_fanout();
+DROP FUNCTION IF EXISTS mirror_changed_fields(JSONB, JSONB);
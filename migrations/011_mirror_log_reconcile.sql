@@ -0,0 +1,10 @@
+-- up
+-- results of the last reconciliation pass; the issues themselves go in errors
+ALTER TABLE mirror_log
+  ADD COLUMN IF NOT EXISTS upstream_count INTEGER,
+  ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMPTZ;
+
+-- down
+ALTER TABLE mirror_log
+  DROP COLUMN IF EXISTS upstream_count,
+  DROP COLUMN IF EXISTS reconciled_at;
@@ -0,0 +1,17 @@
+-- up
+-- Idempotency-Key of every /records write; the stored response is replayed
+-- to retries until the key expires
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  caller TEXT NOT NULL,
+  key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status INTEGER,  -- NULL while the write is in flight
+  response JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (caller, key)
+);
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_at_idx ON idempotency_keys(created_at);
+
+-- down
+DROP TABLE IF EXISTS idempotency_keys;
@@ -0,0 +1,24 @@
+-- up
+-- snapshots are kept per catalog content rather than per version string, so a
+-- swagger that changed without a version bump still gets one
+ALTER TABLE schema_snapshots DROP CONSTRAINT IF EXISTS schema_snapshots_pkey;
+ALTER TABLE schema_snapshots
+  ADD COLUMN IF NOT EXISTS id BIGSERIAL,
+  ADD COLUMN IF NOT EXISTS hash TEXT;
+UPDATE schema_snapshots s SET id = o.n
+FROM (SELECT version, row_number() OVER (ORDER BY fetched_at, version) AS n FROM schema_snapshots) o
+WHERE o.version = s.version;
+SELECT setval(pg_get_serial_sequence('schema_snapshots', 'id'), COALESCE(MAX(id), 0) + 1, false) FROM schema_snapshots;
+ALTER TABLE schema_snapshots ADD PRIMARY KEY (id);
+UPDATE schema_snapshots SET hash = md5(catalog::text);
+ALTER TABLE schema_snapshots ALTER COLUMN hash SET NOT NULL;
+CREATE INDEX IF NOT EXISTS schema_snapshots_version_idx ON schema_snapshots(version);
+
+-- down
+-- keeps the newest snapshot of each version
+DELETE FROM schema_snapshots s
+WHERE EXISTS (SELECT 1 FROM schema_snapshots n WHERE n.version = s.version AND n.id > s.id);
+DROP INDEX IF EXISTS schema_snapshots_version_idx;
+ALTER TABLE schema_snapshots DROP CONSTRAINT IF EXISTS schema_snapshots_pkey;
+ALTER TABLE schema_snapshots DROP COLUMN IF EXISTS id, DROP COLUMN IF EXISTS hash;
+ALTER TABLE schema_snapshots ADD PRIMARY KEY (version);
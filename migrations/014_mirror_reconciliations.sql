@@ -0,0 +1,28 @@
+-- up
+-- one row per resource and reconciliation pass, apart from mirror_log so a
+-- pass neither overwrites a sync's errors nor is hidden by the next sync
+CREATE TABLE IF NOT EXISTS mirror_reconciliations (
+  id BIGSERIAL PRIMARY KEY,
+  resource TEXT NOT NULL,
+  reconciled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  upstream_count INTEGER,           -- null when the listing hit the page cap
+  hash TEXT,
+  issues JSONB NOT NULL DEFAULT '[]'
+);
+CREATE INDEX IF NOT EXISTS mirror_reconciliations_resource_idx ON mirror_reconciliations(resource, reconciled_at DESC);
+
+-- passes so far were written over the errors of the sync before them, which
+-- were always empty
+INSERT INTO mirror_reconciliations(resource, reconciled_at, upstream_count, hash, issues)
+SELECT resource, reconciled_at, upstream_count, hash, COALESCE(errors, '[]'::jsonb)
+FROM mirror_log WHERE reconciled_at IS NOT NULL;
+UPDATE mirror_log SET errors = '[]'::jsonb WHERE reconciled_at IS NOT NULL;
+ALTER TABLE mirror_log
+  DROP COLUMN IF EXISTS upstream_count,
+  DROP COLUMN IF EXISTS reconciled_at;
+
+-- down
+ALTER TABLE mirror_log
+  ADD COLUMN IF NOT EXISTS upstream_count INTEGER,
+  ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMPTZ;
+DROP TABLE IF EXISTS mirror_reconciliations;
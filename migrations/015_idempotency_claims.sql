@@ -0,0 +1,12 @@
+-- up
+-- an in-flight claim belongs to the request holding claim_token and lasts
+-- until leased_until, which that request keeps pushing out while it writes
+ALTER TABLE idempotency_keys
+  ADD COLUMN IF NOT EXISTS claim_token TEXT,
+  ADD COLUMN IF NOT EXISTS leased_until TIMESTAMPTZ;
+UPDATE idempotency_keys SET leased_until = created_at + interval '2 minutes' WHERE status IS NULL;
+
+-- down
+ALTER TABLE idempotency_keys
+  DROP COLUMN IF EXISTS claim_token,
+  DROP COLUMN IF EXISTS leased_until;
@@ -3,26 +3,312 @@
 
 import express from "express";
 import pg from "pg";
+import { runProgress } from "./syncRuns.js";
+import { normalizeFilter, changesSince, subscribeChanges } from "./changeFeed.js";
+import { validationReport } from "./reconcile.js";
+import { queryBatches } from "./sqlGuard.js";
+import { exportFormat, exportColumns, sendExport, EXPORT_MAX_ROWS } from "./exportFormats.js";
 const { Pool } = pg;
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const router = express.Router();
 
-// List tables and last sync info
+// List tables and last sync info, plus recent sync runs with percent complete
 router.get("/summary", async (_req, res) => {
-  const q = await pool.query(
-    "SELECT resource, rowcount, synced_at FROM mirror_log ORDER BY resource"
-  );
-  res.json(q.rows);
+  try {
+    const q = await pool.query(
+      "SELECT resource, rowcount, inserted, updated, deleted, synced_at FROM mirror_log ORDER BY resource"
+    );
+    res.json({ resources: q.rows, runs: await runProgress(pool) });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// Latest reconciliation result per resource (see reconcile.js)
+// ?resource=jobs_list  ?issues=true → only resources with open issues
+router.get("/validation", async (req, res) => {
+  try {
+    res.json(await validationReport(pool, {
+      resource: req.query.resource || null,
+      issuesOnly: String(req.query.issues) === "true"
+    }));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+//-------------------------------------------------------------
+// Live changes as Server-Sent Events
+//-------------------------------------------------------------
+// GET /mirror/changes?resources=jobs&fields=status,dueDate&actions=created,updated
+// Each event's id is its change id; a reconnecting client (Last-Event-ID) or
+// ?since=<change id> first gets what it missed, then live events.
+const HEARTBEAT_MS = 25_000;
+
+router.get("/changes", async (req, res) => {
+  let filter;
+  try {
+    filter = normalizeFilter(req.query);
+  } catch (e) {
+    return res.status(400).json({ error: "bad_request", detail: e.message });
+  }
+  const since = req.get("last-event-id") ?? req.query.since;
+  if (since != null && !/^\d+$/.test(since)) {
+    return res.status(400).json({ error: "bad_request", detail: "since must be a change id" });
+  }
+
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "X-Accel-Buffering": "no" });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  let last = since != null ? Number(since) : 0;
+  let replaying = since != null;
+  const held = [];
+  const send = ev => {
+    if (ev.id <= last) return;
+    last = ev.id;
+    res.write(`id: ${ev.id}\nevent: change\ndata: ${JSON.stringify(ev)}\n\n`);
+  };
+  // live events wait until the replay has caught up
+  const unsubscribe = subscribeChanges(filter, ev => (replaying ? held.push(ev) : send(ev)));
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  let closed = false;
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    while (replaying && !closed) {
+      const events = await changesSince(pool, last, filter);
+      events.forEach(send);
+      if (events.length < 500) replaying = false;
+    }
+  } catch (e) {
+    res.write(`event: error\ndata: ${JSON.stringify({ error: String(e) })}\n\n`);
+  }
+  replaying = false;
+  held.splice(0).forEach(send);
 });
 
-// Read mirrored data (limit 500 rows)
+//-------------------------------------------------------------
+// Structured reads over mirror tables
+//-------------------------------------------------------------
+// GET /mirror/jobs?status=open&dueDate[lt]=2026-11-01&sort=-dueDate&fields=id,number&limit=100
+//   filters  field=value | field[op]=value  (ops below; dotted fields reach into nested payload)
+//   sort     comma list, "-" prefix for descending; id is always the final tiebreaker.
+//            Payload fields sort their numeric values as numbers (9 before 10),
+//            ahead of every value that isn't one, which sort as text
+//   fields   projection of payload paths
+//   cursor   opaque keyset cursor from the previous page's X-Next-Cursor header
+//   format   csv | xlsx | parquet (or Accept) for a file of every matching row,
+//            up to ?limit or EXPORT_MAX_ROWS; columns= picks its columns (exportFormats.js)
+// The SQL helpers below are shared with /graphql (graphqlApi.js).
+const RESERVED = new Set(["sort", "fields", "limit", "cursor", "includeDeleted", "format", "columns"]);
+export const OPS = {
+  eq: "=", ne: "<>", lt: "<", lte: "<=", gt: ">", gte: ">=",
+  like: "LIKE", ilike: "ILIKE", in: "IN", nin: "NOT IN", exists: "EXISTS"
+};
+const COLUMNS = { id: "text", createdutc: "timestamptz", updatedutc: "timestamptz" };
+const FIELD_RE = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*$/;
+export const MAX_LIMIT = 500;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+let knownTables = { at: 0, names: new Set() };
+async function isMirrorTable(name) {
+  if (Date.now() - knownTables.at > 60_000) {
+    const q = await pool.query("SELECT table_name FROM mirror_meta");
+    knownTables = { at: Date.now(), names: new Set(q.rows.map(r => r.table_name)) };
+  }
+  return knownTables.names.has(name);
+}
+
+export function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Builds SQL fragments while collecting positional params
+export function sqlBuilder() {
+  const params = [];
+  return {
+    params,
+    param(v) { params.push(v); return `$${params.length}`; },
+    field(name) {
+      if (!FIELD_RE.test(name)) throw badRequest(`invalid field "${name}"`);
+      const col = name.toLowerCase();
+      if (COLUMNS[col]) return { expr: col, type: COLUMNS[col] };
+      return { expr: `(payload #>> ${this.param(name.split("."))}::text[])`, type: "text" };
+    }
+  };
+}
+
+function castFor(value) {
+  if (/^-?\d+(\.\d+)?$/.test(value)) return "numeric";
+  if (/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) return "timestamptz";
+  return "text";
+}
+
+export function buildFilter(b, name, op, raw) {
+  const { expr, type } = b.field(name);
+  if (!OPS[op]) throw badRequest(`unknown operator "${op}" on ${name}`);
+
+  if (op === "exists") {
+    return /^(false|0)$/i.test(String(raw)) ? `${expr} IS NULL` : `${expr} IS NOT NULL`;
+  }
+  if (op === "in" || op === "nin") {
+    const list = (Array.isArray(raw) ? raw : String(raw).split(",")).map(String);
+    return `${expr} ${op === "in" ? "= ANY" : "<> ALL"}(${b.param(list)}::text[])`;
+  }
+
+  const value = String(Array.isArray(raw) ? raw[0] : raw);
+  if (["lt", "lte", "gt", "gte"].includes(op)) {
+    const cast = type === "text" ? castFor(value) : type;
+    const lhs = type === "text" && cast !== "text" ? `${expr}::${cast}` : expr;
+    return `${lhs} ${OPS[op]} ${b.param(value)}::${cast}`;
+  }
+  const rhs = type === "text" ? b.param(value) : `${b.param(value)}::${type}`;
+  return `${expr} ${OPS[op]} ${rhs}`;
+}
+
+export function parseSort(b, spec) {
+  const keys = String(spec || "createdutc")
+    .split(",").map(s => s.trim()).filter(Boolean)
+    .map(s => {
+      const desc = s.startsWith("-");
+      const name = s.replace(/^[-+]/, "");
+      const { expr, type } = b.field(name);
+      const key = { name: name.toLowerCase(), type, desc };
+      // NULLs would break keyset comparisons, so sort them as the lowest value
+      if (type === "timestamptz") return [{ ...key, expr: `COALESCE(${expr}, '-infinity'::timestamptz)` }];
+      if (type !== "text" || expr === "id") return [{ ...key, expr }];
+      // payload values are text; NaN sorts above every number
+      return [
+        { ...key, expr: `COALESCE(mirror_try_numeric(${expr}), 'NaN'::numeric)`, type: "numeric" },
+        { ...key, expr: `COALESCE(${expr}, '')` }
+      ];
+    })
+    .flat();
+  if (!keys.some(k => k.name === "id")) keys.push({ name: "id", expr: "id", type: "text", desc: false });
+  return keys;
+}
+
+export function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString("base64url");
+}
+
+export function decodeCursor(cursor, sort) {
+  let c;
+  try { c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8")); }
+  catch { throw badRequest("invalid cursor"); }
+  if (c?.s !== sort || !Array.isArray(c.v)) throw badRequest("cursor does not match sort");
+  return c.v;
+}
+
+// (k1,k2,...) strictly after the cursor row, honoring each key's direction
+export function keysetCondition(b, keys, values) {
+  const ors = keys.map((k, i) => {
+    const ands = keys.slice(0, i).map((p, j) => `${p.expr} = ${b.param(values[j])}::${p.type}`);
+    ands.push(`${k.expr} ${k.desc ? "<" : ">"} ${b.param(values[i])}::${k.type}`);
+    return `(${ands.join(" AND ")})`;
+  });
+  return `(${ors.join(" OR ")})`;
+}
+
+function setPath(obj, path, value) {
+  const parts = path.split(".");
+  let o = obj;
+  parts.slice(0, -1).forEach(p => { o = o[p] ??= {}; });
+  o[parts[parts.length - 1]] = value;
+}
+
+function project(payload, fields) {
+  if (!fields) return payload;
+  const out = {};
+  for (const f of fields) {
+    const v = f.split(".").reduce((o, k) => (o == null ? undefined : o[k]), payload);
+    if (v !== undefined) setPath(out, f, v);
+  }
+  return out;
+}
+
+// table + a /mirror/:resource query object → { sql (no LIMIT), params, keys, sortSpec, fields, limit }
+export function listQuery(table, query) {
+  const b = sqlBuilder();
+  const where = [];
+  if (String(query.includeDeleted) !== "true") where.push("deleted_at IS NULL");
+
+  for (const [name, raw] of Object.entries(query)) {
+    if (RESERVED.has(name)) continue;
+    if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+      for (const [op, v] of Object.entries(raw)) where.push(buildFilter(b, name, op, v));
+    } else if (Array.isArray(raw)) {
+      where.push(buildFilter(b, name, "in", raw));
+    } else {
+      where.push(buildFilter(b, name, "eq", raw));
+    }
+  }
+
+  const sortSpec = String(query.sort || "createdutc");
+  const keys = parseSort(b, sortSpec);
+  if (query.cursor) {
+    where.push(keysetCondition(b, keys, decodeCursor(query.cursor, sortSpec)));
+  }
+
+  const limit = Math.max(1, Math.min(Number(query.limit) || 100, MAX_LIMIT));
+  const fields = query.fields
+    ? String(query.fields).split(",").map(f => f.trim()).filter(Boolean)
+    : null;
+  fields?.forEach(f => { if (!FIELD_RE.test(f)) throw badRequest(`invalid field "${f}"`); });
+
+  const sql = `
+    SELECT payload, ${keys.map((k, i) => `${k.expr}::text AS _k${i}`).join(", ")}
+    FROM ${quoteIdent(table)}
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY ${keys.map(k => `${k.expr} ${k.desc ? "DESC" : "ASC"}`).join(", ")}`;
+  return { sql, params: b.params, keys, sortSpec, fields, limit };
+}
+
+// payloads of queryBatches rows, projected
+export async function* projectedBatches(batches, fields) {
+  for await (const rows of batches) yield rows.map(x => project(x.payload, fields));
+}
+
 router.get("/:resource", async (req, res) => {
   const r = req.params.resource;
   try {
-    const q = await pool.query(`SELECT payload FROM ${r} LIMIT 500`);
-    res.json(q.rows.map(x => x.payload));
+    if (!(await isMirrorTable(r))) return res.status(404).json({ error: "unknown_resource" });
+
+    const format = exportFormat(req);
+    const { sql, params, keys, sortSpec, fields, limit } = listQuery(r, req.query);
+
+    // files hold the whole result (or ?limit rows), read through a cursor
+    if (format) {
+      const maxRows = Math.max(1, Math.min(Number(req.query.limit) || EXPORT_MAX_ROWS, EXPORT_MAX_ROWS));
+      return await sendExport(res, format, projectedBatches(queryBatches(pool, sql, params, { maxRows }), fields), {
+        name: r, columns: exportColumns(req.query.columns)
+      });
+    }
+
+    const q = await pool.query(`${sql} LIMIT ${limit + 1}`, params);
+    const rows = q.rows.slice(0, limit);
+    if (q.rows.length > limit) {
+      const lastRow = rows[rows.length - 1];
+      res.set("X-Next-Cursor", encodeCursor(sortSpec, keys.map((_, i) => lastRow[`_k${i}`])));
+    }
+    res.json(rows.map(x => project(x.payload, fields)));
   } catch (e) {
-    res.status(404).json({ error: `Table ${r} not found` });
+    // 22xxx: a filter value that doesn't cast against the stored data
+    if (e.status === 400 || /^22/.test(e.code || "")) {
+      return res.status(400).json({ error: "bad_request", detail: e.message });
+    }
+    console.error("mirror/:resource error:", e);
+    res.status(500).json({ error: String(e) });
   }
 });
 
@@ -0,0 +1,156 @@
+// reconcile.js — checks a mirror table against Fulcrum and its swagger
+// ============================================================================
+// A reconciliation pass (node syncFulcrum.js --reconcile [--repair], or
+// POST /admin/sync { "reconcile": true, "repair": true }) lists every record
+// upstream and reports, per resource:
+//   count      upstream vs live mirror rows (not checked when the listing
+//              hit the page cap)
+//   missing    upstream ids absent from the mirror (or tombstoned)
+//   stale      mirror rows older than upstream (updatedUtc), or whose content
+//              differs for the sampled records (RECONCILE_SAMPLE_RATE, 0-1)
+//   orphaned   live mirror rows upstream no longer has
+//   duplicate  ids listed twice upstream, or payload ids stored under two keys
+//   required   records missing a field the response model requires
+//   enum       values outside the swagger enum for the field
+// Each pass is stored in mirror_reconciliations and the latest one per
+// resource served at /mirror/validation. --repair re-saves missing and stale
+// records from the same pass and tombstones orphans; an issue is marked
+// repaired once as many rows were rewritten or tombstoned as it counted.
+// ============================================================================
+
+const SAMPLE_IDS = 20;
+
+// Order-independent content checksum of a table's live rows (mirror_log.hash)
+export async function tableChecksum(db, table) {
+  const r = await db.query(
+    `SELECT md5(COUNT(*)::text || ':' ||
+                COALESCE(SUM(('x' || substr(md5(id || row_hash), 1, 15))::bit(60)::bigint), 0)::text) AS hash
+     FROM ${table} WHERE deleted_at IS NULL`
+  );
+  return r.rows[0].hash;
+}
+
+//-------------------------------------------------------------
+// Upstream vs mirror
+//-------------------------------------------------------------
+// rows: [{ id, updatedutc, payload | null }] — payload only for sampled rows
+export async function compareChunk(db, table, rows) {
+  const r = await db.query(
+    `SELECT x.id,
+            (m.id IS NULL OR m.deleted_at IS NOT NULL) AS missing,
+            (x.updatedutc > m.updatedutc
+             OR (x.payload IS NOT NULL AND md5(x.payload::text) IS DISTINCT FROM m.row_hash)) AS stale
+     FROM jsonb_to_recordset($1::jsonb) AS x(id TEXT, updatedutc TIMESTAMPTZ, payload JSONB)
+     LEFT JOIN ${table} m USING (id)`,
+    [JSON.stringify(rows)]
+  );
+  return {
+    missing: r.rows.filter(x => x.missing).map(x => x.id),
+    stale: r.rows.filter(x => !x.missing && x.stale).map(x => x.id)
+  };
+}
+
+// seenTable: the temp table of ids the upstream pass listed (seenIdsTable)
+export async function upstreamCounts(db, seenTable) {
+  const r = await db.query(
+    `SELECT COUNT(*)::int AS ids,
+            COUNT(*) FILTER (WHERE n > 1)::int AS duplicates,
+            COALESCE((array_agg(id ORDER BY id) FILTER (WHERE n > 1))[1:$1::int], '{}') AS duplicate_ids
+     FROM (SELECT id, COUNT(*) AS n FROM ${seenTable} GROUP BY id) s`,
+    [SAMPLE_IDS]
+  );
+  return r.rows[0];
+}
+
+export async function mirrorCounts(db, table, seenTable) {
+  const r = await db.query(
+    `SELECT COUNT(*)::int AS live,
+            COUNT(*) FILTER (WHERE NOT EXISTS (SELECT 1 FROM ${seenTable} s WHERE s.id = m.id))::int AS orphaned,
+            (array_agg(id ORDER BY id) FILTER (
+               WHERE NOT EXISTS (SELECT 1 FROM ${seenTable} s WHERE s.id = m.id)))[1:$1::int] AS orphaned_ids
+     FROM ${table} m WHERE deleted_at IS NULL`,
+    [SAMPLE_IDS]
+  );
+  const dup = await db.query(
+    `SELECT payload->>'id' AS id FROM ${table}
+     WHERE deleted_at IS NULL AND payload ? 'id'
+     GROUP BY 1 HAVING COUNT(*) > 1 ORDER BY 1`
+  );
+  return { ...r.rows[0], duplicateIds: dup.rows.map(x => x.id) };
+}
+
+//-------------------------------------------------------------
+// Required fields and enums from the catalog's response model
+//-------------------------------------------------------------
+export function modelChecks(catalog, path) {
+  const ops = (catalog?.resources || []).map(r => r.op).filter(op => op.path === path && op.responseModel);
+  const op = ops.find(o => o.method === "POST") || ops[0];
+  const model = op && catalog.models?.[op.responseModel];
+  if (!model) return [];
+  const checks = model.required.map(field => ({ check: "required", field, nullable: !!model.fields[field]?.nullable }));
+  for (const [field, d] of Object.entries(model.fields)) {
+    const values = d.enum ? catalog.enums?.[d.enum] : d.values;
+    if (Array.isArray(values) && values.length) checks.push({ check: "enum", field, values: values.map(String) });
+  }
+  return checks;
+}
+
+export async function validateRows(db, table, checks) {
+  if (!checks.length) return [];
+  const params = [SAMPLE_IDS];
+  const p = v => { params.push(v); return `$${params.length}`; };
+  const columns = checks.map((c, i) => {
+    const f = `${p(c.field)}::text`;
+    const cond = c.check === "enum"
+      ? `payload->>${f} IS NOT NULL AND payload->>${f} <> ALL(${p(c.values)}::text[])`
+      : c.nullable ? `NOT payload ? ${f}` : `(payload->${f}) IS NULL OR payload->${f} = 'null'::jsonb`;
+    return `
+       COUNT(*) FILTER (WHERE ${cond})::int AS n${i},
+       (array_agg(id ORDER BY id) FILTER (WHERE ${cond}))[1:$1::int] AS ids${i}` + (c.check === "enum" ? `,
+       (array_agg(DISTINCT payload->>${f}) FILTER (WHERE ${cond}))[1:$1::int] AS bad${i}` : "");
+  });
+  const r = await db.query(`SELECT ${columns.join(",")} FROM ${table} WHERE deleted_at IS NULL`, params);
+  const row = r.rows[0];
+  return checks
+    .map((c, i) => ({
+      check: c.check, field: c.field, count: row[`n${i}`], ids: row[`ids${i}`] || [],
+      ...(c.check === "enum" ? { values: row[`bad${i}`] || [] } : {})
+    }))
+    .filter(x => x.count);
+}
+
+//-------------------------------------------------------------
+// Results
+//-------------------------------------------------------------
+export const sampleIds = ids => [...ids].slice(0, SAMPLE_IDS);
+
+export async function recordReconcile(db, resource, { upstreamCount, issues, hash }) {
+  await db.query(
+    `INSERT INTO mirror_reconciliations(resource, upstream_count, hash, issues) VALUES ($1,$2,$3,$4)`,
+    [resource, upstreamCount, hash, JSON.stringify(issues)]
+  );
+}
+
+// Latest sync and reconciliation per resource for /mirror/validation; errors
+// are the reconciliation's issues, ok is false while any is unrepaired
+export async function validationReport(db, { resource = null, issuesOnly = false } = {}) {
+  const r = await db.query(
+    `SELECT l.resource, l.rowcount, c.upstream_count, COALESCE(c.hash, l.hash) AS hash, c.issues AS errors,
+            l.errors AS sync_errors, l.synced_at, c.reconciled_at
+     FROM (SELECT DISTINCT ON (resource) * FROM mirror_log
+           WHERE ($1::text IS NULL OR resource=$1)
+           ORDER BY resource, synced_at DESC) l
+     LEFT JOIN LATERAL (
+       SELECT * FROM mirror_reconciliations c WHERE c.resource = l.resource ORDER BY reconciled_at DESC, id DESC LIMIT 1
+     ) c ON true
+     ORDER BY l.resource`,
+    [resource]
+  );
+  return r.rows
+    .map(row => {
+      const errors = Array.isArray(row.errors) ? row.errors : [];
+      const syncErrors = Array.isArray(row.sync_errors) ? row.sync_errors : [];
+      return { ...row, errors, sync_errors: syncErrors, ok: row.reconciled_at ? errors.every(i => i.repaired) : null };
+    })
+    .filter(row => !issuesOnly || row.ok === false);
+}
@@ -0,0 +1,213 @@
+// records.js — validated writes to Fulcrum that refresh the mirror
+// ============================================================================
+//   POST  /records/:resource       create, e.g. POST /records/jobs → POST /api/jobs
+//   PATCH /records/:resource/:id   update → PATCH /api/jobs/{id} (or PUT when
+//                                  that is all the swagger offers)
+// :resource is a path segment or an entity name ("sales-orders", "SalesOrder").
+// The body is checked against the operation's request model from the
+// catalog before anything is sent; failures come back as
+//   400 { "error": "validation_failed", "model": "JobCreateRequest",
+//         "errors": [{ "field": "lines[0].quantity", "error": "expected number" }] }
+// PATCH bodies are partial, so required fields are only enforced on create
+// and PUT. An Idempotency-Key header makes retries safe (idempotency.js).
+// After a successful write the record is read back into its mirror table,
+//   201 { "id": "42", "record": {...}, "mirror": { "table": "jobs_list", "action": "saved" } }
+// with "mirror": { "error": ... } when the write went through but the
+// refresh didn't.
+// ============================================================================
+
+import express from "express";
+import { resourceSegments, entityTarget, refreshMirrorRecord, unwrap } from "./webhooks.js";
+import { requestHash, claimKey, holdKey, completeKey, releaseKey } from "./idempotency.js";
+import { recordAudit } from "./audit.js";
+
+const MAX_KEY_LENGTH = 255;
+
+//-------------------------------------------------------------
+// Operations
+//-------------------------------------------------------------
+// kind "create" | "update" → catalog op, or null
+export function writeOperation(catalog, resource, kind) {
+  const ops = (catalog?.resources || []).map(r => r.op);
+  for (const seg of resourceSegments(resource)) {
+    const op = kind === "create"
+      ? ops.find(o => o.method === "POST" && o.path === `/api/${seg}`)
+        || ops.find(o => o.method === "POST" && o.path === `/api/${seg}/create`)
+      : ["PATCH", "PUT"].map(m => ops.find(o => o.method === m && new RegExp(`^/api/${seg}/\\{[^}/]+\\}$`).test(o.path)))
+        .find(Boolean);
+    if (op) return op;
+  }
+  return null;
+}
+
+//-------------------------------------------------------------
+// Validation
+//-------------------------------------------------------------
+const isObject = v => v != null && typeof v === "object" && !Array.isArray(v);
+
+function checkValue(catalog, d, value, field, errors) {
+  const values = d.enum ? catalog.enums?.[d.enum] : d.values;
+  if (Array.isArray(values) && values.length) {
+    if (!values.map(String).includes(String(value))) errors.push({ field, error: `must be one of ${values.join(", ")}` });
+    return;
+  }
+  switch (d.type) {
+    case "integer":
+      if (!Number.isInteger(value)) errors.push({ field, error: "expected integer" });
+      return;
+    case "number":
+      if (typeof value !== "number" || !isFinite(value)) errors.push({ field, error: "expected number" });
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push({ field, error: "expected boolean" });
+      return;
+    case "array":
+      if (!Array.isArray(value)) return errors.push({ field, error: "expected array" });
+      value.forEach((v, i) => {
+        if (v == null) errors.push({ field: `${field}[${i}]`, error: "must not be null" });
+        else checkValue(catalog, d.items || {}, v, `${field}[${i}]`, errors);
+      });
+      return;
+    case "object":
+      if (!isObject(value)) return errors.push({ field, error: "expected object" });
+      if (d.ref) errors.push(...validateBody(catalog, d.ref, value, { prefix: `${field}.` }));
+      return;
+    default:
+      if (typeof value !== "string") return errors.push({ field, error: "expected string" });
+      if ((d.format === "date-time" || d.format === "date") && isNaN(Date.parse(value))) {
+        errors.push({ field, error: `is not a valid ${d.format}` });
+      }
+  }
+}
+
+// → [{ field, error }] for body against catalog.models[modelName]; partial
+// skips the required check (PATCH)
+export function validateBody(catalog, modelName, body, { partial = false, prefix = "" } = {}) {
+  if (!isObject(body)) return [{ field: prefix.replace(/\.$/, "") || "(body)", error: "expected object" }];
+  const model = catalog?.models?.[modelName];
+  if (!model) return [];
+  const errors = [];
+  if (!partial) {
+    for (const f of model.required) if (body[f] === undefined) errors.push({ field: prefix + f, error: "is required" });
+  }
+  for (const [f, value] of Object.entries(body)) {
+    const d = model.fields[f];
+    if (!d) { errors.push({ field: prefix + f, error: `is not a field of ${modelName}` }); continue; }
+    if (value === undefined) continue;
+    if (value === null) {
+      if (!d.nullable && model.required.includes(f)) errors.push({ field: prefix + f, error: "must not be null" });
+      continue;
+    }
+    checkValue(catalog, d, value, prefix + f, errors);
+  }
+  return errors;
+}
+
+//-------------------------------------------------------------
+// Router
+//-------------------------------------------------------------
+// write({ method, path, body, apiKey, audit }) → { status, data } (server.js executeCall);
+// fetchRecord(path) → { status, data }; pool null when there's no mirror database
+export function recordRoutes({ pool, catalog, write, fetchRecord }) {
+  const router = express.Router();
+
+  async function refresh(cat, resource, id) {
+    const target = entityTarget(cat, resource);
+    if (!pool || !target || id == null) return null;
+    try {
+      const { action, record } = await refreshMirrorRecord(pool, fetchRecord, target, String(id));
+      return { table: target.table, action, record };
+    } catch (e) {
+      console.error(`records: mirror refresh of ${resource} ${id} failed:`, e.message);
+      return { table: target.table, error: String(e.message || e) };
+    }
+  }
+
+  async function handle(req, res, kind, audit) {
+    const { resource, id } = req.params;
+    const cat = await catalog();
+    const op = writeOperation(cat, resource, kind);
+    if (!op) {
+      return res.status(404).json({ error: "unknown_resource", detail: `no ${kind} operation for "${resource}" in the catalog` });
+    }
+    const body = req.body;
+    const errors = validateBody(cat, op.requestModel, body, { partial: op.method === "PATCH" });
+    if (!errors.length && kind === "update" && !Object.keys(body).length) errors.push({ field: "(body)", error: "is empty" });
+    if (errors.length) return res.status(400).json({ error: "validation_failed", model: op.requestModel, errors });
+
+    const path = kind === "update" ? op.path.replace(/\{[^}/]+\}/, encodeURIComponent(id)) : op.path;
+    const key = req.get("idempotency-key");
+    let claim = null;
+    if (key != null) {
+      if (!key || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ error: "bad_request", detail: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+      }
+      if (!pool) return res.status(503).json({ error: "idempotency_unavailable", detail: "Idempotency-Key needs DATABASE_URL" });
+      claim = { caller: String(req.apiKey?.id ?? req.apiKey?.name ?? "anonymous"), key };
+      const c = await claimKey(pool, { ...claim, hash: requestHash({ method: op.method, path, body }) });
+      if (c.replay) return res.status(c.replay.status).set("Idempotent-Replayed", "true").json(c.replay.response);
+      if (c.conflict === "mismatch") {
+        return res.status(422).json({ error: "idempotency_key_reused", detail: "this key was used for a different request" });
+      }
+      if (c.conflict) return res.status(409).json({ error: "idempotency_key_in_use", detail: "the first request with this key is still running" });
+      claim.token = c.token;
+    }
+
+    let status, response;
+    // the upstream queue and its retries can outlast a lease
+    const stopHolding = claim ? holdKey(pool, claim) : () => {};
+    try {
+      const out = await write({ method: op.method, path, body, apiKey: req.apiKey, audit });
+      status = out.status;
+      if (status >= 200 && status < 300) {
+        const data = unwrap(out.data);
+        const recordId = kind === "update" ? id : isObject(data) ? data.id : ["string", "number"].includes(typeof data) ? data : null;
+        const mirror = await refresh(cat, resource, recordId);
+        response = {
+          id: recordId ?? null,
+          record: mirror?.record ?? data,
+          mirror: mirror && (mirror.error ? { table: mirror.table, error: mirror.error } : { table: mirror.table, action: mirror.action })
+        };
+        if (kind === "create" && status === 200) status = 201;
+      } else {
+        response = { error: "upstream_error", status, upstream: out.data };
+      }
+    } catch (e) {
+      if (claim) await releaseKey(pool, claim).catch(() => {});
+      throw e;
+    } finally {
+      stopHolding();
+    }
+    if (claim) {
+      // a 5xx may not have been applied: let the retry through
+      if (status >= 500) await releaseKey(pool, claim);
+      else await completeKey(pool, claim, status, response);
+    }
+    res.status(status).json(response);
+  }
+
+  // audited like /call: one proxy_audit row per write
+  const route = kind => async (req, res) => {
+    const started = Date.now();
+    const audit = {};
+    if (pool) {
+      res.on("finish", () => recordAudit(pool, {
+        ...audit, caller: req.apiKey, status: audit.status ?? res.statusCode, latencyMs: Date.now() - started
+      }));
+    }
+    try {
+      await handle(req, res, kind, audit);
+    } catch (e) {
+      audit.error = String(e);
+      if (e?.status === 401 || e?.status === 403) {
+        return res.status(e.status).json({ error: "fulcrum_unauthorized", upstream: e.upstream });
+      }
+      console.error(`records ${kind} error:`, e);
+      res.status(500).json({ error: String(e) });
+    }
+  };
+
+  router.post("/records/:resource", route("create"));
+  router.patch("/records/:resource/:id", route("update"));
+  return router;
+}
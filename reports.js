@@ -0,0 +1,266 @@
+// reports.js — material shortage (MRP) reports over the analytical views
+// ============================================================================
+// GET /reports/shortages        time-phased, multi-level shortages
+//   ?itemId=  ?jobId=  only rows for that component / job (netting still sees all demand)
+//   ?before=2026-12-31  ignore jobs due later
+//   ?type=buy|make      purchased components or subassemblies
+//   ?by=item            one row per item: total short, first date it runs out
+// GET /reports/item/:id/where-used  every assembly using the item, all levels,
+//   with the open job demand that drives it
+// Both return CSV with ?format=csv or "Accept: text/csv".
+//
+// Netting runs level by level (low-level codes): open jobs demand their
+// item's components; each item's demand is covered from available stock
+// (on hand minus allocated, over all lots and locations) in due-date order,
+// less whatever was already issued to that job. An uncovered subassembly is
+// exploded into its own components for the same job and date, so subassembly
+// stock reduces component demand. The views come from buildViews in
+// syncFulcrum.js and exist after the first sync.
+// ============================================================================
+
+import express from "express";
+
+const MAX_LEVELS = 20;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+//-------------------------------------------------------------
+// CSV
+//-------------------------------------------------------------
+export const csvCell = v => {
+  if (v == null) return "";
+  const s = v instanceof Date ? v.toISOString() : typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  return [columns.join(","), ...rows.map(r => columns.map(c => csvCell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+//-------------------------------------------------------------
+// Netting
+//-------------------------------------------------------------
+const num = v => (v == null ? 0 : Number(v));
+const byDue = (a, b) =>
+  (a.dueDate == null) - (b.dueDate == null) || (a.dueDate ?? 0) - (b.dueDate ?? 0) || String(a.jobId).localeCompare(String(b.jobId));
+
+// BOM edges minus the ones that close a cycle (found by depth-first search)
+function acyclicEdges(edges) {
+  const out = new Map();
+  for (const e of edges) {
+    if (!out.has(e.item_id)) out.set(e.item_id, []);
+    out.get(e.item_id).push(e);
+  }
+  const state = new Map(); // 1 on the current path, 2 finished
+  const keep = [];
+  const visit = item => {
+    state.set(item, 1);
+    for (const e of out.get(item) || []) {
+      const s = state.get(e.component_id);
+      if (s === 1) continue;
+      keep.push(e);
+      if (!s) visit(e.component_id);
+    }
+    state.set(item, 2);
+  };
+  for (const item of out.keys()) if (!state.has(item)) visit(item);
+  return keep;
+}
+
+// Deepest level an item appears at under any assembly
+function lowLevelCodes(edges) {
+  const llc = new Map();
+  for (const e of edges) {
+    if (!llc.has(e.item_id)) llc.set(e.item_id, 0);
+    if (!llc.has(e.component_id)) llc.set(e.component_id, 0);
+  }
+  for (let pass = 0; pass < MAX_LEVELS; pass++) {
+    let changed = false;
+    for (const e of edges) {
+      const lvl = llc.get(e.item_id) + 1;
+      if (lvl > llc.get(e.component_id)) {
+        llc.set(e.component_id, lvl);
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+  return llc;
+}
+
+// jobs: job_items rows; edges: item_boms rows; stock: item → available;
+// consumed: "job\u0000item" → qty already issued. Returns uncovered demand rows.
+export function netRequirements({ jobs, edges: allEdges, stock, consumed }) {
+  const edges = acyclicEdges(allEdges);
+  const children = new Map();
+  for (const e of edges) {
+    if (!children.has(e.item_id)) children.set(e.item_id, []);
+    children.get(e.item_id).push({ id: e.component_id, qtyPer: num(e.qty_per) });
+  }
+  const llc = lowLevelCodes(edges);
+  const issued = new Map(consumed);
+  const demand = new Map();
+
+  const addDemand = (itemId, job, qty, path) => {
+    const key = `${job.job_id}\u0000${itemId}`;
+    const used = Math.min(issued.get(key) || 0, qty);
+    if (used) issued.set(key, issued.get(key) - used);
+    if (qty - used <= 0) return;
+    if (!demand.has(itemId)) demand.set(itemId, []);
+    demand.get(itemId).push({
+      jobId: job.job_id, jobNumber: job.job_number, dueDate: job.due_date ? new Date(job.due_date) : null,
+      qty: qty - used, consumedQty: used, path
+    });
+  };
+
+  for (const job of jobs) {
+    for (const c of children.get(job.item_id) || []) {
+      addDemand(c.id, job, c.qtyPer * num(job.qty_remaining), [job.item_id]);
+    }
+  }
+
+  const jobsById = new Map(jobs.map(j => [j.job_id, j]));
+  const rows = [];
+  for (const itemId of [...llc.keys()].sort((a, b) => llc.get(a) - llc.get(b))) {
+    const ds = (demand.get(itemId) || []).sort(byDue);
+    if (!ds.length) continue;
+    const available = stock.get(itemId) ?? 0;
+    let balance = available;
+    const make = children.has(itemId);
+    for (const d of ds) {
+      const covered = Math.max(0, Math.min(balance, d.qty));
+      balance -= d.qty;
+      const short = d.qty - covered;
+      if (short <= 0) continue;
+      rows.push({
+        itemId, type: make ? "make" : "buy", level: llc.get(itemId),
+        jobId: d.jobId, jobNumber: d.jobNumber, dueDate: d.dueDate,
+        requiredQty: d.qty, consumedQty: d.consumedQty, availableQty: available,
+        coveredQty: covered, shortQty: short, projectedQty: balance,
+        path: [...d.path, itemId].join(" > ")
+      });
+      if (!make) continue;
+      for (const c of children.get(itemId)) addDemand(c.id, jobsById.get(d.jobId), c.qtyPer * short, [...d.path, itemId]);
+    }
+  }
+  return rows;
+}
+
+function byItem(rows) {
+  const items = new Map();
+  for (const r of rows) {
+    const it = items.get(r.itemId) || {
+      itemId: r.itemId, type: r.type, level: r.level, availableQty: r.availableQty,
+      shortQty: 0, jobs: new Set(), firstShortDate: null
+    };
+    it.shortQty += r.shortQty;
+    it.jobs.add(r.jobId);
+    if (r.dueDate && (!it.firstShortDate || r.dueDate < it.firstShortDate)) it.firstShortDate = r.dueDate;
+    items.set(r.itemId, it);
+  }
+  return [...items.values()]
+    .map(({ jobs, ...it }) => ({ ...it, jobs: jobs.size }))
+    .sort((a, b) => (a.firstShortDate == null) - (b.firstShortDate == null) || a.firstShortDate - b.firstShortDate);
+}
+
+export async function shortageReport(db, { itemId = null, jobId = null, before = null, type = null, by = null } = {}) {
+  if (before && isNaN(Date.parse(before))) throw badRequest("before must be a date");
+  if (type && !["buy", "make"].includes(type)) throw badRequest("type must be buy or make");
+  const [jobs, edges, stock, consumed] = await Promise.all([
+    db.query(
+      `SELECT job_id, job_number, item_id, due_date, qty_remaining FROM job_items
+       WHERE is_open AND qty_remaining > 0 AND item_id IS NOT NULL
+         AND ($1::timestamptz IS NULL OR due_date IS NULL OR due_date <= $1)`,
+      [before || null]
+    ),
+    db.query(`SELECT item_id, component_id, qty_per FROM item_boms WHERE item_id IS NOT NULL AND component_id IS NOT NULL`),
+    db.query(`SELECT item_id, available_qty FROM inventory_net`),
+    db.query(`SELECT job_id, item_id, qty FROM job_material_consumed`)
+  ]);
+  let rows = netRequirements({
+    jobs: jobs.rows,
+    edges: edges.rows,
+    stock: new Map(stock.rows.map(r => [r.item_id, num(r.available_qty)])),
+    consumed: consumed.rows.map(r => [`${r.job_id}\u0000${r.item_id}`, num(r.qty)])
+  });
+  rows = rows.filter(r => (!itemId || r.itemId === itemId) && (!jobId || r.jobId === jobId) && (!type || r.type === type));
+  return by === "item" ? byItem(rows) : rows;
+}
+
+//-------------------------------------------------------------
+// Where used
+//-------------------------------------------------------------
+export async function whereUsed(db, itemId) {
+  const r = await db.query(
+    `WITH RECURSIVE up AS (
+       SELECT b.item_id AS parent_id, b.qty_per AS qty_per_parent, 1 AS level, ARRAY[b.component_id, b.item_id] AS path
+       FROM item_boms b WHERE b.component_id=$1
+       UNION ALL
+       SELECT b.item_id, up.qty_per_parent*b.qty_per, up.level+1, up.path || b.item_id
+       FROM up JOIN item_boms b ON b.component_id=up.parent_id
+       WHERE b.item_id <> ALL(up.path) AND up.level < $2
+     )
+     SELECT up.parent_id, up.level, up.qty_per_parent, array_to_string(up.path, ' < ') AS path,
+            COUNT(j.job_id)::int AS open_jobs,
+            COALESCE(SUM(j.qty_remaining),0) AS open_qty,
+            COALESCE(SUM(j.qty_remaining*up.qty_per_parent),0) AS required_qty,
+            MIN(j.due_date) AS next_due_date
+     FROM up
+     LEFT JOIN job_items j ON j.item_id=up.parent_id AND j.is_open AND j.qty_remaining > 0
+     GROUP BY up.parent_id, up.level, up.qty_per_parent, up.path
+     ORDER BY up.level, up.parent_id`,
+    [itemId, MAX_LEVELS]
+  );
+  return r.rows;
+}
+
+//-------------------------------------------------------------
+// Routes
+//-------------------------------------------------------------
+function send(req, res, rows, name) {
+  const wantsCsv = req.query.format === "csv" || (!req.query.format && /text\/csv/.test(req.get("accept") || ""));
+  if (!wantsCsv) return res.json(rows);
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${name}.csv"`);
+  res.send(toCsv(rows));
+}
+
+function fail(res, e, label) {
+  if (e.status === 400) return res.status(400).json({ error: "bad_request", detail: e.message });
+  // 42P01: a view or its source table doesn't exist yet
+  if (e.code === "42P01") {
+    return res.status(503).json({ error: "views_missing", detail: `${e.message}; run a sync to build the analytical views` });
+  }
+  console.error(`${label} error:`, e);
+  res.status(500).json({ error: String(e) });
+}
+
+export function reportRoutes({ pool }) {
+  const router = express.Router();
+
+  router.get("/shortages", async (req, res) => {
+    try {
+      const q = req.query;
+      const rows = await shortageReport(pool, {
+        itemId: q.itemId || null, jobId: q.jobId || null, before: q.before || null, type: q.type || null, by: q.by || null
+      });
+      send(req, res, rows, q.by === "item" ? "shortages-by-item" : "shortages");
+    } catch (e) {
+      fail(res, e, "reports/shortages");
+    }
+  });
+
+  router.get("/item/:id/where-used", async (req, res) => {
+    try {
+      send(req, res, await whereUsed(pool, req.params.id), `where-used-${req.params.id.replace(/[^\w.-]/g, "_")}`);
+    } catch (e) {
+      fail(res, e, "reports/where-used");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,132 @@
+// responseCache.js — cache for proxied Fulcrum reads
+// ============================================================================
+// Entries are keyed on path, method, sorted query and a hash of the
+// normalized body, so purging by path prefix is a key-prefix scan.
+// TTLs come from CACHE_TTLS, a JSON map of path prefix → seconds (or
+// { ttl, methods } to opt a POST read such as availableByItem in):
+//   CACHE_TTLS='{"/api/items/list/v2":300,"/api/inventory/availableByItem":{"ttl":30,"methods":["POST"]}}'
+// The longest matching prefix wins. GETs and /list POSTs are cacheable by
+// default; any other call is treated as mutating and never cached.
+//
+// A store is any object with async-or-sync
+//   get(key) → { status, data, storedAt } | undefined
+//   set(key, entry, ttlMs)
+//   purge(prefix) → number of entries removed
+//   stats() → object
+// createMemoryStore() is the default; swap with setCacheStore().
+// ============================================================================
+
+import crypto from "crypto";
+
+function parseRules(raw) {
+  let rules = {};
+  try { rules = raw ? JSON.parse(raw) : {}; }
+  catch (e) { console.error("CACHE_TTLS is not valid JSON, caching disabled:", e.message); }
+  return Object.entries(rules)
+    .map(([prefix, v]) => ({
+      prefix,
+      ttlMs: Number(typeof v === "object" ? v.ttl : v) * 1000,
+      methods: (typeof v === "object" && v.methods ? v.methods : []).map(m => m.toUpperCase())
+    }))
+    .filter(r => r.ttlMs > 0)
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+const RULES = parseRules(process.env.CACHE_TTLS);
+
+//-------------------------------------------------------------
+// In-memory LRU store
+//-------------------------------------------------------------
+export function createMemoryStore({ maxEntries = Number(process.env.CACHE_MAX_ENTRIES || 1000) } = {}) {
+  const entries = new Map();
+  let hits = 0, misses = 0;
+  return {
+    get(key) {
+      const e = entries.get(key);
+      if (!e || e.expires <= Date.now()) {
+        if (e) entries.delete(key);
+        misses++;
+        return undefined;
+      }
+      // refresh recency
+      entries.delete(key);
+      entries.set(key, e);
+      hits++;
+      return e.entry;
+    },
+    set(key, entry, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { entry, expires: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    purge(prefix = "") {
+      let n = 0;
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) { entries.delete(key); n++; }
+      }
+      return n;
+    },
+    stats() {
+      return { backend: "memory", entries: entries.size, maxEntries, hits, misses };
+    }
+  };
+}
+
+let store = createMemoryStore();
+
+export function setCacheStore(s) {
+  store = s;
+}
+
+//-------------------------------------------------------------
+// Keys and policy
+//-------------------------------------------------------------
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v) ?? "null";
+}
+
+export function cacheKey({ method, path, query, body, autoPage }) {
+  const qs = new URLSearchParams(Object.entries(query || {}).sort(([a], [b]) => a.localeCompare(b))).toString();
+  const digest = crypto.createHash("sha1")
+    .update(stableStringify({ body: body ?? null, autoPage: autoPage ?? null }))
+    .digest("hex");
+  return `${path} ${method} ${qs} ${digest}`;
+}
+
+// GETs and list queries (/list, /list/v2, ...) don't change anything upstream
+export function isReadCall({ method, path }) {
+  return method === "GET" || (method === "POST" && /\/list(?:$|\/|\?)/.test(path));
+}
+
+// → TTL in ms, or 0 when the call must not be cached
+export function cacheTtl({ method, path }) {
+  const rule = RULES.find(r => path.startsWith(r.prefix));
+  if (!rule) return 0;
+  return isReadCall({ method, path }) || rule.methods.includes(method) ? rule.ttlMs : 0;
+}
+
+// Cache-Control from the caller: no-cache skips the lookup, no-store skips both
+export function cacheDirectives(header = "") {
+  const h = String(header).toLowerCase();
+  return { lookup: !/no-cache|no-store/.test(h), store: !/no-store/.test(h) };
+}
+
+export async function cacheGet(key) {
+  return store.get(key);
+}
+
+export async function cacheSet(key, entry, ttlMs) {
+  await store.set(key, { ...entry, storedAt: Date.now() }, ttlMs);
+}
+
+export async function cachePurge(prefix) {
+  return store.purge(prefix);
+}
+
+export async function cacheStats() {
+  return { rules: RULES.map(r => ({ prefix: r.prefix, ttlSeconds: r.ttlMs / 1000, methods: r.methods })), ...(await store.stats()) };
+}
@@ -0,0 +1,211 @@
+// scheduler.js — runs the mirror sync inside the server
+// ============================================================================
+// SYNC_SCHEDULE maps a sync selection (anything --only accepts, or "*" for
+// everything) to a cron expression and an optional freshness SLA in minutes:
+//   SYNC_SCHEDULE='{"inventory":{"cron":"*/5 * * * *","slaMinutes":15},
+//                   "items":{"cron":"0 2 * * *","slaMinutes":1560},
+//                   "*":"0 3 * * 0"}'
+// Due entries and manual triggers (POST /admin/sync) go into one queue that
+// runs a job at a time. runSync takes a Postgres advisory lock, so only one
+// server instance or CLI syncs at once; while another holds it the job stays
+// queued and is retried on the next tick. Cancelling a running job aborts its
+// AbortSignal; the sync stops between parents/pages and the run can resume.
+// freshness() compares each SLA with mirror_log and drives /healthz.
+// ============================================================================
+
+import { parseCron, nextRun } from "./cron.js";
+import { runSync } from "./syncFulcrum.js";
+
+const TICK_MS = 30_000;
+const KEEP_FINISHED = 50;
+
+function parseSchedule(raw) {
+  let entries = {};
+  try { entries = raw ? JSON.parse(raw) : {}; }
+  catch (e) { console.error("SYNC_SCHEDULE is not valid JSON, scheduler disabled:", e.message); }
+  const schedule = [];
+  for (const [term, v] of Object.entries(entries)) {
+    const spec = typeof v === "string" ? { cron: v } : v || {};
+    try {
+      schedule.push({
+        term,
+        only: term === "*" ? [] : [term],
+        cron: parseCron(spec.cron),
+        slaMinutes: spec.slaMinutes ? Number(spec.slaMinutes) : null,
+        nextAt: null
+      });
+    } catch (e) {
+      console.error(`SYNC_SCHEDULE["${term}"] ignored:`, e.message);
+    }
+  }
+  return schedule;
+}
+
+const SCHEDULE = parseSchedule(process.env.SYNC_SCHEDULE);
+
+let pool = null;
+let bootedAt = Date.now();
+let nextJobId = 1;
+let active = null;
+const jobs = [];
+let fresh = { checkedAt: null, stale: [] };
+
+//-------------------------------------------------------------
+// Queue
+//-------------------------------------------------------------
+const sameSelection = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const view = ({ controller, ...job }) => ({ ...job, cancelling: job.status === "running" && controller.signal.aborted });
+
+// options: anything runSync accepts except pool/signal
+export function enqueueSync(options = {}, { reason = "manual", requestedBy = null } = {}) {
+  const opts = { only: [], exclude: [], ...options };
+  const dup = jobs.find(j => j.status === "queued" && sameSelection(j.options, opts));
+  if (dup) return view(dup);
+  const job = {
+    id: nextJobId++,
+    status: "queued",
+    reason,
+    requestedBy,
+    options: opts,
+    runId: null,
+    queuedAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    failed: null,
+    error: null,
+    waiting: null,
+    controller: new AbortController()
+  };
+  jobs.push(job);
+  pump();
+  return view(job);
+}
+
+export function cancelSync(jobId) {
+  const job = jobs.find(j => j.id === Number(jobId));
+  if (!job) return null;
+  if (job.status === "queued") {
+    job.status = "cancelled";
+    job.finishedAt = new Date();
+  } else if (job.status === "running") {
+    job.controller.abort(new Error("cancelled"));
+  }
+  return view(job);
+}
+
+export function syncJobs() {
+  return jobs.map(view);
+}
+
+function trimJobs() {
+  const finished = jobs.filter(j => !["queued", "running"].includes(j.status));
+  for (const j of finished.slice(0, Math.max(0, finished.length - KEEP_FINISHED))) {
+    jobs.splice(jobs.indexOf(j), 1);
+  }
+}
+
+async function pump() {
+  if (active || !pool) return;
+  const job = jobs.find(j => j.status === "queued");
+  if (!job) return;
+  active = job;
+  job.status = "running";
+  job.startedAt = new Date();
+  try {
+    const r = await runSync({
+      ...job.options,
+      pool,
+      signal: job.controller.signal,
+      onStart: runId => { job.runId = runId; job.waiting = null; }
+    });
+    job.failed = r.failed;
+    job.status = r.failed ? "partial" : "completed";
+    job.finishedAt = new Date();
+  } catch (e) {
+    if (e.code === "sync_locked" && !job.controller.signal.aborted) {
+      job.status = "queued";
+      job.startedAt = null;
+      job.waiting = "another instance is syncing";
+    } else {
+      job.status = job.controller.signal.aborted ? "cancelled" : "failed";
+      job.error = String(e.message || e);
+      job.finishedAt = new Date();
+      console.error(`sync job #${job.id} ${job.status}:`, job.error);
+    }
+  } finally {
+    active = null;
+  }
+  if (job.status !== "queued") {
+    trimJobs();
+    await checkFreshness().catch(() => {});
+    pump();
+  }
+}
+
+//-------------------------------------------------------------
+// Freshness
+//-------------------------------------------------------------
+// A schedule term covers the mirror tables it names or that start with it
+// ("jobs" → jobs_list, jobs_operations_list)
+function covers(term, table) {
+  if (term === "*") return true;
+  const t = term.replace(/^\/api\//, "").replace(/[^a-zA-Z0-9_]/g, "_");
+  return table === t || table.startsWith(`${t}_`);
+}
+
+async function checkFreshness() {
+  const withSla = SCHEDULE.filter(e => e.slaMinutes);
+  if (!withSla.length) return;
+  const r = await pool.query(`SELECT resource, MAX(synced_at) AS synced_at FROM mirror_log GROUP BY resource`);
+  const now = Date.now();
+  const stale = [];
+  for (const e of withSla) {
+    const limit = e.slaMinutes * 60_000;
+    const tables = r.rows.filter(row => covers(e.term, row.resource));
+    for (const row of tables) {
+      const age = now - new Date(row.synced_at).getTime();
+      if (age > limit) {
+        stale.push({ term: e.term, resource: row.resource, syncedAt: row.synced_at, slaMinutes: e.slaMinutes });
+      }
+    }
+    // never synced only counts once the server has had a full SLA window to do it
+    if (!tables.length && now - bootedAt > limit) {
+      stale.push({ term: e.term, resource: null, syncedAt: null, slaMinutes: e.slaMinutes });
+    }
+  }
+  fresh = { checkedAt: new Date(), stale };
+}
+
+export function freshness() {
+  return { ok: !fresh.stale.length, ...fresh };
+}
+
+//-------------------------------------------------------------
+// Ticking
+//-------------------------------------------------------------
+function tick() {
+  const now = new Date();
+  for (const e of SCHEDULE) {
+    if (e.nextAt && now >= e.nextAt) {
+      const busy = jobs.some(j => ["queued", "running"].includes(j.status) && sameSelection(j.options.only, e.only));
+      if (!busy) enqueueSync({ only: e.only }, { reason: `schedule ${e.term} (${e.cron.expr})` });
+    }
+    if (!e.nextAt || now >= e.nextAt) e.nextAt = nextRun(e.cron, now);
+  }
+  checkFreshness().catch(err => console.error("freshness check failed:", err.message));
+  pump();
+}
+
+export function scheduleInfo() {
+  return SCHEDULE.map(e => ({ term: e.term, cron: e.cron.expr, slaMinutes: e.slaMinutes, nextAt: e.nextAt }));
+}
+
+export function startScheduler(p) {
+  pool = p;
+  bootedAt = Date.now();
+  tick();
+  setInterval(tick, TICK_MS).unref();
+  if (SCHEDULE.length) {
+    console.log(`scheduler: ${SCHEDULE.map(e => `${e.term} "${e.cron.expr}"`).join(", ")}`);
+  }
+}
@@ -0,0 +1,177 @@
+// schemaDiff.js — catalog snapshots and drift between them
+// ============================================================================
+// Every compiled catalog whose content differs from the latest snapshot is
+// stored in schema_snapshots (hash: md5 of the catalog), whether or not the
+// swagger version changed with it. diffCatalogs() compares two of them:
+//   endpoints  added / removed operations ("POST /api/jobs/list"), and per
+//              operation the request fields and response model fields that
+//              were added, removed or changed type
+//   models     the same field comparison for every object schema
+//   enums      added / removed enum types and their added / removed values
+// The sync job marks the snapshot it ran against (synced_at), so its report
+// can show what moved since the mirror was last built. /schema/diff takes a
+// version (its newest snapshot) or a snapshot id for from and to.
+// ============================================================================
+
+//-------------------------------------------------------------
+// Snapshots
+//-------------------------------------------------------------
+// → the latest snapshot, { id, version, hash }, new when the content changed
+export async function saveSnapshot(db, catalog) {
+  const json = JSON.stringify(catalog);
+  await db.query(
+    `INSERT INTO schema_snapshots(version, hash, catalog)
+     SELECT $1, md5($2::jsonb::text), $2::jsonb
+     WHERE md5($2::jsonb::text) IS DISTINCT FROM (SELECT hash FROM schema_snapshots ORDER BY id DESC LIMIT 1)`,
+    [catalog.version, json]
+  );
+  const r = await db.query(
+    `SELECT id, version, hash FROM schema_snapshots WHERE hash=md5($1::jsonb::text) ORDER BY id DESC LIMIT 1`,
+    [json]
+  );
+  return r.rows[0];
+}
+
+export async function listSnapshots(db) {
+  const r = await db.query(
+    `SELECT id, version, hash, fetched_at, synced_at FROM schema_snapshots ORDER BY id DESC`
+  );
+  return r.rows;
+}
+
+// ref: a version (its newest snapshot) or a snapshot id; { id } is only an id
+async function loadSnapshot(db, ref) {
+  const r = await db.query(
+    `SELECT id, version, catalog, fetched_at FROM schema_snapshots
+     WHERE ($2 AND version=$1) OR id::text=$1
+     ORDER BY version=$1 DESC, id DESC LIMIT 1`,
+    [String(ref?.id ?? ref), ref?.id == null]
+  );
+  if (!r.rows[0]) {
+    const err = new Error(`unknown_schema_version: ${ref?.id ?? ref}`);
+    err.status = 404;
+    throw err;
+  }
+  return r.rows[0];
+}
+
+// → { id, version, hash } of the snapshot the mirror was last built against
+export async function lastSyncedSnapshot(db) {
+  const r = await db.query(
+    `SELECT id, version, hash FROM schema_snapshots WHERE synced_at IS NOT NULL ORDER BY synced_at DESC, id DESC LIMIT 1`
+  );
+  return r.rows[0] ?? null;
+}
+
+export async function markSynced(db, id) {
+  await db.query(`UPDATE schema_snapshots SET synced_at=NOW() WHERE id=$1`, [id]);
+}
+
+//-------------------------------------------------------------
+// Diff
+//-------------------------------------------------------------
+const opKey = op => `${op.method} ${op.path}`;
+
+function listDiff(a = [], b = []) {
+  const from = new Set(a), to = new Set(b);
+  return { added: [...to].filter(x => !from.has(x)), removed: [...from].filter(x => !to.has(x)) };
+}
+
+// fields: { name → descriptor } as produced by catalog.js
+function fieldDiff(a = {}, b = {}) {
+  const { added, removed } = listDiff(Object.keys(a), Object.keys(b));
+  const changed = Object.keys(b)
+    .filter(f => f in a && JSON.stringify(a[f]) !== JSON.stringify(b[f]))
+    .map(field => ({ field, from: a[field], to: b[field] }));
+  return { added, removed, changed };
+}
+
+const isEmpty = d => !d.added.length && !d.removed.length && !d.changed?.length;
+
+export function diffCatalogs(from, to) {
+  const fromOps = new Map((from.resources || []).map(r => [opKey(r.op), r.op]));
+  const toOps   = new Map((to.resources || []).map(r => [opKey(r.op), r.op]));
+  const endpoints = { ...listDiff([...fromOps.keys()], [...toOps.keys()]), changed: [] };
+  for (const [key, b] of toOps) {
+    const a = fromOps.get(key);
+    if (!a) continue;
+    const request = listDiff(a.requestFields, b.requestFields);
+    const response = fieldDiff(from.models?.[a.responseModel]?.fields, to.models?.[b.responseModel]?.fields);
+    if (a.responseModel !== b.responseModel) response.model = { from: a.responseModel, to: b.responseModel };
+    if (!isEmpty(request) || !isEmpty(response) || response.model) {
+      endpoints.changed.push({ endpoint: key, request, response });
+    }
+  }
+
+  const models = { ...listDiff(Object.keys(from.models || {}), Object.keys(to.models || {})), changed: [] };
+  for (const [name, m] of Object.entries(to.models || {})) {
+    const prev = from.models?.[name];
+    if (!prev) continue;
+    const d = fieldDiff(prev.fields, m.fields);
+    if (!isEmpty(d)) models.changed.push({ model: name, ...d });
+  }
+
+  const enums = { ...listDiff(Object.keys(from.enums || {}), Object.keys(to.enums || {})), changed: [] };
+  for (const [name, values] of Object.entries(to.enums || {})) {
+    if (!from.enums?.[name]) continue;
+    const d = listDiff(from.enums[name], values);
+    if (!isEmpty(d)) enums.changed.push({ enum: name, ...d });
+  }
+
+  const changes = [endpoints, models, enums].reduce((n, d) => n + d.added.length + d.removed.length + d.changed.length, 0);
+  return { from: from.version, to: to.version, changes, endpoints, models, enums };
+}
+
+// Defaults: `to` is the newest snapshot, `from` the one saved before it
+export async function diffVersions(db, { from, to } = {}) {
+  const snapshots = await listSnapshots(db);
+  const toRef = to || (snapshots[0] && { id: snapshots[0].id });
+  if (!toRef) {
+    const err = new Error("no_schema_snapshots");
+    err.status = 404;
+    throw err;
+  }
+  const b = await loadSnapshot(db, toRef);
+  let fromRef = from;
+  if (!fromRef) {
+    const prev = snapshots.find(s => Number(s.id) < Number(b.id));
+    fromRef = prev && { id: prev.id };
+    if (!fromRef) return { from: null, to: b.version, changes: 0 };
+  }
+  const a = await loadSnapshot(db, fromRef);
+  return { ...diffCatalogs(a.catalog, b.catalog), fromSnapshot: Number(a.id), toSnapshot: Number(b.id) };
+}
+
+// Plain-text lines for the sync summary
+export function formatDiff(diff) {
+  if (!diff?.changes) return [];
+  const lines = [diff.from === diff.to
+    ? `Schema ${diff.to} changed without a version bump: ${diff.changes} change(s)`
+    : `Schema ${diff.from} → ${diff.to}: ${diff.changes} change(s)`];
+  const { endpoints, models, enums } = diff;
+  for (const e of endpoints.added) lines.push(`  + endpoint ${e}`);
+  for (const e of endpoints.removed) lines.push(`  - endpoint ${e}`);
+  for (const e of endpoints.changed) {
+    const parts = [
+      ...e.request.added.map(f => `+req ${f}`),
+      ...e.request.removed.map(f => `-req ${f}`),
+      ...(e.response.model ? [`model ${e.response.model.from} → ${e.response.model.to}`] : []),
+      ...e.response.added.map(f => `+${f}`),
+      ...e.response.removed.map(f => `-${f}`),
+      ...e.response.changed.map(c => `~${c.field}`)
+    ];
+    lines.push(`  ~ endpoint ${e.endpoint}: ${parts.join(", ")}`);
+  }
+  for (const m of models.added) lines.push(`  + model ${m}`);
+  for (const m of models.removed) lines.push(`  - model ${m}`);
+  for (const m of models.changed) {
+    const parts = [...m.added.map(f => `+${f}`), ...m.removed.map(f => `-${f}`), ...m.changed.map(c => `~${c.field}`)];
+    lines.push(`  ~ model ${m.model}: ${parts.join(", ")}`);
+  }
+  for (const e of enums.added) lines.push(`  + enum ${e}`);
+  for (const e of enums.removed) lines.push(`  - enum ${e}`);
+  for (const e of enums.changed) {
+    lines.push(`  ~ enum ${e.enum}: ${[...e.added.map(v => `+${v}`), ...e.removed.map(v => `-${v}`)].join(", ")}`);
+  }
+  return lines;
+}
@@ -2,89 +2,97 @@
 import express from "express";
 import mirrorRoutes from "./mirrorRoutes.js";
 import pg from "pg";   // <— added here
+import { pathToFileURL } from "url";
+import { runMigrations } from "./migrate.js";
+import { runReadOnlyQuery, streamReadOnlyQuery } from "./sqlGuard.js";
+import { exportFormat, exportColumns, sendExport, EXPORT_MAX_ROWS } from "./exportFormats.js";
+import { fetchPage, limiterStats, FULCRUM_BASE_URL } from "./upstream.js";
+import { getCatalog } from "./catalog.js";
+import { diffVersions, listSnapshots } from "./schemaDiff.js";
+import { authenticate, canCall, upstreamPath } from "./apiKeys.js";
+import { recordAudit, rowsIn, searchAudit, startAuditPruning } from "./audit.js";
+import { enqueueSync, cancelSync, syncJobs, scheduleInfo, freshness, startScheduler } from "./scheduler.js";
+import { runProgress } from "./syncRuns.js";
+import { webhookRoutes } from "./webhooks.js";
+import { recordRoutes } from "./records.js";
+import { planBatch, runBatch } from "./batch.js";
+import { startIdempotencyPruning } from "./idempotency.js";
+import { reportRoutes } from "./reports.js";
+import { resourceName } from "./syncGraph.js";
+import { graphqlRoutes } from "./graphqlApi.js";
+import { startChangeFeed } from "./changeFeed.js";
+import { exportInfo, runExportNow, startExports } from "./exportSchedule.js";
+import {
+  listSubscriptions, createSubscription, updateSubscription, deleteSubscription,
+  listDeliveries, retryDeliveries, startDeliveries
+} from "./changeSubscriptions.js";
+import { isReadCall, cacheKey, cacheTtl, cacheDirectives, cacheGet, cacheSet, cachePurge, cacheStats } from "./responseCache.js";
 
 const { Pool } = pg;
-const app = express();
-app.use(express.json({ limit: "2mb" }));
-
-// ---------- mirror routes ----------
-app.use("/mirror", mirrorRoutes);
 
 // ---------- config ----------
-const SHARED_SECRET    = process.env.SHARED_SECRET  || "replace-me";
 const FULCRUM_TOKEN    = process.env.FULCRUM_TOKEN  || "";
 const DATABASE_URL     = process.env.DATABASE_URL   || "";
 const ALLOWED_PREFIXES = ["/api/", "/swagger/v1/swagger.json"];
 
-const { fetch, Headers } = globalThis;
+const { Headers } = globalThis;
+const pool = new Pool({ connectionString: DATABASE_URL });
 
-// ---------- swagger schema ----------
-let SCHEMA_CACHE = null;
-let SCHEMA_CACHE_AT = 0;
-const SCHEMA_TTL_MS = 24 * 60 * 60 * 1000;
+const app = express();
+// webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  limit: "2mb",
+  verify: (req, _res, buf) => { if (req.url.startsWith("/webhooks/")) req.rawBody = buf; }
+}));
 
-async function fetchSwagger() {
-  const r = await fetch("https://api.fulcrumpro.com/swagger/v1/swagger.json", {
-    headers: new Headers({ Authorization: `Bearer ${FULCRUM_TOKEN}` })
-  });
-  if (!r.ok) throw new Error(`Swagger fetch failed: ${r.status}`);
-  return r.json();
-}
+// ---------- auth: API key + scope check for every route ----------
+app.use(authenticate(pool));
 
-function compileCatalog(sw) {
-  const catalog = { resources: [], enums: {}, version: sw.info?.version || "unknown", hints: {} };
-  const schemas = sw.components?.schemas || {};
-  for (const [name, sch] of Object.entries(schemas)) {
-    if (Array.isArray(sch?.enum)) catalog.enums[name] = sch.enum;
-  }
-  const paths = sw.paths || {};
-  for (const [p, ops] of Object.entries(paths)) {
-    for (const [m, def] of Object.entries(ops)) {
-      const seg = p.split("/").filter(Boolean);
-      catalog.resources.push({
-        resource: seg[1] || "root",
-        op: {
-          path: p,
-          method: (m || "").toUpperCase(),
-          summary: def?.summary || "",
-          isList: /\/list$/.test(p),
-          acceptsBody: !!def?.requestBody
-        }
-      });
-    }
-  }
-  catalog.hints = {
-    jobs: { prefer: ["/api/jobs/list", "/api/work-orders/list", "/api/production-jobs/list"] },
-    inventory: {
-      availability: "/api/inventory/availableByItem",
-      byItem: "/api/inventory/byItem",
-      transactions: "/api/inventory-transactions/list",
-      lots: "/api/inventory-lots/list"
-    },
-    items: { list: "/api/items/list/v2" },
-    invoices: { list: "/api/invoices/list" },
-    customers: { list: "/api/customers/list" }
-  };
-  return catalog;
-}
+// ---------- mirror routes ----------
+app.use("/mirror", mirrorRoutes);
 
-async function getCatalog() {
-  const now = Date.now();
-  if (SCHEMA_CACHE && now - SCHEMA_CACHE_AT < SCHEMA_TTL_MS) return SCHEMA_CACHE;
-  const sw = await fetchSwagger();
-  SCHEMA_CACHE = compileCatalog(sw);
-  SCHEMA_CACHE_AT = now;
-  return SCHEMA_CACHE;
-}
+// ---------- read-only GraphQL over the mirror ----------
+app.use(graphqlRoutes({ pool }));
+
+// ---------- shortage / MRP reports ----------
+app.use("/reports", reportRoutes({ pool }));
 
+// ---------- Fulcrum webhooks → mirror ----------
+app.use(webhookRoutes({
+  pool,
+  fetchRecord: path => executeCall({ method: "GET", path, cacheControl: "no-cache" }),
+  catalog: () => getCatalog(DATABASE_URL ? pool : null)
+}));
+
+// ---------- validated writes → Fulcrum → mirror ----------
+app.use(recordRoutes({
+  pool: DATABASE_URL ? pool : null,
+  catalog: () => getCatalog(DATABASE_URL ? pool : null),
+  write: opts => executeCall({ ...opts, cacheControl: "no-store" }),
+  fetchRecord: path => executeCall({ method: "GET", path, cacheControl: "no-cache" })
+}));
+
+// ---------- swagger schema ----------
 app.get("/schema", async (_req, res) => {
-  try { res.json(await getCatalog()); }
+  try { res.json(await getCatalog(DATABASE_URL ? pool : null)); }
   catch (e) { console.error("Schema error:", e); res.status(500).json({ error: String(e) }); }
 });
 
-// ---------- mirror read-only API ----------
-const pool = new Pool({ connectionString: DATABASE_URL });
+app.get("/schema/versions", async (_req, res) => {
+  try { res.json(await listSnapshots(pool)); }
+  catch (e) { res.status(500).json({ error: String(e) }); }
+});
 
+// /schema/diff?from=1.4&to=1.5 — versions or snapshot ids, both optional: newest snapshot vs the one before it
+app.get("/schema/diff", async (req, res) => {
+  try {
+    res.json(await diffVersions(pool, { from: req.query.from, to: req.query.to }));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.status ? e.message : String(e) });
+  }
+});
+
+// ---------- mirror read-only API ----------
 // Get 10 open jobs
 app.get("/mirror/openJobs", async (req, res) => {
   try {
@@ -99,7 +107,8 @@ app.get("/mirror/openJobs", async (req, res) => {
           payload->>'dueDate'       AS due_date,
           payload->>'customerName'  AS customer
         FROM jobs
-        WHERE (payload->>'cancelledOnUtc' IS NULL)
+        WHERE deleted_at IS NULL
+          AND (payload->>'cancelledOnUtc' IS NULL)
           AND (payload->>'completedOnUtc' IS NULL)
           AND (payload->>'status' IS DISTINCT FROM 'complete')
         ORDER BY (payload->>'createdUtc')::timestamptz DESC
@@ -117,32 +126,46 @@ app.get("/mirror/openJobs", async (req, res) => {
 });
 
 // Universal read-only SQL query
+// body: { sql, params?: [...], maxRows?, timeoutMs? } → { columns, rows, rowCount, truncated }
+// With format (body, ?format or Accept) the rows come back as a file instead,
+// up to maxRows or EXPORT_MAX_ROWS; body.columns picks its columns
 app.post("/mirror/query", async (req, res) => {
   try {
-    const headerSecret = req.headers["x-proxy-secret"];
-    if (headerSecret !== SHARED_SECRET) {
-      return res.status(401).json({ error: "invalid_proxy_secret" });
+    const { sql, params, maxRows, timeoutMs, columns } = req.body || {};
+    const format = exportFormat(req, req.body);
+    if (format) {
+      const rows = streamReadOnlyQuery(pool, sql, params, {
+        maxRows: Math.max(1, Math.min(Number(maxRows) || EXPORT_MAX_ROWS, EXPORT_MAX_ROWS)), timeoutMs
+      });
+      return await sendExport(res, format, rows, { name: "query", columns: exportColumns(columns) });
     }
-
-    const { sql } = req.body || {};
-    if (!sql || !/^select/i.test(sql.trim())) {
-      return res.status(400).json({ error: "Only SELECT statements allowed." });
+    res.json(await runReadOnlyQuery(pool, sql, params, { maxRows, timeoutMs }));
+  } catch (e) {
+    if (e.code === "sql_rejected") {
+      return res.status(400).json({ error: "sql_rejected", detail: e.message });
     }
-
-    const client = await pool.connect();
-    try {
-      const result = await client.query(sql);
-      res.json(result.rows);
-    } finally {
-      client.release();
+    if (e.status === 400) return res.status(400).json({ error: "bad_request", detail: e.message });
+    if (e.code === "57014") {
+      return res.status(408).json({ error: "query_timeout", detail: e.message });
+    }
+    // syntax errors, unknown tables/columns, bad casts, read-only violations
+    if (/^(42|22|25)/.test(e.code || "")) {
+      return res.status(400).json({ error: "query_error", detail: e.message });
     }
-  } catch (e) {
     console.error("mirror/query error:", e);
     res.status(500).json({ error: String(e) });
   }
 });
 
 // ---------- helpers ----------
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// The upstream body from a /call request; a body that is there but isn't
+// JSON is a 400 rather than a call sent without it
 function coerceInboundBody(reqBody) {
   const candidates = ["body", "payload", "data", "requestBody", "json", "Body", "DATA", "JSON"];
   let val;
@@ -152,136 +175,483 @@ function coerceInboundBody(reqBody) {
       break;
     }
   }
-  if (val == null && typeof reqBody?.raw === "string") {
-    try { val = JSON.parse(reqBody.raw); } catch {}
-  }
+  if (val == null && typeof reqBody?.raw === "string") val = reqBody.raw;
   if (val == null) return undefined;
   if (typeof val === "string") {
-    try { return JSON.parse(val); } catch { return undefined; }
+    if (!val.trim()) return undefined;
+    try { val = JSON.parse(val); }
+    catch (e) { throw badRequest(`body is not valid JSON: ${e.message}`); }
   }
+  if (val === null) return undefined;
   if (typeof val === "object") return val;
-  return undefined;
+  throw badRequest(`body must be a JSON object or array, got ${typeof val}`);
 }
 
-async function fetchPage({ url, methodUp, headers, body }) {
-  const resp = await fetch(url, { method: methodUp, headers, body });
-  if (resp.status === 401 || resp.status === 403) {
-    const text = await resp.text();
-    let upstream; try { upstream = JSON.parse(text); } catch { upstream = { raw: text }; }
-    const err = new Error("fulcrum_unauthorized");
-    err.status = resp.status;
-    err.upstream = upstream;
-    throw err;
+// Walks a list endpoint page by page through the upstream limiter; each page
+// is retried on its own, so a 429 or 5xx halfway through doesn't throw away
+// the pages already fetched. Yields { rows } per page, or a final
+// { status, data } when upstream answers with an error or a non-list body.
+// Streaming callers hold no rows in memory, so they get much higher caps.
+async function* listPages({ baseUrl, baseQS, query, methodUp, headers, body, autoPage, idempotent, stream }) {
+  const take      = Math.max(1, Math.min(Number(autoPage.take ?? query?.Take ?? 200), 500));
+  const maxPages  = Math.max(1, Math.min(Number(autoPage.maxPages ?? 10), stream ? 100000 : 100));
+  const maxRows   = Math.max(1, Math.min(Number(autoPage.maxRows ?? 2000), stream ? 10000000 : 100000));
+  let skip        = Number(autoPage.startSkip ?? query?.Skip ?? 0);
+
+  if (autoPage?.sortField && !baseQS.has("Sort.Field")) baseQS.set("Sort.Field", autoPage.sortField);
+  if (autoPage?.sortDir && !baseQS.has("Sort.Dir"))     baseQS.set("Sort.Dir", autoPage.sortDir);
+
+  let count = 0;
+  for (let page = 0; page < maxPages && count < maxRows; page++) {
+    baseQS.set("Skip", String(skip));
+    baseQS.set("Take", String(take));
+    const qs = baseQS.toString();
+    const url = qs ? `${baseUrl}?${qs}` : baseUrl;
+
+    const { status, data } = await fetchPage({ url, methodUp, headers, body, idempotent });
+    if (status < 200 || status >= 300) return yield { status, data };
+
+    const rows = Array.isArray(data) ? data : Array.isArray(data?.items) ? data.items : null;
+    if (!rows) return yield { status: 200, data };
+
+    count += rows.length;
+    yield { rows };
+    if (rows.length < take) break;
+    skip += take;
   }
-  let text = await resp.text();
-  if (!text || text.trim() === "") text = "[]";
-  let data; try { data = JSON.parse(text); } catch { data = { raw: text }; }
-  return { status: resp.status, data };
 }
 
-// ---------- proxy endpoint ----------
-app.post("/call", async (req, res) => {
-  const started = Date.now();
-  try {
-    const reqBody = req.body || {};
-    const method  = reqBody.method;
-    const path    = reqBody.path;
-    const query   = reqBody.query || {};
-    const headers = reqBody.headers || {};
-    const secret  = reqBody.secret;
-    let autoPage  = reqBody.autoPage;
+// Single request, or the buffered autoPage loop for list endpoints → { status, data }
+async function forwardCall({ baseUrl, baseQS, query, methodUp, headers, body, isList, autoPage, idempotent }) {
+  if (!isList || !autoPage) {
+    const qs = baseQS.toString();
+    const url = qs ? `${baseUrl}?${qs}` : baseUrl;
+    return fetchPage({ url, methodUp, headers, body, idempotent });
+  }
 
-    const inboundBody = coerceInboundBody(reqBody);
-    console.log(new Date().toISOString(), "CALL", { path, method, hasBody: !!inboundBody });
+  const all = [];
+  for await (const page of listPages({ baseUrl, baseQS, query, methodUp, headers, body, autoPage, idempotent })) {
+    if (!page.rows) return { status: page.status, data: page.data };
+    all.push(...page.rows);
+  }
+  return { status: 200, data: all };
+}
 
-    const headerSecret   = req.headers["x-proxy-secret"];
-    const providedSecret = headerSecret || secret;
-    if (providedSecret !== SHARED_SECRET) {
-      return res.status(401).json({ error: "invalid_proxy_secret" });
+// NDJSON: one row per line as each page arrives, then a trailer line
+//   {"_trailer":{"pages":12,"rows":5873,"error":null}}
+// Upstream failures after the 200 header has gone out land in trailer.error.
+// onDone({ pages, rows, error }) runs before the response is finished.
+async function streamCall(res, opts, onDone = () => {}) {
+  let pages = 0, rows = 0, error = null;
+  let closed = false;
+  res.on("close", () => { closed = true; });
+
+  res.status(200).set({ "Content-Type": "application/x-ndjson", "X-Cache": "BYPASS" });
+  res.flushHeaders();
+  try {
+    for await (const page of listPages({ ...opts, stream: true })) {
+      if (closed) return onDone({ pages, rows, error: { message: "client disconnected" } });
+      if (!page.rows) {
+        if (page.status >= 200 && page.status < 300) res.write(JSON.stringify(page.data) + "\n");
+        else error = { status: page.status, upstream: page.data };
+        break;
+      }
+      pages++;
+      rows += page.rows.length;
+      if (page.rows.length && !res.write(page.rows.map(r => JSON.stringify(r)).join("\n") + "\n")) {
+        await new Promise(r => { res.once("drain", r); res.once("close", r); });
+      }
     }
+  } catch (e) {
+    console.error("Proxy stream error:", e);
+    error = { status: e?.status || 500, message: String(e?.message || e), upstream: e?.upstream };
+  }
+  onDone({ pages, rows, error });
+  if (!closed) res.end(JSON.stringify({ _trailer: { pages, rows, error } }) + "\n");
+}
 
-    if (!path || !ALLOWED_PREFIXES.some(p => path.startsWith(p))) {
-      return res.status(400).json({ error: "Path not allowed" });
+// A list response as rows: the array itself, a { data: [...] } wrapper's
+// array, or the one record
+const listRows = data => (Array.isArray(data) ? data : Array.isArray(data?.data) ? data.data : data == null ? [] : [data]);
+
+// /call with a format: the streamed pages written as a file. An upstream
+// error before the first page is answered as JSON like any other /call.
+async function exportCall(res, opts, file, onDone) {
+  let pages = 0, rows = 0;
+  async function* batches() {
+    for await (const page of listPages({ ...opts, stream: true })) {
+      if (!page.rows) {
+        if (page.status >= 200 && page.status < 300) yield listRows(page.data);
+        else throw Object.assign(new Error(`upstream answered ${page.status}`), { upstreamStatus: page.status, upstream: page.data });
+        return;
+      }
+      pages++;
+      rows += page.rows.length;
+      yield page.rows;
     }
+  }
+  res.set("X-Cache", "BYPASS");
+  try {
+    const { error } = await sendExport(res, file.format, batches(), file);
+    onDone({ pages, rows, error: error && { status: error.upstreamStatus ?? error.status ?? 500, message: String(error.message || error) } });
+  } catch (e) {
+    if (e.upstreamStatus == null) throw e;
+    onDone({ pages, rows, error: { status: e.upstreamStatus, upstream: e.upstream } });
+    res.status(e.upstreamStatus).json(e.upstream);
+  }
+}
 
-    const baseUrl = `https://api.fulcrumpro.com${path}`;
-    const baseQS = new URLSearchParams(query);
+// ---------- proxied calls ----------
+// The /call pipeline minus the HTTP layer, so internal callers (the webhook
+// receiver) get the same prefix checks, cache and upstream limiter.
+//   → { status, data, cache?, age? }, or { stream } when the list should be
+//     streamed as NDJSON by the caller
+// apiKey null skips the per-key checks; `audit` is filled in along the way.
+async function executeCall({
+  method, path: rawPath, query = {}, headers = {}, body: inboundBody, autoPage,
+  apiKey = null, cacheControl, wantsStream = false, audit = {}
+}) {
+  Object.assign(audit, { method: method ? String(method).toUpperCase() : undefined, path: rawPath, query, body: inboundBody });
+
+  // every check below and the fetch itself see the same, normalized path
+  const path = upstreamPath(rawPath);
+  if (!path || !ALLOWED_PREFIXES.some(p => path.startsWith(p))) {
+    return { status: 400, data: { error: "Path not allowed" } };
+  }
+  audit.path = path;
 
-    const isList   = typeof path === "string" && /\/list(?:$|\?)/.test(path);
-    const hasBody  = inboundBody && typeof inboundBody === "object" && Object.keys(inboundBody).length > 0;
-    const methodUp = (method ? method.toUpperCase() : (isList ? "POST" : (hasBody ? "POST" : "GET")));
+  const baseUrl = `${FULCRUM_BASE_URL}${path}`;
+  const baseQS = new URLSearchParams(query);
 
-    const fwdHeaders = new Headers({
-      Authorization: `Bearer ${FULCRUM_TOKEN}`,
-      "Content-Type": headers?.["content-type"] || "application/json",
-      Accept: "application/json",
-      "User-Agent": "fulcrum-proxy/1.0"
-    });
+  const isList   = typeof path === "string" && /\/list(?:$|\/|\?)/.test(path);
+  const hasBody  = inboundBody && typeof inboundBody === "object" && Object.keys(inboundBody).length > 0;
+  const methodUp = (method ? method.toUpperCase() : (isList ? "POST" : (hasBody ? "POST" : "GET")));
+  const isRead   = isReadCall({ method: methodUp, path });
 
-    const defaultListBody = { DateFrom: "1900-01-01" };
-    const finalBodyBase =
-      methodUp === "GET" ? undefined :
-      hasBody ? JSON.stringify(inboundBody) :
-      isList  ? JSON.stringify(defaultListBody) :
-                "{}";
+  audit.method   = methodUp;
+  audit.mutating = !isRead;
 
-    if (isList && !autoPage) {
-      autoPage = { take: 200, maxPages: 10, sortField: "CreatedUtc", sortDir: "Ascending" };
-    }
+  const denied = apiKey && canCall(apiKey, { method: methodUp, path, read: isRead });
+  if (denied) {
+    audit.error = denied;
+    return { status: 403, data: { error: "forbidden", detail: denied } };
+  }
+
+  const fwdHeaders = new Headers({
+    Authorization: `Bearer ${FULCRUM_TOKEN}`,
+    "Content-Type": headers?.["content-type"] || "application/json",
+    Accept: "application/json",
+    "User-Agent": "fulcrum-proxy/1.0"
+  });
+
+  const defaultListBody = { DateFrom: "1900-01-01" };
+  const finalBodyBase =
+    methodUp === "GET" ? undefined :
+    hasBody ? JSON.stringify(inboundBody) :
+    isList  ? JSON.stringify(defaultListBody) :
+              "{}";
+
+  if (isList && !autoPage) {
+    autoPage = { take: 200, maxPages: 10, sortField: "CreatedUtc", sortDir: "Ascending" };
+  }
+
+  if (isList && autoPage && (autoPage.stream === true || wantsStream)) {
+    return {
+      stream: { baseUrl, baseQS, query, methodUp, headers: fwdHeaders, body: finalBodyBase, autoPage, idempotent: isRead }
+    };
+  }
 
-    if (!isList || !autoPage) {
-      const qs = baseQS.toString();
-      const url = qs ? `${baseUrl}?${qs}` : baseUrl;
-      const { status, data } = await fetchPage({ url, methodUp, headers: fwdHeaders, body: finalBodyBase });
-      return res.status(status).json(data);
+  const ttlMs = cacheTtl({ method: methodUp, path });
+  const cc    = cacheDirectives(cacheControl);
+  const key   = ttlMs ? cacheKey({ method: methodUp, path, query, body: finalBodyBase, autoPage }) : null;
+  if (key && cc.lookup) {
+    const hit = await cacheGet(key);
+    if (hit) {
+      audit.rows = rowsIn(hit.data);
+      return { status: hit.status, data: hit.data, cache: "HIT", age: Math.floor((Date.now() - hit.storedAt) / 1000) };
     }
+  }
 
-    // pagination
-    const take      = Math.max(1, Math.min(Number(autoPage.take ?? query?.Take ?? 200), 500));
-    const maxPages  = Math.max(1, Math.min(Number(autoPage.maxPages ?? 10), 100));
-    const maxRows   = Math.max(1, Math.min(Number(autoPage.maxRows ?? 2000), 100000));
-    let skip        = Number(autoPage.startSkip ?? query?.Skip ?? 0);
-
-    if (autoPage?.sortField && !baseQS.has("Sort.Field")) baseQS.set("Sort.Field", autoPage.sortField);
-    if (autoPage?.sortDir && !baseQS.has("Sort.Dir"))     baseQS.set("Sort.Dir", autoPage.sortDir);
-
-    const all = [];
-    for (let page = 0; page < maxPages && all.length < maxRows; page++) {
-      baseQS.set("Skip", String(skip));
-      baseQS.set("Take", String(take));
-      const qs = baseQS.toString();
-      const url = qs ? `${baseUrl}?${qs}` : baseUrl;
-
-      const { status, data } = await fetchPage({ url, methodUp, headers: fwdHeaders, body: finalBodyBase });
-      if (status < 200 || status >= 300) return res.status(status).json(data);
-
-      if (Array.isArray(data)) {
-        all.push(...data);
-        if (data.length < take) break;
-      } else if (data && Array.isArray(data.items)) {
-        all.push(...data.items);
-        if (data.items.length < take) break;
-      } else {
-        return res.status(200).json(data);
-      }
+  const { status, data } = await forwardCall({
+    baseUrl, baseQS, query, methodUp, headers: fwdHeaders, body: finalBodyBase, isList, autoPage, idempotent: isRead
+  });
+
+  if (key && cc.store && status >= 200 && status < 300) {
+    await cacheSet(key, { status, data }, ttlMs);
+  }
+  // a successful write invalidates cached reads of the same resource
+  if (!ttlMs && !isRead && status >= 200 && status < 300) {
+    await cachePurge(`/api/${path.split("/")[2]}/`);
+  }
+  audit.rows = rowsIn(data);
+  return { status, data, cache: key && cc.lookup ? "MISS" : "BYPASS" };
+}
 
-      skip += take;
-      if (all.length >= maxRows) break;
+// ---------- proxy endpoint ----------
+app.post("/call", async (req, res) => {
+  const started = Date.now();
+  // filled in as the call progresses, persisted once the response is sent
+  const audit = {};
+  res.on("finish", () => recordAudit(pool, {
+    ...audit,
+    caller: req.apiKey,
+    status: audit.status ?? res.statusCode,
+    latencyMs: Date.now() - started,
+    cache: res.get("X-Cache")
+  }));
+  try {
+    const reqBody = req.body || {};
+    let format, columns;
+    try {
+      format = exportFormat(req, reqBody);
+      columns = exportColumns(reqBody.columns);
+    } catch (e) {
+      return res.status(400).json({ error: "bad_request", detail: e.message });
     }
+    const inboundBody = coerceInboundBody(reqBody);
+    console.log(new Date().toISOString(), "CALL", { path: reqBody.path, method: reqBody.method, hasBody: !!inboundBody });
+
+    const out = await executeCall({
+      method: reqBody.method,
+      path: reqBody.path,
+      query: reqBody.query || {},
+      headers: reqBody.headers || {},
+      body: inboundBody,
+      autoPage: reqBody.autoPage,
+      apiKey: req.apiKey,
+      cacheControl: req.headers["cache-control"],
+      wantsStream: !!format || /application\/x-ndjson/i.test(req.headers.accept || ""),
+      audit
+    });
 
-    return res.status(200).json(all);
+    const done = ({ rows, error }) => {
+      audit.rows   = rows;
+      audit.status = error?.status ?? 200;
+      audit.error  = error ? JSON.stringify(error).slice(0, 2000) : undefined;
+    };
+    const file = format && { format, columns, name: resourceName(reqBody.path) || "call" };
+    if (out.stream) return await (file ? exportCall(res, out.stream, file, done) : streamCall(res, out.stream, done));
+    if (out.cache) res.set("X-Cache", out.cache);
+    if (out.age != null) res.set("Age", String(out.age));
+    if (file && out.status >= 200 && out.status < 300) {
+      return await sendExport(res, file.format, [listRows(out.data)], file);
+    }
+    return res.status(out.status).json(out.data);
   } catch (e) {
     const ms = Date.now() - started;
+    audit.error = String(e);
+    if (e?.status === 400) return res.status(400).json({ error: "invalid_body", detail: e.message });
     console.error("Proxy error:", e);
     if (e?.status === 401 || e?.status === 403) {
       return res.status(e.status).json({ error: "fulcrum_unauthorized", upstream: e.upstream });
     }
+    if (e?.message === "upstream_queue_full") {
+      return res.status(503).set("Retry-After", "5").json({ error: "upstream_queue_full", elapsedMs: ms });
+    }
     return res.status(500).json({ error: "proxy_error", detail: String(e), elapsedMs: ms });
   }
 });
 
+// ---------- batched calls ----------
+// body: { ops: [/call bodies with optional id / dependsOn], concurrency?, stopOnError? }
+// — see batch.js; one audit row per op
+app.post("/call/batch", async (req, res) => {
+  let plan;
+  try { plan = planBatch(req.body); }
+  catch (e) { return res.status(400).json({ error: "bad_request", detail: e.message }); }
+
+  const execute = async op => {
+    const started = Date.now();
+    const audit = {};
+    let r;
+    try {
+      const out = await executeCall({
+        method: op.method,
+        path: op.path,
+        query: op.query || {},
+        headers: op.headers || {},
+        body: coerceInboundBody(op),
+        autoPage: op.autoPage && { ...op.autoPage, stream: false },
+        apiKey: req.apiKey,
+        cacheControl: op.cacheControl ?? req.headers["cache-control"],
+        audit
+      });
+      r = { status: out.status, data: out.data };
+      audit.cache = out.cache;
+    } catch (e) {
+      audit.error = String(e);
+      r = e?.status === 400 ? { status: 400, error: `invalid_body: ${e.message}` }
+        : e?.status === 401 || e?.status === 403 ? { status: e.status, error: "fulcrum_unauthorized" }
+        : e?.message === "upstream_queue_full" ? { status: 503, error: "upstream_queue_full" }
+        : { status: 500, error: String(e) };
+    }
+    recordAudit(pool, { ...audit, caller: req.apiKey, status: audit.status ?? r.status, latencyMs: Date.now() - started });
+    return r;
+  };
+
+  try {
+    console.log(new Date().toISOString(), "BATCH", { ops: plan.ops.length, concurrency: plan.concurrency });
+    res.json(await runBatch(plan, execute));
+  } catch (e) {
+    console.error("Batch error:", e);
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ---------- cache admin ----------
+// body: { prefix } — "/api/items/" drops every cached items call; omit to clear all
+app.post("/admin/cache/purge", async (req, res) => {
+  const prefix = typeof req.body?.prefix === "string" ? req.body.prefix : "";
+  res.json({ purged: await cachePurge(prefix), prefix });
+});
+
+app.get("/admin/cache", async (req, res) => {
+  res.json(await cacheStats());
+});
+
+// ---------- audit ----------
+// ?caller=ops-dashboard&path=/api/sales-orders&from=2026-09-01&to=2026-10-01&status=200&before=<id>&limit=100
+app.get("/admin/audit", async (req, res) => {
+  try { res.json(await searchAudit(pool, req.query)); }
+  catch (e) {
+    if (/^22/.test(e.code || "")) return res.status(400).json({ error: "bad_request", detail: e.message });
+    console.error("admin/audit error:", e);
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ---------- sync jobs ----------
+const csv = v => (Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [])
+  .map(s => String(s).trim()).filter(Boolean);
+
+// body: { only, exclude, since, full, fresh, reconcile, repair } — same meaning as the sync CLI flags
+app.post("/admin/sync", (req, res) => {
+  if (!DATABASE_URL) return res.status(503).json({ error: "no_database" });
+  const b = req.body || {};
+  if (b.since && isNaN(Date.parse(b.since))) return res.status(400).json({ error: "bad_request", detail: "since must be a date" });
+  if (b.since && b.full) return res.status(400).json({ error: "bad_request", detail: "since and full can't be combined" });
+  if (b.repair && !b.reconcile) return res.status(400).json({ error: "bad_request", detail: "repair needs reconcile" });
+  if (b.reconcile && (b.since || b.full)) {
+    return res.status(400).json({ error: "bad_request", detail: "reconcile can't be combined with since or full" });
+  }
+  const job = enqueueSync(
+    {
+      only: csv(b.only), exclude: csv(b.exclude), since: b.since || null, full: !!b.full, fresh: !!b.fresh,
+      reconcile: !!b.reconcile, repair: !!b.repair
+    },
+    { requestedBy: req.apiKey?.name }
+  );
+  res.status(202).json(job);
+});
+
+app.get("/admin/sync", async (_req, res) => {
+  try {
+    res.json({ schedule: scheduleInfo(), jobs: syncJobs(), runs: DATABASE_URL ? await runProgress(pool, 20) : [] });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+app.post("/admin/sync/:jobId/cancel", (req, res) => {
+  const job = cancelSync(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "unknown_job" });
+  res.json(job);
+});
+
+// ---------- scheduled exports (EXPORT_SCHEDULE → EXPORT_DIR) ----------
+app.get("/admin/exports", (_req, res) => {
+  res.json(exportInfo());
+});
+
+app.post("/admin/exports/:name", async (req, res) => {
+  if (!DATABASE_URL) return res.status(503).json({ error: "no_database" });
+  try {
+    const e = await runExportNow(pool, req.params.name);
+    if (!e) return res.status(404).json({ error: "unknown_export" });
+    if (e.busy) return res.status(409).json({ error: "export_running", export: e });
+    res.status(e.last.error ? 500 : 200).json(e);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ---------- change subscriptions (outbound webhooks) ----------
+const subscriptionError = (res, e) => res.status(e.status || 500).json({ error: e.status ? e.message : String(e) });
+
+app.get("/admin/subscriptions", async (_req, res) => {
+  try { res.json(await listSubscriptions(pool)); }
+  catch (e) { subscriptionError(res, e); }
+});
+
+// body: { name, url, secret?, resources?, fields?, actions? } — the secret is only returned here
+app.post("/admin/subscriptions", async (req, res) => {
+  try { res.status(201).json(await createSubscription(pool, req.body || {})); }
+  catch (e) { subscriptionError(res, e); }
+});
+
+app.patch("/admin/subscriptions/:id", async (req, res) => {
+  try {
+    const sub = await updateSubscription(pool, req.params.id, req.body || {});
+    if (!sub) return res.status(404).json({ error: "unknown_subscription" });
+    res.json(sub);
+  } catch (e) { subscriptionError(res, e); }
+});
+
+app.delete("/admin/subscriptions/:id", async (req, res) => {
+  try {
+    if (!(await deleteSubscription(pool, req.params.id))) return res.status(404).json({ error: "unknown_subscription" });
+    res.status(204).end();
+  } catch (e) { subscriptionError(res, e); }
+});
+
+// ?status=pending|delivered|dead&limit=100
+app.get("/admin/subscriptions/:id/deliveries", async (req, res) => {
+  try {
+    res.json(await listDeliveries(pool, req.params.id, { status: req.query.status || null, limit: req.query.limit }));
+  } catch (e) { subscriptionError(res, e); }
+});
+
+// body: { ids? } — without ids every dead delivery is requeued
+app.post("/admin/subscriptions/:id/retry", async (req, res) => {
+  try { res.json({ requeued: await retryDeliveries(pool, req.params.id, { ids: req.body?.ids }) }); }
+  catch (e) { subscriptionError(res, e); }
+});
+
 // ---------- health ----------
-app.get("/healthz", (_req, res) => res.json({ ok: true }));
+// 503 once a scheduled resource is older than its freshness SLA
+app.get("/healthz", (_req, res) => {
+  const fresh = freshness();
+  res.status(fresh.ok ? 200 : 503).json({ ok: fresh.ok, upstream: limiterStats(), freshness: fresh });
+});
 
-const port = process.env.PORT || 3000;
-app.listen(port, () => console.log("Proxy running on", port));
+// ---------- startup ----------
+// Importing this module only builds the app (the e2e tests mount it on their
+// own server); running it migrates, starts the background jobs and listens.
+export { app, pool };
+
+// Rejects without listening when the migrations fail: serving a half-migrated
+// schema would only fail later and less clearly
+export function startServer(port = process.env.PORT || 3000) {
+  // whichever process boots first migrates; the advisory lock serializes the rest
+  const migrated = DATABASE_URL ? runMigrations(pool) : Promise.resolve();
+  return migrated
+    .then(() => {
+      if (!DATABASE_URL) return;
+      startAuditPruning(pool);
+      startIdempotencyPruning(pool);
+      startScheduler(pool);
+      startChangeFeed(pool);
+      startDeliveries(pool);
+      startExports(pool);
+    })
+    .then(() => new Promise(resolve => {
+      const server = app.listen(port, () => { console.log("Proxy running on", port); resolve(server); });
+    }));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer().catch(e => {
+    console.error("Migration failed, not starting:", e);
+    process.exit(1);
+  });
+}
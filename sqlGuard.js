@@ -0,0 +1,259 @@
+// sqlGuard.js — read-only SQL gate for /mirror/query
+// ============================================================================
+// Tokenizes the statement (comments, strings, dollar quotes and quoted
+// identifiers are understood, so keywords hidden in them don't count) and
+// rejects anything that is not a single read-only query. Accepted queries run
+// inside a READ ONLY transaction with a statement_timeout and are read
+// through a cursor so no more than maxRows ever leave the database.
+// ============================================================================
+
+const QUERY_TIMEOUT_MS = Number(process.env.QUERY_TIMEOUT_MS || 15000);
+const QUERY_MAX_ROWS   = Number(process.env.QUERY_MAX_ROWS   || 5000);
+const MAX_PARAMS       = 100;
+
+const LEADING = new Set(["select", "with", "values", "table"]);
+
+// statements and clauses that write, lock, or change session state
+const FORBIDDEN = new Set([
+  "insert", "update", "delete", "merge", "upsert", "truncate", "drop", "alter",
+  "create", "grant", "revoke", "copy", "call", "do", "execute", "prepare",
+  "deallocate", "listen", "unlisten", "notify", "lock", "vacuum", "analyze",
+  "cluster", "reindex", "refresh", "set", "reset", "discard", "comment",
+  "security", "into", "import", "load", "checkpoint", "begin", "commit",
+  "rollback", "savepoint", "release", "share", "nowait"
+]);
+
+// functions that sleep, touch the filesystem, run nested SQL or act on the server
+const FORBIDDEN_FN = /^(pg_sleep|pg_read|pg_ls_|pg_stat_file|pg_file|lo_|dblink|pg_terminate|pg_cancel|pg_reload|pg_rotate|pg_advisory|pg_try_advisory|pg_notify|set_config|query_to_xml|cursor_to_xml|database_to_xml|schema_to_xml|table_to_xml|nextval|setval|pg_logical|pg_replication|pg_create|pg_drop|pg_switch|pg_promote|pg_backup|pg_start_backup|pg_stop_backup|pg_import|pg_export|txid_current|pg_current_xact)/;
+
+function rejected(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = "sql_rejected";
+  return err;
+}
+
+//-------------------------------------------------------------
+// Tokenizer
+//-------------------------------------------------------------
+// Yields { type: "word" | "ident" | "string" | "param" | "number" | "punct", value }
+export function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+  const n = sql.length;
+  while (i < n) {
+    const c = sql[i];
+
+    if (/\s/.test(c)) { i++; continue; }
+
+    if (c === "-" && sql[i + 1] === "-") {
+      while (i < n && sql[i] !== "\n") i++;
+      continue;
+    }
+
+    if (c === "/" && sql[i + 1] === "*") {
+      let depth = 1;
+      i += 2;
+      while (i < n && depth) {
+        if (sql[i] === "/" && sql[i + 1] === "*") { depth++; i += 2; }
+        else if (sql[i] === "*" && sql[i + 1] === "/") { depth--; i += 2; }
+        else i++;
+      }
+      if (depth) throw rejected("unterminated comment");
+      continue;
+    }
+
+    // 'text', E'text', and U&'text' literals
+    if (c === "'" || (/[eE]/.test(c) && sql[i + 1] === "'") || (/[uU]/.test(c) && sql[i + 1] === "&" && sql[i + 2] === "'")) {
+      const escapes = /[eE]/.test(c);
+      i = sql.indexOf("'", i) + 1;
+      let value = "";
+      for (;;) {
+        if (i >= n) throw rejected("unterminated string literal");
+        if (escapes && sql[i] === "\\") { value += sql[i + 1] ?? ""; i += 2; continue; }
+        if (sql[i] === "'") {
+          if (sql[i + 1] === "'") { value += "'"; i += 2; continue; }
+          i++;
+          break;
+        }
+        value += sql[i++];
+      }
+      tokens.push({ type: "string", value });
+      continue;
+    }
+
+    if (c === '"' || (/[uU]/.test(c) && sql[i + 1] === "&" && sql[i + 2] === '"')) {
+      i = sql.indexOf('"', i) + 1;
+      let value = "";
+      for (;;) {
+        if (i >= n) throw rejected("unterminated quoted identifier");
+        if (sql[i] === '"') {
+          if (sql[i + 1] === '"') { value += '"'; i += 2; continue; }
+          i++;
+          break;
+        }
+        value += sql[i++];
+      }
+      tokens.push({ type: "ident", value: value.toLowerCase() });
+      continue;
+    }
+
+    if (c === "$") {
+      const param = sql.slice(i).match(/^\$(\d+)/);
+      if (param) {
+        tokens.push({ type: "param", value: Number(param[1]) });
+        i += param[0].length;
+        continue;
+      }
+      const tag = sql.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+      if (tag) {
+        const end = sql.indexOf(tag[0], i + tag[0].length);
+        if (end === -1) throw rejected("unterminated dollar-quoted string");
+        tokens.push({ type: "string", value: sql.slice(i + tag[0].length, end) });
+        i = end + tag[0].length;
+        continue;
+      }
+    }
+
+    const word = sql.slice(i).match(/^[A-Za-z_\u0080-\uffff][A-Za-z0-9_$\u0080-\uffff]*/);
+    if (word) {
+      tokens.push({ type: "word", value: word[0].toLowerCase() });
+      i += word[0].length;
+      continue;
+    }
+
+    const num = sql.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+    if (num) {
+      tokens.push({ type: "number", value: num[0] });
+      i += num[0].length;
+      continue;
+    }
+
+    tokens.push({ type: "punct", value: c });
+    i++;
+  }
+  return tokens;
+}
+
+//-------------------------------------------------------------
+// Guard
+//-------------------------------------------------------------
+// Throws a 400 error describing the first problem; returns the tokens.
+export function assertReadOnlySql(sql) {
+  if (typeof sql !== "string" || !sql.trim()) throw rejected("sql is required");
+
+  const tokens = tokenize(sql);
+  while (tokens.length && tokens[tokens.length - 1].value === ";") tokens.pop();
+  if (!tokens.length) throw rejected("sql is empty");
+
+  if (tokens.some(t => t.type === "punct" && t.value === ";")) {
+    throw rejected("only a single statement is allowed");
+  }
+
+  const first = tokens.find(t => !(t.type === "punct" && t.value === "("));
+  if (!first || first.type !== "word" || !LEADING.has(first.value)) {
+    throw rejected("only SELECT / WITH / VALUES / TABLE queries are allowed");
+  }
+
+  tokens.forEach((t, idx) => {
+    if (t.type === "word" && FORBIDDEN.has(t.value)) {
+      throw rejected(`"${t.value.toUpperCase()}" is not allowed in read-only queries`);
+    }
+    const next = tokens[idx + 1];
+    const isCall = next && next.type === "punct" && next.value === "(";
+    if (isCall && (t.type === "word" || t.type === "ident") && FORBIDDEN_FN.test(t.value)) {
+      throw rejected(`function ${t.value}() is not allowed`);
+    }
+  });
+
+  return tokens;
+}
+
+function checkParams(params) {
+  if (params == null) return [];
+  if (!Array.isArray(params)) throw rejected("params must be an array");
+  if (params.length > MAX_PARAMS) throw rejected(`at most ${MAX_PARAMS} params are allowed`);
+  return params.map(p => (p !== null && typeof p === "object" ? JSON.stringify(p) : p));
+}
+
+//-------------------------------------------------------------
+// Execution
+//-------------------------------------------------------------
+// Callers may ask for a lower timeout / row cap than the configured one, never higher.
+export async function runReadOnlyQuery(pool, sql, params, opts = {}) {
+  const tokens = assertReadOnlySql(sql);
+  const values = checkParams(params);
+  const maxParam = Math.max(0, ...tokens.filter(t => t.type === "param").map(t => t.value));
+  if (maxParam > values.length) throw rejected(`query references $${maxParam} but ${values.length} params were given`);
+
+  const timeoutMs = Math.max(1, Math.min(Number(opts.timeoutMs) || QUERY_TIMEOUT_MS, QUERY_TIMEOUT_MS));
+  const maxRows   = Math.max(1, Math.min(Number(opts.maxRows)   || QUERY_MAX_ROWS,   QUERY_MAX_ROWS));
+  const body = sql.trim().replace(/;+\s*$/, "");
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN TRANSACTION READ ONLY");
+    await client.query(`SET LOCAL statement_timeout = ${Math.floor(timeoutMs)}`);
+    await client.query(`DECLARE mirror_query NO SCROLL CURSOR FOR ${body}`, values);
+    const result = await client.query(`FETCH FORWARD ${maxRows + 1} FROM mirror_query`);
+
+    const oids = [...new Set(result.fields.map(f => f.dataTypeID))];
+    const types = await client.query(
+      `SELECT oid, format_type(oid, NULL) AS type FROM pg_type WHERE oid = ANY($1)`,
+      [oids]
+    );
+    const typeOf = new Map(types.rows.map(t => [Number(t.oid), t.type]));
+    await client.query("ROLLBACK");
+
+    const truncated = result.rows.length > maxRows;
+    const rows = truncated ? result.rows.slice(0, maxRows) : result.rows;
+    return {
+      columns: result.fields.map(f => ({ name: f.name, type: typeOf.get(f.dataTypeID) || String(f.dataTypeID) })),
+      rows,
+      rowCount: rows.length,
+      truncated
+    };
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Rows of a query, batchSize at a time from a cursor in a READ ONLY
+// transaction, up to maxRows (exports). statement_timeout covers each fetch.
+// The SQL isn't checked: callers build it, or use streamReadOnlyQuery.
+export async function* queryBatches(pool, sql, params = [], { maxRows = Infinity, batchSize = 1000, timeoutMs = QUERY_TIMEOUT_MS } = {}) {
+  const client = await pool.connect();
+  let sent = 0;
+  try {
+    await client.query("BEGIN TRANSACTION READ ONLY");
+    await client.query(`SET LOCAL statement_timeout = ${Math.floor(timeoutMs)}`);
+    await client.query(`DECLARE export_rows NO SCROLL CURSOR FOR ${sql}`, params);
+    while (sent < maxRows) {
+      const r = await client.query(`FETCH FORWARD ${Math.min(batchSize, maxRows - sent)} FROM export_rows`);
+      if (!r.rows.length) break;
+      sent += r.rows.length;
+      yield r.rows;
+      if (r.rows.length < batchSize) break;
+    }
+  } finally {
+    // also reached when the consumer stops early; a client that can't roll back is dropped
+    let broken;
+    try { await client.query("ROLLBACK"); } catch (e) { broken = e; }
+    client.release(broken);
+  }
+}
+
+// queryBatches for a /mirror/query statement, checked as in runReadOnlyQuery
+export function streamReadOnlyQuery(pool, sql, params, { maxRows, timeoutMs } = {}) {
+  const tokens = assertReadOnlySql(sql);
+  const values = checkParams(params);
+  const maxParam = Math.max(0, ...tokens.filter(t => t.type === "param").map(t => t.value));
+  if (maxParam > values.length) throw rejected(`query references $${maxParam} but ${values.length} params were given`);
+  return queryBatches(pool, sql.trim().replace(/;+\s*$/, ""), values, {
+    maxRows,
+    timeoutMs: Math.max(1, Math.min(Number(timeoutMs) || QUERY_TIMEOUT_MS, QUERY_TIMEOUT_MS))
+  });
+}
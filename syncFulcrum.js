@@ -4,26 +4,60 @@
 // - Auto-discovers /list, /bom, /routing endpoints (including nested /{id}/list)
 // - Expands parameterized endpoints using IDs from parent tables (handles millions)
 // - Mirrors JSONB data incrementally into Postgres with concurrency and retries
-// - Enforces dependency-aware ordering (items → boms → jobs → inventory)
+// - Syncs parents before the nested endpoints expanded from them (syncGraph.js)
 // - Generates a sync summary report (rows added, schema changes, errors)
+// - Runs from this CLI or on a schedule inside the server (scheduler.js)
+// - Records every created/updated/deleted row in mirror_changes (changeFeed.js);
+//   a table's first load is a baseline and records nothing
+//
+// Usage: node syncFulcrum.js [--only jobs,items] [--exclude routing]
+//          [--since 2026-01-01 | --full | --reconcile [--repair]] [--fresh] [--concurrency 5]
+//          [--dry-run] [--list]
+//   --only/--exclude  paths, mirror tables (jobs_list) or resources (jobs)
+//   --since           re-read incremental resources from a date
+//   --full            re-read and rewrite the selected tables, tombstoning what's gone
+//   --fresh           ignore checkpoints left by an interrupted run
+//   --reconcile       compare the mirror with Fulcrum instead of syncing (reconcile.js)
+//   --repair          with --reconcile: re-save drifted rows, tombstone orphans
+//   --dry-run         print what would be fetched, parent id counts included
+//   --list            print the discovered catalog and exit
+// Only one sync (or reconciliation) runs at a time across every process: runSync
+// holds a Postgres advisory lock for the whole run, CLI and scheduler alike.
+// Exit codes: 0 everything synced, 1 the run failed, 2 some resources failed,
+//             3 another sync holds the lock
 // ============================================================================
 
 import pg from "pg";
-import fetch from "node-fetch";
 import crypto from "crypto";
+import { parseArgs } from "util";
+import { pathToFileURL } from "url";
+import { migrateUp } from "./migrate.js";
+import { buildTypedViews } from "./typedViews.js";
+import { resourceName, buildSyncGraph, subgraph, runSyncGraph } from "./syncGraph.js";
+import { abandonStaleRuns, startRun, finishRun, saveCheckpoint, resumePoints } from "./syncRuns.js";
+import { saveSnapshot, lastSyncedSnapshot, markSynced, diffVersions, formatDiff } from "./schemaDiff.js";
+import {
+  tableChecksum, compareChunk, upstreamCounts, mirrorCounts, modelChecks, validateRows, sampleIds, recordReconcile
+} from "./reconcile.js";
 // import nodemailer from "nodemailer";
 
 const { Pool } = pg;
-const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const { fetch } = globalThis;
 
-const PROXY_BASE   = process.env.PROXY_BASE   || "https://<YOUR_PROXY>.onrender.com";
-const PROXY_SECRET = process.env.SHARED_SECRET || "<YOUR_PROXY_SECRET>";
+// the server's scheduler runs the sync in-process, so the proxy is usually this host
+const PROXY_BASE   = process.env.PROXY_BASE   || `http://localhost:${process.env.PORT || 3000}`;
+const PROXY_KEY    = process.env.PROXY_API_KEY || process.env.SHARED_SECRET || "<YOUR_PROXY_API_KEY>";
 const REPORT_EMAIL = process.env.REPORT_EMAIL || null;
+const EPOCH        = "1900-01-01";
+// re-read this much before the stored watermark to absorb late commits / skew
+const OVERLAP_MS   = Number(process.env.SYNC_OVERLAP_MINUTES ?? 10) * 60 * 1000;
+const BACKOFF_MS   = Number(process.env.SYNC_RETRY_BACKOFF_MS || 2000);
+const SYNC_LOCK_KEY = 4631702; // arbitrary, shared by every fulcrum-proxy process
 
 //-------------------------------------------------------------
 // Safe fetch with retry and exponential backoff
 //-------------------------------------------------------------
-async function fetchWithRetry(url, options, retries = 5, backoff = 2000) {
+async function fetchWithRetry(url, options, retries = 5, backoff = BACKOFF_MS) {
   for (let i = 0; i < retries; i++) {
     try {
       const resp = await fetch(url, options);
@@ -39,7 +73,7 @@ async function fetchWithRetry(url, options, retries = 5, backoff = 2000) {
       }
       return await resp.json();
     } catch (e) {
-      if (i === retries - 1) throw e;
+      if (i === retries - 1 || options?.signal?.aborted) throw e;
       console.warn(`Retry ${i + 1}/${retries} → ${e.message}`);
       await new Promise(r => setTimeout(r, backoff * Math.pow(2, i)));
     }
@@ -49,148 +83,275 @@ async function fetchWithRetry(url, options, retries = 5, backoff = 2000) {
 //-------------------------------------------------------------
 // Proxy JSON fetcher
 //-------------------------------------------------------------
-async function fetchJSON(path, sinceDate = "1900-01-01") {
+const PAGE_SIZE = 500;
+const MAX_PAGES = 100;
+
+// dateFilter null → unfiltered full listing
+async function fetchJSON(path, { since = EPOCH, dateFilter = "DateFrom", sortField = "CreatedUtc", signal } = {}) {
   const body = JSON.stringify({
     path,
     method: "POST",
-    body: { DateFrom: sinceDate },
-    autoPage: { take: 500, maxPages: 100, sortField: "CreatedUtc", sortDir: "Ascending" }
+    body: dateFilter ? { [dateFilter]: since } : {},
+    autoPage: { take: PAGE_SIZE, maxPages: MAX_PAGES, sortField, sortDir: "Ascending" }
   });
 
   return await fetchWithRetry(`${PROXY_BASE}/call`, {
     method: "POST",
-    headers: { "x-proxy-secret": PROXY_SECRET, "content-type": "application/json" },
-    body
+    headers: { "x-api-key": PROXY_KEY, "content-type": "application/json" },
+    body,
+    signal
   });
 }
 
 //-------------------------------------------------------------
-// Ensure tracking tables
+// Streaming proxy fetcher: NDJSON rows handed over in chunks as
+// they arrive, so big resources are written while still downloading
 //-------------------------------------------------------------
-// Ensures both tables exist and are up to date
-async function ensureSystemTables(client) {
-  await client.query(`
-    CREATE TABLE IF NOT EXISTS mirror_log (
-      resource TEXT,
-      rowcount INTEGER,
-      synced_at TIMESTAMPTZ DEFAULT NOW(),
-      hash TEXT,
-      last_date TIMESTAMPTZ,
-      errors JSONB
-    );
-    CREATE TABLE IF NOT EXISTS mirror_meta (
-      table_name TEXT PRIMARY KEY,
-      key_fields JSONB,
-      relationships JSONB,
-      last_discovered TIMESTAMPTZ DEFAULT NOW()
-    );
-  `);
+const STREAM_MAX_PAGES = 10000;
 
-  // bring older mirrors forward
-  await client.query(`
-    ALTER TABLE mirror_log
-      ADD COLUMN IF NOT EXISTS hash TEXT,
-      ADD COLUMN IF NOT EXISTS last_date TIMESTAMPTZ,
-      ADD COLUMN IF NOT EXISTS errors JSONB;
-  `);
-}
+async function* streamJSON(path, { since = EPOCH, dateFilter = "DateFrom", sortField = "CreatedUtc", startSkip = 0, signal } = {}, chunkSize = 1000) {
+  const body = JSON.stringify({
+    path,
+    method: "POST",
+    body: dateFilter ? { [dateFilter]: since } : {},
+    autoPage: {
+      take: PAGE_SIZE, maxPages: STREAM_MAX_PAGES, maxRows: PAGE_SIZE * STREAM_MAX_PAGES,
+      startSkip, sortField, sortDir: "Ascending", stream: true
+    }
+  });
 
+  let resp;
+  for (let i = 0; ; i++) {
+    resp = await fetch(`${PROXY_BASE}/call`, {
+      method: "POST",
+      headers: { "x-api-key": PROXY_KEY, "content-type": "application/json", accept: "application/x-ndjson" },
+      body,
+      signal
+    });
+    if ((resp.status === 429 || resp.status === 503) && i < 4) {
+      const retryAfter = parseInt(resp.headers.get("retry-after")) || 2 ** (i + 1);
+      console.warn(`Proxy busy → waiting ${retryAfter}s`);
+      await new Promise(r => setTimeout(r, retryAfter * 1000));
+      continue;
+    }
+    break;
+  }
+  if (!resp.ok) throw new Error(`${resp.status}: ${(await resp.text()).slice(0, 200)}`);
+
+  const decoder = new TextDecoder();
+  let buf = "";
+  let rows = [];
+  let trailer = null;
+  const take = text => {
+    const lines = text.split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const obj = JSON.parse(line);
+      if (obj && obj._trailer) trailer = obj._trailer;
+      else rows.push(obj);
+    }
+  };
+
+  for await (const chunk of resp.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    const nl = buf.lastIndexOf("\n");
+    if (nl === -1) continue;
+    take(buf.slice(0, nl));
+    buf = buf.slice(nl + 1);
+    if (rows.length >= chunkSize) { yield rows; rows = []; }
+  }
+  take(buf + decoder.decode());
+  if (rows.length) yield rows;
+
+  if (!trailer) throw new Error(`stream for ${path} ended without a trailer`);
+  if (trailer.error) {
+    throw new Error(`${trailer.error.status}: ${JSON.stringify(trailer.error.upstream ?? trailer.error.message).slice(0, 200)}`);
+  }
+}
 
 //-------------------------------------------------------------
-// Helper: insert big batches efficiently
-//-------------------------------------------------------------
-//-------------------------------------------------------------
-// Helper: insert big batches efficiently
-//-------------------------------------------------------------
-//-------------------------------------------------------------
-// Helper: insert big batches efficiently (final stable)
-//-------------------------------------------------------------
-//-------------------------------------------------------------
-// Helper: insert big batches efficiently (transaction-safe)
+// Mirror tables: one row per Fulcrum id, tombstoned when gone
 //-------------------------------------------------------------
-async function saveBatch(client, resource, data) {
-  if (!data.length) return;
+function toTimestamp(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return isNaN(d) ? null : d.toISOString();
+}
 
-  // 1️⃣ ensure table creation is serialized safely
-  try {
-    await client.query("BEGIN");
-    //await client.query(`LOCK TABLE pg_class IN ACCESS EXCLUSIVE MODE`);
-    await client.query(`CREATE TABLE IF NOT EXISTS ${resource} (payload JSONB);`);
-    await client.query("COMMIT");
-  } catch (e) {
-    console.warn(`⚠ table creation for ${resource} failed, rolling back → ${e.message}`);
-    try { await client.query("ROLLBACK"); } catch {}
-  }
+// The record field a resource's listing filters and sorts on ("UpdatedUtc" →
+// updatedUtc); the watermark comes from it, since a later time from another
+// field would make the next window skip rows
+export function watermarkField(sync = {}) {
+  const f = sync.sortField || "CreatedUtc";
+  return f[0].toLowerCase() + f.slice(1);
+}
 
-  // analyze so the catalog is fresh
-  try { await client.query(`ANALYZE ${resource};`); } catch {}
+function recordTimestamp(row, field) {
+  const t = toTimestamp(row?.[field] ?? (field === "updatedUtc" ? row?.modifiedUtc : null));
+  return t ? Date.parse(t) : null;
+}
+
+// Rows without an id are keyed on their content so they still dedupe
+function rowKey(row) {
+  if (row?.id != null) return String(row.id);
+  return crypto.createHash("md5").update(JSON.stringify(row)).digest("hex");
+}
 
-  // 2️⃣ drop and rebuild invalid createdutc column safely
-try {
+// Tables are created per resource as they are discovered; everything
+// else about the schema lives in ./migrations
+export async function ensureMirrorTable(client, resource) {
   await client.query(`
-    DO $$
-    BEGIN
-      IF EXISTS (
-        SELECT 1 FROM information_schema.columns
-        WHERE table_name = '${resource}'
-          AND column_name = 'createdutc'
-          AND data_type NOT IN ('timestamp with time zone','timestamptz')
-      ) THEN
-        EXECUTE 'ALTER TABLE "${resource}" DROP COLUMN createdutc';
-      END IF;
-    END $$;
+    CREATE TABLE IF NOT EXISTS ${resource} (
+      id TEXT PRIMARY KEY,
+      payload JSONB NOT NULL,
+      row_hash TEXT NOT NULL,
+      createdutc TIMESTAMPTZ,
+      updatedutc TIMESTAMPTZ,
+      synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS ${resource}_createdutc_idx ON ${resource}(createdutc);
   `);
-} catch (e) {
-  console.warn(\`⚠ createdutc drop skipped (${resource}) → \${e.message}\`);
 }
 
+//-------------------------------------------------------------
+// Helper: upsert batches keyed on id
+//-------------------------------------------------------------
+// Only rows whose content hash changed (or that come back from the dead)
+// are rewritten, every row with `rewrite` (--full); returns how many were
+// inserted vs changed, and how many were written at all. Each change is recorded in mirror_changes unless
+// `changes` is off (initial loads).
+export async function saveBatch(client, resource, data, { changes = true, rewrite = false } = {}) {
+  const counts = { inserted: 0, updated: 0, written: 0 };
+  if (!data.length) return counts;
 
-  // 3️⃣ bulk insert data
-  const insert = `INSERT INTO ${resource}(payload) VALUES ($1)`;
-  const batch = 1000;
-  for (let i = 0; i < data.length; i += batch) {
-    const slice = data.slice(i, i + batch);
-    await Promise.all(slice.map(row => client.query(insert, [row])));
+  // the same record can show up twice in one fetch; last copy wins
+  const byId = new Map();
+  for (const row of data) {
+    if (!row || typeof row !== "object") continue;
+    byId.set(rowKey(row), row);
   }
+  const rows = [...byId].map(([id, payload]) => ({
+    id,
+    payload,
+    createdutc: toTimestamp(payload.createdUtc),
+    updatedutc: toTimestamp(payload.updatedUtc ?? payload.modifiedUtc)
+  }));
 
-  // 4️⃣ re-add generated columns safely
-  try {
-    await client.query(`
-      ALTER TABLE ${resource}
-        ADD COLUMN IF NOT EXISTS id TEXT GENERATED ALWAYS AS (payload->>'id') STORED;
-    `);
-  } catch (e) {
-    console.warn(`⚠ id column add skipped (${resource}) → ${e.message}`);
+  // every CTE sees the table as it was before the upsert, so "old" holds the before image
+  const upsert = `
+    WITH x AS (
+      SELECT * FROM jsonb_to_recordset($1::jsonb)
+        AS x(id TEXT, payload JSONB, createdutc TIMESTAMPTZ, updatedutc TIMESTAMPTZ)
+    ),
+    old AS (
+      SELECT m.id, m.payload, m.row_hash, m.deleted_at FROM ${resource} m JOIN x USING (id)
+    ),
+    up AS (
+      INSERT INTO ${resource} AS m (id,payload,row_hash,createdutc,updatedutc,synced_at,deleted_at)
+      SELECT x.id, x.payload, md5(x.payload::text), x.createdutc, x.updatedutc, NOW(), NULL
+      FROM x
+      ON CONFLICT (id) DO UPDATE
+        SET payload=EXCLUDED.payload,
+            row_hash=EXCLUDED.row_hash,
+            createdutc=EXCLUDED.createdutc,
+            updatedutc=EXCLUDED.updatedutc,
+            synced_at=NOW(),
+            deleted_at=NULL
+        WHERE m.row_hash IS DISTINCT FROM EXCLUDED.row_hash
+           OR m.deleted_at IS NOT NULL
+           OR $4::boolean
+      RETURNING m.id, m.payload, m.row_hash, (xmax = 0) AS inserted
+    ),
+    changed AS (
+      SELECT up.*, old.payload AS old_payload, old.deleted_at AS old_deleted_at, old.id IS NULL AS is_new FROM up
+      LEFT JOIN old USING (id)
+      WHERE old.id IS NULL OR old.deleted_at IS NOT NULL OR old.row_hash IS DISTINCT FROM up.row_hash
+    ),
+    logged AS (
+      INSERT INTO mirror_changes(resource,record_id,action,before,after,changed_fields)
+      SELECT $2, c.id,
+             CASE WHEN c.is_new OR c.old_deleted_at IS NOT NULL THEN 'created' ELSE 'updated' END,
+             b.before, c.payload, mirror_changed_fields(b.before, c.payload)
+      FROM changed c
+      CROSS JOIN LATERAL (SELECT CASE WHEN c.old_deleted_at IS NULL THEN c.old_payload END AS before) b
+      WHERE $3::boolean
+    )
+    SELECT COUNT(*) FILTER (WHERE inserted)::int AS inserted,
+           COUNT(*) FILTER (WHERE NOT inserted)::int AS updated,
+           (SELECT COUNT(*) FROM up)::int AS written
+    FROM changed`;
+  const batch = 1000;
+  for (let i = 0; i < rows.length; i += batch) {
+    const slice = rows.slice(i, i + batch);
+    const r = await client.query(upsert, [JSON.stringify(slice), resource, changes, rewrite]);
+    counts.inserted += r.rows[0].inserted;
+    counts.updated += r.rows[0].updated;
+    counts.written += r.rows[0].written;
   }
+  return counts;
+}
 
-  try {
-    await client.query(`
-      DO $do$
-      BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM information_schema.columns
-          WHERE table_name = '${resource}' AND column_name = 'createdutc'
-        ) THEN
-          EXECUTE 'ALTER TABLE ${resource} ADD COLUMN createdutc timestamptz GENERATED ALWAYS AS (payload->>''createdUtc'') STORED';
-        END IF;
-      END
-      $do$;
-    `);
-  } catch (e) {
-    console.warn(`⚠ createdutc add skipped (${resource}) → ${e.message}`);
-  }
+//-------------------------------------------------------------
+// Helper: tombstones, each recorded as a "deleted" change
+//-------------------------------------------------------------
+async function markDeleted(client, resource, where, params) {
+  const r = await client.query(
+    `WITH gone AS (
+       UPDATE ${resource} m SET deleted_at=NOW()
+       WHERE m.deleted_at IS NULL AND ${where}
+       RETURNING m.id, m.payload
+     )
+     INSERT INTO mirror_changes(resource,record_id,action,before,changed_fields)
+     SELECT $${params.length + 1}, id, 'deleted', payload, mirror_changed_fields(payload, NULL) FROM gone`,
+    [...params, resource]
+  );
+  return r.rowCount;
+}
 
-  try {
-    await client.query(`CREATE INDEX IF NOT EXISTS ${resource}_id_idx ON ${resource}(id);`);
-  } catch (e) {
-    console.warn(`⚠ index creation skipped (${resource}) → ${e.message}`);
-  }
+// The ids an upstream pass listed, collected in a session temp table rather
+// than in memory so deletions are found with an anti-join however big the
+// table is. runSync discards the session's temp tables when it's done.
+const SEEN_BATCH = 10000;
+
+export async function seenIdsTable(client, resource) {
+  const name = quoteTable(`seen_${resource}`);
+  const table = `pg_temp.${name}`;
+  await client.query(`DROP TABLE IF EXISTS ${table}; CREATE TEMP TABLE ${name} (id TEXT NOT NULL)`);
+  return {
+    table,
+    rows: 0,
+    async add(ids) {
+      for (let i = 0; i < ids.length; i += SEEN_BATCH) {
+        await client.query(`INSERT INTO ${table}(id) SELECT unnest($1::text[])`, [ids.slice(i, i + SEEN_BATCH)]);
+      }
+      this.rows += ids.length;
+    },
+    // temp tables are never auto-analyzed, and anti-join plans need the row count
+    async analyze() {
+      await client.query(`ANALYZE ${table}`);
+    },
+    async drop() {
+      await client.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+  };
 }
+
+// rows missing from a complete upstream pass
+async function tombstoneMissing(client, resource, seen) {
+  await seen.analyze();
+  return markDeleted(client, resource, `NOT EXISTS (SELECT 1 FROM ${seen.table} s WHERE s.id = m.id)`, []);
+}
+
+export async function deleteRows(client, resource, ids) {
+  return markDeleted(client, resource, `m.id = ANY($1::text[])`, [ids.map(String)]);
+}
+
 //-------------------------------------------------------------
 // Schema analysis
 //-------------------------------------------------------------
 async function analyzeSchema(client, resource) {
-  const sample = await client.query(`SELECT payload FROM ${resource} LIMIT 25;`);
+  const sample = await client.query(`SELECT payload FROM ${resource} WHERE deleted_at IS NULL LIMIT 25;`);
   const keys = new Set();
   sample.rows.forEach(r => Object.keys(r.payload || {}).forEach(k => keys.add(k)));
   const keyFields = [...keys].filter(k => /id$/i.test(k));
@@ -209,195 +370,663 @@ async function analyzeSchema(client, resource) {
 //-------------------------------------------------------------
 // Stream parent IDs efficiently (no OFFSET for huge tables)
 //-------------------------------------------------------------
-async function* streamParentIds(client, table, batchSize = 10000) {
-  let lastId = null;
+const parentKey = idField => (idField === "id" ? "id" : `payload->>'${idField.replace(/'/g, "''")}'`);
+const quoteTable = t => `"${t.replace(/"/g, '""')}"`;
+
+async function* streamParentIds(client, table, idField = "id", batchSize = 10000, afterId = "") {
+  const key = parentKey(idField);
+  let lastId = afterId;
   while (true) {
-    const query = lastId
-      ? `SELECT payload->>'id' AS id FROM ${table} WHERE payload->>'id' > $1 ORDER BY payload->>'id' LIMIT $2`
-      : `SELECT payload->>'id' AS id FROM ${table} ORDER BY payload->>'id' LIMIT $1`;
-    const params = lastId ? [lastId, batchSize] : [batchSize];
-    const res = await client.query(query, params);
+    const res = await client.query(
+      `SELECT DISTINCT ${key} AS id FROM ${quoteTable(table)}
+       WHERE deleted_at IS NULL AND ${key} > $1 ORDER BY 1 LIMIT $2`,
+      [lastId, batchSize]
+    );
     if (!res.rows.length) break;
-    const ids = res.rows.map(r => r.id).filter(Boolean);
+    const ids = res.rows.map(r => r.id);
     yield ids;
     lastId = ids[ids.length - 1];
   }
 }
 
+async function countParentIds(client, table, idField = "id") {
+  const r = await client.query(
+    `SELECT count(DISTINCT ${parentKey(idField)}) AS n FROM ${quoteTable(table)} WHERE deleted_at IS NULL`
+  );
+  return Number(r.rows[0].n);
+}
+
 //-------------------------------------------------------------
-// Smart resource sync with nested expansion
+// What a run will fetch for a resource
 //-------------------------------------------------------------
-async function syncResource(client, path) {
-  const resource = path
-    .split("/")
-    .filter(p => p && !p.startsWith("{") && p !== "api")
-    .join("_")
-    .replace(/[^a-zA-Z0-9_]/g, "_");
-
-  console.log(`→ syncing ${resource}`);
-
+async function lastWatermark(client, resource) {
   const last = await client.query(
     `SELECT last_date FROM mirror_log WHERE resource=$1 ORDER BY synced_at DESC LIMIT 1`,
     [resource]
   );
-  const sinceDate = last.rows[0]?.last_date || "1900-01-01";
+  return last.rows[0]?.last_date ? new Date(last.rows[0].last_date).getTime() : null;
+}
+
+// full: reload everything; since: re-read from a date (no deletions inferred)
+function syncWindow(prevMark, sync = {}, { since = null, full = false } = {}) {
+  // resources without a date filter are re-read in full every run
+  const fullPass = full || sync.mode === "full" || (prevMark == null && !since);
+  const from = fullPass ? EPOCH
+    : since ? new Date(since).toISOString()
+    : new Date(prevMark - OVERLAP_MS).toISOString();
+  return {
+    fullPass,
+    fetchOpts: {
+      dateFilter: sync.mode === "full" ? null : (sync.dateFilter || "DateFrom"),
+      sortField: sync.sortField,
+      since: from
+    }
+  };
+}
+
+//-------------------------------------------------------------
+// Smart resource sync with nested expansion
+//-------------------------------------------------------------
+const CHECKPOINT_PARENTS = 500;
+
+// parent: { table, idField } that a nested path's parameter is filled from
+// opts: { since, full, runId, resume, signal } — resume is an unfinished checkpoint row
+async function syncResource(client, path, sync = {}, parent = null, opts = {}) {
+  const resource = resourceName(path);
+  const resume = opts.resume || null;
+
+  console.log(`→ syncing ${resource}${resume ? ` (resuming run #${resume.run_id})` : ""}`);
+
+  const prevMark = await lastWatermark(client, resource);
+  const window = syncWindow(prevMark, sync, opts);
+  // a resumed pass finishes the window it started on
+  const fullPass = resume ? resume.full_pass : window.fullPass;
+  const fetchOpts = { ...window.fetchOpts, ...(resume ? { since: resume.fetch_since } : {}), signal: opts.signal };
+  let watermark = prevMark;
+  if (resume?.watermark) watermark = Math.max(watermark ?? 0, new Date(resume.watermark).getTime());
   let total = 0;
+  // a table's first load is its baseline, recorded without change events
+  const baseline = !(await client.query(`SELECT 1 FROM mirror_log WHERE resource=$1 LIMIT 1`, [resource])).rowCount;
+
+  // covered: the window was read to the end (a resumed pass finishes the
+  // one it picked up), so the watermark may move. Deletions can only be
+  // inferred from a complete, unfiltered pass, and a resumed pass never saw
+  // the rows fetched before the interruption.
+  let covered = true;
+  const tsField = watermarkField(sync);
+  // nested parents whose fetch failed for a reason other than a 400
+  const failed = { count: 0, ids: [], error: null };
+  const counts = { inserted: 0, updated: 0, deleted: 0 };
+
+  const cp = {
+    resource, path, fullPass, fetchSince: fetchOpts.since,
+    lastParentId: resume?.last_parent_id ?? null,
+    lastPage: resume?.last_page ?? null,
+    parentsDone: Number(resume?.parents_done || 0),
+    parentsTotal: null
+  };
+  const checkpoint = async (status = "running") => {
+    if (opts.runId) await saveCheckpoint(client, opts.runId, { ...cp, status, watermark, rowsDone: total });
+  };
+  const save = async rows => {
+    if (seen) await seen.add(rows.map(rowKey));
+    for (const row of rows) {
+      const ts = recordTimestamp(row, tsField);
+      if (ts != null && (watermark == null || ts > watermark)) watermark = ts;
+    }
+    const c = await saveBatch(client, resource, rows, { changes: !baseline, rewrite: !!opts.full });
+    counts.inserted += c.inserted;
+    counts.updated += c.updated;
+  };
+
+  // --full rewrites rows in place and tombstones the rest after a complete
+  // pass, so readers keep the old rows if the reload fails partway
+  await ensureMirrorTable(client, resource);
+  const seen = fullPass && !resume ? await seenIdsTable(client, resource) : null;
 
   const param = path.match(/{(\w+)}/);   // ✅ correct regex
   if (param) {
     const paramName = param[1];
-    const parentTable = paramName.replace(/Id$/, "").toLowerCase() + "s";
-    const exists = await client.query(
+    const parentTable = parent?.table;
+    const exists = parentTable && await client.query(
       `SELECT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name=$1)`,
       [parentTable]
     );
-    if (!exists.rows[0].exists) {
+    if (!exists?.rows[0].exists) {
       console.warn(`⚠ skipping ${path}: parent ${parentTable} missing`);
-      return { resource, rowcount: 0, errors: [`missing parent ${parentTable}`] };
+      return { resource, path, rowcount: 0, errors: [`missing parent ${parentTable}`] };
     }
 
+    cp.parentsTotal = await countParentIds(client, parentTable, parent.idField);
+    total = Number(resume?.rows_done || 0);
+    await checkpoint();
+
+    // rows are saved and the checkpoint moved together, so everything up to
+    // lastParentId is safely in the mirror. It stops before the first parent
+    // that failed, so a resumed run fetches that one again.
     let batchData = [];
-    for await (const ids of streamParentIds(client, parentTable, 10000)) {
+    let lastId = cp.lastParentId;
+    let pending = 0;
+    const flush = async () => {
+      await save(batchData);
+      batchData = [];
+      if (!failed.count) cp.lastParentId = lastId;
+      cp.parentsDone += pending;
+      pending = 0;
+      await checkpoint();
+    };
+    for await (const ids of streamParentIds(client, parentTable, parent.idField, 10000, cp.lastParentId ?? "")) {
       for (const id of ids) {
+        opts.signal?.throwIfAborted();
         const fullPath = path.replace(`{${paramName}}`, id);
         try {
-          const sub = await fetchJSON(fullPath, sinceDate);
+          const sub = await fetchJSON(fullPath, fetchOpts);
           if (Array.isArray(sub) && sub.length) {
             batchData.push(...sub);
             total += sub.length;
+            if (sub.length >= PAGE_SIZE * MAX_PAGES) covered = false;
           }
         } catch (err) {
-  if (err.message.includes("400")) {
-    console.log(`   ↳ skipping ${fullPath} (no data or invalid for this ID)`);
-  } else {
-    console.warn(`⚠ ${fullPath} → ${err.message}`);
-  }
-}
-
-        if (batchData.length > 50000) {
-          await saveBatch(client, resource, batchData);
-          batchData = [];
+          if (err.message.includes("400")) {
+            console.log(`   ↳ skipping ${fullPath} (no data or invalid for this ID)`);
+          } else {
+            console.warn(`⚠ ${fullPath} → ${err.message}`);
+            covered = false;
+            // pin the checkpoint just before the first failed parent
+            if (!failed.count) await flush();
+            if (!failed.count++) failed.error = err.message;
+            if (failed.ids.length < 20) failed.ids.push(id);
+          }
         }
+
+        if (!failed.count) lastId = id;
+        pending++;
+        if (batchData.length > 50000 || pending >= CHECKPOINT_PARENTS) await flush();
       }
     }
-    await saveBatch(client, resource, batchData);
+    await flush();
   } else {
-    const data = await fetchJSON(path, sinceDate);
-    await saveBatch(client, resource, data);
-    total = data.length;
+    // restart at the first page that wasn't fully saved
+    const startSkip = (cp.lastPage || 0) * PAGE_SIZE;
+    total = startSkip;
+    for await (const rows of streamJSON(path, { ...fetchOpts, startSkip })) {
+      await save(rows);
+      total += rows.length;
+      cp.lastPage = Math.floor(total / PAGE_SIZE);
+      await checkpoint();
+    }
+    if (total >= PAGE_SIZE * STREAM_MAX_PAGES) covered = false;
   }
 
-  const hash = crypto.createHash("md5").update(String(total)).digest("hex");
+  const complete = covered && !resume;
+  if (fullPass && complete && seen?.rows) {
+    counts.deleted = await tombstoneMissing(client, resource, seen);
+  } else if (fullPass && !complete) {
+    console.warn(`⚠ ${resource}: ${resume ? "resumed" : "incomplete"} pass, deletions not applied`);
+  }
+  await seen?.drop();
+
+  const errors = failed.count
+    ? [`${failed.count} parent fetch(es) failed (${failed.ids.join(", ")}${failed.count > failed.ids.length ? ", …" : ""}): ${failed.error}`]
+    : [];
+  // an incomplete pass keeps the previous watermark, so the next run reads its window again
+  const mark = covered ? watermark : prevMark;
+  if (!covered && !fullPass) console.warn(`⚠ ${resource}: incomplete pass, watermark not advanced`);
+  const hash = await tableChecksum(client, resource);
   await client.query(
-    `INSERT INTO mirror_log(resource,rowcount,synced_at,hash,last_date,errors)
-     VALUES ($1,$2,NOW(),$3,$4,$5)`,
-    [resource, total, hash, new Date().toISOString(), JSON.stringify([])]
+    `INSERT INTO mirror_log(resource,rowcount,synced_at,hash,last_date,errors,inserted,updated,deleted)
+     VALUES ($1,$2,NOW(),$3,$4,$5,$6,$7,$8)`,
+    [resource, total, hash, mark == null ? null : new Date(mark).toISOString(),
+     JSON.stringify(errors),
+     counts.inserted, counts.updated, counts.deleted]
   );
-  console.log(`✓ ${resource}: ${total} rows`);
+  // a resource with failed parents stays resumable from before the first of them
+  await checkpoint(failed.count ? "failed" : "done");
+  console.log(`${errors.length ? "⚠" : "✓"} ${resource}: ${total} rows (+${counts.inserted} ~${counts.updated} -${counts.deleted})`
+    + (errors.length ? `, ${errors[0]}` : ""));
   await analyzeSchema(client, resource);
-  return { resource, rowcount: total, errors: [] };
+  return { resource, path, rowcount: total, ...counts, errors };
 }
 
 //-------------------------------------------------------------
-// Dependency ordering
+// Reconciliation: one unfiltered upstream pass compared with the mirror
 //-------------------------------------------------------------
-function sortDependencies(paths) {
-  const priority = ["items","item-boms","routing","jobs","workorders","inventory","materials","customers","vendors"];
-  return paths.sort((a,b)=>{
-    const rank = p => priority.findIndex(k=>p.includes(k));
-    const ra=rank(a), rb=rank(b);
-    return (ra===-1?99:ra)-(rb===-1?99:rb);
-  });
-}
+const SAMPLE_RATE = Math.min(1, Math.max(0, Number(process.env.RECONCILE_SAMPLE_RATE ?? 0.05)));
 
-//-------------------------------------------------------------
-// Run concurrent batches
-//-------------------------------------------------------------
-async function runConcurrentSyncs(client, paths, batchSize=5) {
-  const ordered = sortDependencies(paths);
-  const results=[];
-  for(let i=0;i<ordered.length;i+=batchSize){
-    const slice=ordered.slice(i,i+batchSize);
-    console.log(`→ batch ${i/batchSize+1}/${Math.ceil(ordered.length/batchSize)} (${slice.join(", ")})`);
-    const batchResults=await Promise.all(slice.map(p=>syncResource(client,p).catch(e=>{
-      console.error(`✗ ${p}: ${e.message}`); return {resource:p,rowcount:0,errors:[e.message]};
-    })));
-    results.push(...batchResults);
-    await new Promise(r=>setTimeout(r,1000));
+async function reconcileResource(client, path, sync = {}, catalog, { repair = false, signal = null } = {}) {
+  const resource = resourceName(path);
+  if (/{\w+}/.test(path)) {
+    console.log(`   ↳ not reconciling ${resource}: nested resource`);
+    return { resource, path, rowcount: 0, errors: [], skipped: "nested resource" };
   }
-  return results;
+  const synced = await client.query(`SELECT 1 FROM mirror_log WHERE resource=$1 LIMIT 1`, [resource]);
+  if (!synced.rowCount) return { resource, path, rowcount: 0, errors: [`${resource} has never been synced`] };
+  console.log(`→ reconciling ${resource}${repair ? " (repair)" : ""}`);
+
+  const { fetchOpts } = syncWindow(null, sync, { full: true });
+  const seen = await seenIdsTable(client, resource);
+  const missing = [], stale = [];
+  // rows --repair actually rewrote or tombstoned, per check
+  const fixed = { missing: 0, stale: 0, orphaned: 0 };
+  let total = 0;
+  for await (const rows of streamJSON(path, { ...fetchOpts, signal })) {
+    const chunk = [];
+    await seen.add(rows.map(rowKey));
+    for (const row of rows) {
+      const id = rowKey(row);
+      const updatedutc = toTimestamp(row?.updatedUtc ?? row?.modifiedUtc);
+      chunk.push({ id, updatedutc, payload: Math.random() < SAMPLE_RATE ? row : null });
+    }
+    total += rows.length;
+    const drift = await compareChunk(client, resource, chunk);
+    missing.push(...drift.missing);
+    stale.push(...drift.stale);
+    if (repair) {
+      for (const check of ["missing", "stale"]) {
+        if (!drift[check].length) continue;
+        const ids = new Set(drift[check]);
+        // a stale row can hold the upstream content with old columns, so it's rewritten regardless
+        const c = await saveBatch(client, resource, rows.filter(r => ids.has(rowKey(r))), { rewrite: check === "stale" });
+        fixed[check] += c.written;
+      }
+    }
+  }
+  // a capped listing can't tell orphans from rows past the cap
+  const complete = total < PAGE_SIZE * STREAM_MAX_PAGES;
+  await seen.analyze();
+  const upstream = await upstreamCounts(client, seen.table);
+  const mirror = await mirrorCounts(client, resource, seen.table);
+  if (repair && complete && mirror.orphaned) {
+    fixed.orphaned = await tombstoneMissing(client, resource, seen);
+  }
+  const repaired = { saved: fixed.missing + fixed.stale, deleted: fixed.orphaned };
+  // the live count after repairs; the ids upstream can only be counted in full when uncapped
+  const live = repaired.saved || repaired.deleted ? (await mirrorCounts(client, resource, seen.table)).live : mirror.live;
+
+  const issues = [];
+  if (complete && mirror.live !== upstream.ids) {
+    issues.push({ check: "count", upstream: upstream.ids, mirror: mirror.live, ...(repair ? { repaired: live === upstream.ids } : {}) });
+  }
+  if (missing.length) issues.push({ check: "missing", count: missing.length, ids: sampleIds(missing) });
+  if (stale.length) issues.push({ check: "stale", count: stale.length, ids: sampleIds(stale) });
+  if (complete && mirror.orphaned) issues.push({ check: "orphaned", count: mirror.orphaned, ids: mirror.orphaned_ids || [] });
+  if (upstream.duplicates) {
+    issues.push({ check: "duplicate", source: "upstream", count: upstream.duplicates, ids: upstream.duplicate_ids });
+  }
+  if (mirror.duplicateIds.length) {
+    issues.push({ check: "duplicate", source: "mirror", count: mirror.duplicateIds.length, ids: sampleIds(mirror.duplicateIds) });
+  }
+  issues.push(...await validateRows(client, resource, modelChecks(catalog, path)));
+  if (repair) issues.forEach(i => { if (i.check in fixed) i.repaired = fixed[i.check] >= i.count; });
+
+  await seen.drop();
+  await recordReconcile(client, resource, { upstreamCount: complete ? upstream.ids : null, issues, hash: await tableChecksum(client, resource) });
+  console.log(`✓ ${resource}: ${issues.length ? issues.map(i => `${i.check}${i.field ? `(${i.field})` : ""} ${i.count ?? ""}`.trim()).join(", ") : "in sync"}`
+    + (repair ? ` (re-saved ${repaired.saved}, tombstoned ${repaired.deleted})` : ""));
+  return { resource, path, rowcount: total, errors: [], issues, repaired: repair ? repaired : null };
 }
 
 //-------------------------------------------------------------
 // Build analytical views
 //-------------------------------------------------------------
+// Shortage building blocks (reports.js runs the multi-level netting on top):
+//   job_items              open jobs with remaining quantity and due date
+//   item_boms              single-level BOM lines
+//   bom_explosion          every component of every item, all levels
+//   inventory_net          on hand minus allocated, summed over lots/locations
+//   job_material_consumed  material already issued to a job
+//   job_component_shortages  purchased (leaf) components short per job, netted
+//                          in due-date order; stock of subassemblies is only
+//                          netted by /reports/shortages
+// Each reads the first mirror table of VIEW_SOURCES that exists; one that
+// isn't mirrored leaves its views empty rather than missing.
+// MIRROR_VIEW_SOURCES='{"boms":"items_bom_list"}' names a table of your own.
+const VIEW_SOURCES = {
+  jobs: ["jobs_list", "jobs"],
+  boms: ["item_boms_data"],
+  inventory: ["inventory_list", "inventory"],
+  transactions: ["inventory_transactions"]
+};
+
+function parseViewSources(raw) {
+  let own = {};
+  try { own = raw ? JSON.parse(raw) : {}; }
+  catch (e) { console.error("MIRROR_VIEW_SOURCES is not valid JSON, ignoring it:", e.message); }
+  return Object.fromEntries(Object.entries(VIEW_SOURCES).map(([k, tables]) => [k, [...new Set([own[k], ...tables].filter(Boolean))]]));
+}
+
+const viewSources = parseViewSources(process.env.MIRROR_VIEW_SOURCES);
+
+// → FROM item for each source: its table, or an empty stand-in with the same columns
+async function resolveViewSources(client) {
+  const out = {};
+  for (const [k, tables] of Object.entries(viewSources)) {
+    const r = await client.query(`SELECT t FROM unnest($1::text[]) WITH ORDINALITY u(t, n) WHERE to_regclass(t) IS NOT NULL ORDER BY n LIMIT 1`, [tables]);
+    if (r.rows[0]) out[k] = r.rows[0].t;
+    else {
+      if (k !== "transactions") console.log(`   ↳ views: ${tables.join(" / ")} not mirrored, ${k} views are empty`);
+      out[k] = `(SELECT NULL::jsonb AS payload, NULL::timestamptz AS deleted_at WHERE false) AS ${k}`;
+    }
+  }
+  return out;
+}
+
 async function buildViews(client){
+  const from = await resolveViewSources(client);
+
   await client.query(`
+    DROP VIEW IF EXISTS job_component_shortages, job_demand;
+
     CREATE OR REPLACE VIEW job_items AS
     SELECT (payload->>'id') AS job_id,
            (payload->>'parentItemId') AS item_id,
            LOWER(payload->>'status') AS status,
-           (payload->>'quantityToMake')::numeric AS qty_to_make
-    FROM jobs;
+           mirror_try_numeric(payload->>'quantityToMake') AS qty_to_make,
+           (payload->>'number') AS job_number,
+           mirror_try_timestamptz(payload->>'dueDate') AS due_date,
+           COALESCE(mirror_try_numeric(payload->>'quantityCompleted'),0) AS qty_completed,
+           GREATEST(COALESCE(mirror_try_numeric(payload->>'quantityToMake'),0)
+                    - COALESCE(mirror_try_numeric(payload->>'quantityCompleted'),0),0) AS qty_remaining,
+           (payload->>'cancelledOnUtc' IS NULL AND payload->>'completedOnUtc' IS NULL
+            AND LOWER(payload->>'status') IS DISTINCT FROM 'complete') AS is_open
+    FROM ${from.jobs}
+    WHERE deleted_at IS NULL;
 
     CREATE OR REPLACE VIEW item_boms AS
     SELECT (payload->>'itemId') AS item_id,
            (payload->>'componentItemId') AS component_id,
-           (payload->>'quantityPer')::numeric AS qty_per
-    FROM item_boms_data;
-
-    CREATE OR REPLACE VIEW job_component_shortages AS
-    SELECT j.job_id,
-           j.item_id,
-           c.component_id,
-           (c.qty_per*j.qty_to_make) AS required_qty,
-           COALESCE((inv.payload->>'onHandQuantity')::numeric,0) AS available_qty,
-           (c.qty_per*j.qty_to_make-COALESCE((inv.payload->>'onHandQuantity')::numeric,0)) AS missing_qty
-    FROM job_items j
-    JOIN item_boms c ON c.item_id=j.item_id
-    LEFT JOIN inventory inv ON inv.payload->>'itemId'=c.component_id
-    WHERE (c.qty_per*j.qty_to_make-COALESCE((inv.payload->>'onHandQuantity')::numeric,0))>0;
+           mirror_try_numeric(payload->>'quantityPer') AS qty_per
+    FROM ${from.boms}
+    WHERE deleted_at IS NULL;
+
+    -- cycles are cut where a component repeats on its own path
+    CREATE OR REPLACE VIEW bom_explosion AS
+    WITH RECURSIVE x AS (
+      SELECT b.item_id AS root_id, b.component_id, b.qty_per AS qty_per_root, 1 AS level,
+             ARRAY[b.item_id, b.component_id] AS path
+      FROM item_boms b
+      UNION ALL
+      SELECT x.root_id, b.component_id, x.qty_per_root*b.qty_per, x.level+1, x.path || b.component_id
+      FROM x JOIN item_boms b ON b.item_id=x.component_id
+      WHERE b.component_id <> ALL(x.path) AND x.level < 20
+    )
+    SELECT root_id, component_id, level, qty_per_root, path,
+           NOT EXISTS (SELECT 1 FROM item_boms c WHERE c.item_id=x.component_id) AS is_leaf
+    FROM x;
+
+    CREATE OR REPLACE VIEW inventory_net AS
+    SELECT (payload->>'itemId') AS item_id,
+           SUM(COALESCE(mirror_try_numeric(payload->>'onHandQuantity'),0)) AS on_hand_qty,
+           SUM(COALESCE(mirror_try_numeric(payload->>'allocatedQuantity'),
+                        mirror_try_numeric(payload->>'quantityAllocated'),0)) AS allocated_qty,
+           SUM(COALESCE(mirror_try_numeric(payload->>'onHandQuantity'),0))
+             - SUM(COALESCE(mirror_try_numeric(payload->>'allocatedQuantity'),
+                            mirror_try_numeric(payload->>'quantityAllocated'),0)) AS available_qty,
+           COUNT(*) AS stock_rows
+    FROM ${from.inventory}
+    WHERE deleted_at IS NULL
+    GROUP BY 1;
+
+    CREATE OR REPLACE VIEW job_material_consumed AS
+    SELECT (payload->>'jobId') AS job_id,
+           (payload->>'itemId') AS item_id,
+           SUM(ABS(COALESCE(mirror_try_numeric(payload->>'quantity'),0))) AS qty
+    FROM ${from.transactions}
+    WHERE deleted_at IS NULL
+      AND payload->>'jobId' IS NOT NULL
+      AND COALESCE(payload->>'transactionType', payload->>'type') ~* '(consum|issue)'
+    GROUP BY 1,2;
+
+    CREATE VIEW job_demand AS
+    SELECT d.job_id, d.job_number, d.due_date, d.component_id,
+           COALESCE(c.qty,0) AS consumed_qty,
+           GREATEST(d.gross_qty-COALESCE(c.qty,0),0) AS required_qty
+    FROM (
+      SELECT j.job_id, j.job_number, j.due_date, e.component_id, SUM(e.qty_per_root*j.qty_remaining) AS gross_qty
+      FROM job_items j
+      JOIN bom_explosion e ON e.root_id=j.item_id AND e.is_leaf
+      WHERE j.is_open AND j.qty_remaining > 0
+      GROUP BY 1,2,3,4
+    ) d
+    LEFT JOIN job_material_consumed c ON c.job_id=d.job_id AND c.item_id=d.component_id;
+
+    CREATE VIEW job_component_shortages AS
+    SELECT job_id, job_number, due_date, component_id, required_qty, consumed_qty, available_qty,
+           available_qty-cumulative_qty AS projected_qty,
+           LEAST(required_qty, cumulative_qty-GREATEST(available_qty,0)) AS missing_qty
+    FROM (
+      SELECT d.*, COALESCE(n.available_qty,0) AS available_qty,
+             SUM(d.required_qty) OVER (PARTITION BY d.component_id
+                                       ORDER BY d.due_date NULLS LAST, d.job_id) AS cumulative_qty
+      FROM job_demand d
+      LEFT JOIN inventory_net n ON n.item_id=d.component_id
+    ) t
+    WHERE cumulative_qty > GREATEST(available_qty,0);
   `);
 }
 
 //-------------------------------------------------------------
 // Console summary (email disabled by default)
 //-------------------------------------------------------------
-async function reportResults(results){
+async function reportResults(results, schemaDiff=null){
   const total = results.reduce((s,r)=>s+r.rowcount,0);
+  const sum = k => results.reduce((s,r)=>s+(r[k]||0),0);
   const failed = results.filter(r=>r.errors.length);
-  console.log(`\nFulcrum Mirror Summary\n=======================\nResources: ${results.length}\nRows: ${total}\nFailures: ${failed.length}\n`);
+  console.log(`\nFulcrum Mirror Summary\n=======================\nResources: ${results.length}\nRows: ${total}\nInserted: ${sum("inserted")}  Updated: ${sum("updated")}  Deleted: ${sum("deleted")}\nFailures: ${failed.length}\n`);
   results.forEach(r=>{
     console.log(`• ${r.resource}: ${r.rowcount} ${r.errors.length?`errors: ${r.errors.join("; ")}`:""}`);
   });
+  const drift = formatDiff(schemaDiff);
+  if(drift.length) console.log(`\n${drift.join("\n")}`);
+}
+
+//-------------------------------------------------------------
+// Discovery: catalog → paths, sync modes and dependency graph
+//-------------------------------------------------------------
+// A term matches a full path, a mirror table ("jobs_list") or a resource
+// segment ("jobs", which also covers nested /api/jobs/{jobId}/... paths)
+function matchesTerm(path, term) {
+  const t = term.replace(/-/g, "_");
+  const seg = (path.split("/").filter(p => p && p !== "api")[0] || "").replace(/-/g, "_");
+  return path === term || resourceName(path) === t || seg === t;
+}
+
+async function discover({ only = [], exclude = [], signal = null } = {}) {
+  console.log("Loading schema from proxy...");
+  const schemaResp = await fetchWithRetry(`${PROXY_BASE}/schema`, { headers: { "x-api-key": PROXY_KEY }, signal });
+  const allPaths = (schemaResp.resources || [])
+    .map(r => r.op.path)
+    // ✅ final correct regex — no escaping issues
+    .filter(p => p.startsWith("/api/") && (/\/list($|\/)/.test(p) || /routing|bom/i.test(p)));
+  // sync mode per path; the POST (list) operation wins over other verbs
+  const syncByPath = new Map();
+  for (const r of schemaResp.resources || []) {
+    if (r.op.sync && (!syncByPath.has(r.op.path) || r.op.method === "POST")) syncByPath.set(r.op.path, r.op.sync);
+  }
+  const keep = p => (!only.length || only.some(t => matchesTerm(p, t))) && !exclude.some(t => matchesTerm(p, t));
+  const paths = [...new Set(allPaths)];
+  // parents are resolved against everything discovered, then the run is narrowed
+  const graph = subgraph(buildSyncGraph(paths, schemaResp), keep);
+  return { schemaResp, paths: paths.filter(keep), syncByPath, graph };
+}
+
+function printCatalog({ paths, syncByPath, graph }) {
+  console.table(paths.map(path => {
+    const sync = syncByPath.get(path) || {};
+    return {
+      path,
+      table: resourceName(path),
+      mode: sync.mode || "incremental",
+      dateFilter: sync.dateFilter || "",
+      parent: graph.nodes.get(path)?.parent?.table || "",
+      problem: graph.problems.find(p => p.path === path)?.reason || ""
+    };
+  }));
+}
+
+// --dry-run: what each resource would fetch, read-only
+async function planRun(client, { syncByPath, graph }, opts) {
+  const exists = async t => (await client.query(`SELECT to_regclass($1) IS NOT NULL AS ok`, [quoteTable(t)])).rows[0].ok;
+  const hasLog = await exists("mirror_log");
+  const resumable = !opts.fresh && !opts.full && !opts.since && await exists("sync_checkpoints")
+    ? await resumePoints(client)
+    : new Map();
+  const plan = [];
+  for (const path of graph.order) {
+    const node = graph.nodes.get(path);
+    const prevMark = hasLog ? await lastWatermark(client, node.resource) : null;
+    const { fullPass, fetchOpts } = syncWindow(prevMark, syncByPath.get(path), opts);
+    let parentIds = "";
+    if (node.parent) {
+      parentIds = await exists(node.parent.table)
+        ? await countParentIds(client, node.parent.table, node.parent.idField)
+        : "not mirrored yet";
+    }
+    const r = resumable.get(node.resource);
+    plan.push({
+      path,
+      table: node.resource,
+      pass: opts.full ? "reload" : fullPass ? "full" : "incremental",
+      since: fetchOpts.dateFilter ? fetchOpts.since : "",
+      parent: node.parent?.table || "",
+      parentIds,
+      resume: !r ? "" : r.last_parent_id != null ? `after ${r.last_parent_id}` : `page ${r.last_page}`
+    });
+  }
+  return plan;
 }
 
 //-------------------------------------------------------------
 // Main orchestrator
 //-------------------------------------------------------------
-async function main(){
-  const client=await pool.connect();
-  try{
-    await ensureSystemTables(client);
-    console.log("Loading schema from proxy...");
-    const schemaResp=await fetchWithRetry(`${PROXY_BASE}/schema`,{headers:{'x-proxy-secret':PROXY_SECRET}});
-    const allPaths=(schemaResp.resources||[])
-      .map(r=>r.op.path)
-      // ✅ final correct regex — no escaping issues
-      .filter(p=>p.startsWith("/api/") && (/\/list($|\/)/.test(p) || /routing|bom/i.test(p)));
-    const ordered=sortDependencies(allPaths);
-    console.log(`Discovered ${ordered.length} resources (dependency ordered).`);
-    const results=await runConcurrentSyncs(client,ordered,5);
-    await buildViews(client);
-    await reportResults(results);
-    console.log("Mirror sync complete",new Date().toISOString());
-  }finally{
+export async function runSync({
+  only = [], exclude = [], since = null, full = false, dryRun = false, fresh = false, concurrency = 5,
+  reconcile = false, repair = false, pool = null, signal = null, onStart = () => {}
+} = {}) {
+  if (since && isNaN(Date.parse(since))) throw new Error(`invalid --since date: ${since}`);
+  if (since && full) throw new Error("--since and --full can't be combined");
+  if (repair && !reconcile) throw new Error("--repair needs --reconcile");
+  if (reconcile && (since || full)) throw new Error("--reconcile can't be combined with --since or --full");
+  const db = pool || new Pool({ connectionString: process.env.DATABASE_URL });
+  const client = await db.connect();
+  let runId = null;
+  let locked = false;
+  try {
+    // a dry run only reads, so it doesn't wait for the lock
+    if (!dryRun) {
+      locked = (await client.query("SELECT pg_try_advisory_lock($1) AS ok", [SYNC_LOCK_KEY])).rows[0].ok;
+      if (!locked) {
+        const err = new Error("another sync is running");
+        err.code = "sync_locked";
+        throw err;
+      }
+    }
+    const found = await discover({ only, exclude, signal });
+    const { schemaResp, paths, syncByPath, graph } = found;
+    for (const p of graph.problems) console.warn(`⚠ not syncing ${p.path}: ${p.reason}`);
+    console.log(`Discovered ${paths.length} resources (${graph.order.length} runnable, dependency ordered).`);
+    if (dryRun) {
+      const plan = await planRun(client, found, { since, full, fresh });
+      console.table(plan);
+      return { plan, results: [], failed: 0 };
+    }
+
+    await migrateUp(client);
+    const aborted = await abandonStaleRuns(client);
+    if (aborted.length) console.warn(`⚠ marked interrupted run(s) #${aborted.join(", #")} as aborted`);
+    // --full and --since define their own window, so they start over
+    const resumable = fresh || full || since || reconcile ? new Map() : await resumePoints(client);
+    runId = await startRun(client, { only, exclude, since, full, fresh, concurrency, reconcile, repair }, graph.order.length);
+    onStart(runId);
+
+    // schema drift since the snapshot the mirror was last built against
+    const snapshot = await saveSnapshot(client, schemaResp);
+    const prev = await lastSyncedSnapshot(client);
+    const schemaDiff = prev && prev.hash !== snapshot.hash
+      ? await diffVersions(client, { from: { id: prev.id }, to: { id: snapshot.id } })
+      : null;
+    if (schemaDiff) console.log(`⚠ swagger changed ${prev.version} → ${snapshot.version} (${schemaDiff.changes} change(s))`);
+
+    const results = await runSyncGraph(graph,
+      node => reconcile
+        ? reconcileResource(client, node.path, syncByPath.get(node.path), schemaResp, { repair, signal })
+        : syncResource(client, node.path, syncByPath.get(node.path), node.parent,
+          { since, full, runId, resume: resumable.get(node.resource), signal }),
+      { concurrency, signal });
+    signal?.throwIfAborted();
+    results.push(...graph.problems.map(p => ({ resource: resourceName(p.path), path: p.path, rowcount: 0, errors: [p.reason] })));
+    if (!reconcile) {
+      // the mirror is saved either way; /reports answers 503 until the views build
+      await buildViews(client).catch(e => console.error("Building the analytical views failed:", e.message));
+      const typed = await buildTypedViews(client, schemaResp, results.filter(r => r.path && !r.errors.length));
+      if (typed.length) console.log(`Regenerated ${typed.length} typed view(s).`);
+      await markSynced(client, snapshot.id);
+    }
+    await reportResults(results, schemaDiff);
+    const failed = results.filter(r => r.errors.length).length;
+    await finishRun(client, runId, { status: failed ? "partial" : "completed", failed });
+    console.log(`Mirror ${reconcile ? "reconciliation" : "sync"} complete`, new Date().toISOString());
+    return { runId, results, failed, schemaDiff };
+  } catch (e) {
+    if (runId) {
+      const status = signal?.aborted ? "cancelled" : "failed";
+      await finishRun(client, runId, { status, error: String(e) }).catch(() => {});
+    }
+    throw e;
+  } finally {
+    // seen-id tables of resources that failed midway
+    await client.query("DISCARD TEMP").catch(() => {});
+    if (locked) await client.query("SELECT pg_advisory_unlock($1)", [SYNC_LOCK_KEY]).catch(() => {});
     client.release();
-    await pool.end();
+    if (!pool) await db.end();
+  }
+}
+
+//-------------------------------------------------------------
+// CLI
+//-------------------------------------------------------------
+const list = v => (v ? String(v).split(",").map(s => s.trim()).filter(Boolean) : []);
+
+async function cli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      only: { type: "string" },
+      exclude: { type: "string" },
+      since: { type: "string" },
+      full: { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      concurrency: { type: "string", default: "5" },
+      fresh: { type: "boolean", default: false },
+      reconcile: { type: "boolean", default: false },
+      repair: { type: "boolean", default: false },
+      list: { type: "boolean", default: false }
+    }
+  });
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error(`invalid --concurrency: ${values.concurrency}`);
+  const opts = { only: list(values.only), exclude: list(values.exclude) };
+  if (values.list) {
+    printCatalog(await discover(opts));
+    return 0;
   }
+  const { failed } = await runSync({
+    ...opts, since: values.since || null, full: values.full, fresh: values.fresh, dryRun: values["dry-run"], concurrency,
+    reconcile: values.reconcile, repair: values.repair
+  });
+  return failed ? 2 : 0;
 }
 
-main().catch(e=>{
-  console.error("Mirror job failed:",e);
-  process.exit(1);
-});
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    e => {
+      if (e.code === "sync_locked") {
+        console.error("❌ Another sync is running (in the server's scheduler or another CLI); try again when it's done.");
+        process.exit(3);
+      }
+      console.error("Mirror job failed:", e);
+      process.exit(1);
+    }
+  );
+}
@@ -0,0 +1,201 @@
+// syncGraph.js — sync order from the parents nested endpoints are expanded from
+// ============================================================================
+// A nested endpoint such as /api/sales-orders/{salesOrderId}/lines/list is
+// called once per id in a parent table, so the parent has to sync first.
+// The parent of each nested path is, in order of preference:
+//   1. an entry in SYNC_PARENTS, keyed on the full path or the parameter name
+//   2. a list endpoint in the same run whose resource segment ("sales-orders")
+//      or response model ("SalesOrder") matches the parameter ("salesOrderId")
+//   3. a list endpoint for the segment in front of the parameter
+// An override gives the parent as a synced `path` or an existing `table`, and
+// optionally the payload field holding the id (default: the row id):
+//   SYNC_PARENTS='{"salesOrderId":{"path":"/api/sales-orders/list"},
+//                  "/api/jobs/{jobNumber}/notes/list":{"table":"jobs_list","idField":"number"}}'
+// Unresolved parents and cycles are reported before anything runs; those
+// paths and everything below them are left out of the run.
+// ============================================================================
+
+function parseOverrides(raw) {
+  try { return raw ? JSON.parse(raw) : {}; }
+  catch (e) { console.error("SYNC_PARENTS is not valid JSON, ignoring it:", e.message); return {}; }
+}
+
+const PARENT_OVERRIDES = parseOverrides(process.env.SYNC_PARENTS);
+
+// Mirror table for an endpoint: /api/items/list/v2 → items_list_v2
+export function resourceName(path) {
+  return path
+    .split("/")
+    .filter(p => p && !p.startsWith("{") && p !== "api")
+    .join("_")
+    .replace(/[^a-zA-Z0-9_]/g, "_");
+}
+
+export const norm = s => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const plural = s => [s, `${s}s`, `${s}es`, s.replace(/y$/, "ies")];
+export const sameNoun = (a, b) => !!a && !!b && (plural(a).includes(b) || plural(b).includes(a));
+const resourceSegment = path => path.split("/").filter(p => p && p !== "api")[0];
+const modelNoun = m => norm(String(m || "").replace(/(Dto|Model|Response|Result|View)$/, ""));
+
+// Prefer plain list endpoints, then the shortest path, for a stable choice
+function pick(paths) {
+  return [...paths].sort((a, b) =>
+    (/\/list($|\/)/.test(b) - /\/list($|\/)/.test(a)) || a.length - b.length || a.localeCompare(b)
+  )[0] || null;
+}
+
+function resolveParent(path, param, candidates, modelByPath, overrides) {
+  const override = overrides[path] || overrides[param];
+  if (override) {
+    const parentPath = override.path || null;
+    const table = override.table || (parentPath && resourceName(parentPath));
+    if (!table) return { error: `override for ${path} needs a path or table` };
+    return { parent: { path: parentPath, table, idField: override.idField || "id" } };
+  }
+
+  const segs = path.split("/");
+  const before = segs[segs.indexOf(`{${param}}`) - 1];
+  const noun = param === "id" ? norm(before) : norm(param.replace(/Id$/, ""));
+  const bySegment = candidates.filter(c => sameNoun(noun, norm(resourceSegment(c))));
+  const byModel   = candidates.filter(c => sameNoun(noun, modelNoun(modelByPath.get(c))));
+  const byBefore  = candidates.filter(c => resourceSegment(c) === before);
+  const parentPath = pick(bySegment) || pick(byModel) || pick(byBefore);
+  if (!parentPath) {
+    return { error: `no parent endpoint for {${param}} (add it to SYNC_PARENTS)` };
+  }
+  return { parent: { path: parentPath, table: resourceName(parentPath), idField: "id" } };
+}
+
+//-------------------------------------------------------------
+// Graph
+//-------------------------------------------------------------
+// → { nodes: Map(path → { path, resource, param, parent, deps }), order, problems }
+export function buildSyncGraph(paths, catalog = {}, overrides = PARENT_OVERRIDES) {
+  const modelByPath = new Map();
+  for (const r of catalog.resources || []) {
+    if (r.op.responseModel && (!modelByPath.has(r.op.path) || r.op.method === "POST")) {
+      modelByPath.set(r.op.path, r.op.responseModel);
+    }
+  }
+  const nodes = new Map();
+  const problems = [];
+  const candidates = paths.filter(p => !p.includes("{"));
+
+  for (const path of paths) {
+    const node = { path, resource: resourceName(path), param: null, parent: null, deps: [] };
+    const params = [...path.matchAll(/{(\w+)}/g)].map(m => m[1]);
+    if (params.length > 1) {
+      problems.push({ path, reason: "nested endpoints with more than one path parameter are not supported" });
+      continue;
+    }
+    if (params.length === 1) {
+      node.param = params[0];
+      const { parent, error } = resolveParent(path, node.param, candidates.filter(c => c !== path), modelByPath, overrides);
+      if (error) { problems.push({ path, reason: error }); continue; }
+      node.parent = parent;
+      // a parent table outside this run only has to exist already
+      const dep = parent.path && paths.includes(parent.path)
+        ? parent.path
+        : paths.find(p => p !== path && resourceName(p) === parent.table);
+      if (dep) node.deps.push(dep);
+    }
+    nodes.set(path, node);
+  }
+
+  // children of unresolved parents can't run either
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const [path, node] of nodes) {
+      const missing = node.deps.find(d => !nodes.has(d));
+      if (missing) {
+        nodes.delete(path);
+        problems.push({ path, reason: `parent ${missing} can't be synced` });
+        changed = true;
+      }
+    }
+  }
+
+  // Kahn's algorithm; whatever is left over sits on or below a cycle
+  const order = [];
+  const pending = new Map([...nodes].map(([p, n]) => [p, n.deps.length]));
+  const ready = [...pending].filter(([, n]) => !n).map(([p]) => p);
+  while (ready.length) {
+    const path = ready.shift();
+    order.push(path);
+    pending.delete(path);
+    for (const [p, n] of nodes) {
+      if (!n.deps.includes(path) || !pending.has(p)) continue;
+      pending.set(p, pending.get(p) - 1);
+      if (pending.get(p) === 0) ready.push(p);
+    }
+  }
+  for (const path of pending.keys()) {
+    nodes.delete(path);
+    problems.push({ path, reason: "part of, or below, a dependency cycle" });
+  }
+  return { nodes, order, problems };
+}
+
+// Restrict a graph to the paths keep() accepts. Parents left out of the run
+// are assumed to be mirrored already.
+export function subgraph(graph, keep) {
+  const nodes = new Map();
+  for (const [path, node] of graph.nodes) {
+    if (keep(path)) nodes.set(path, node);
+  }
+  for (const [path, node] of nodes) {
+    nodes.set(path, { ...node, deps: node.deps.filter(d => nodes.has(d)) });
+  }
+  return {
+    nodes,
+    order: graph.order.filter(p => nodes.has(p)),
+    problems: graph.problems.filter(p => keep(p.path))
+  };
+}
+
+//-------------------------------------------------------------
+// Execution
+//-------------------------------------------------------------
+// Starts each node as soon as its parents have finished, up to `concurrency`
+// at a time. worker(node) → { resource, rowcount, errors, ... }; when a parent
+// fails its children are skipped, and once `signal` aborts nothing new starts.
+export function runSyncGraph(graph, worker, { concurrency = 5, signal = null } = {}) {
+  const results = [];
+  const state = new Map();
+  const waiting = new Set(graph.order);
+  let running = 0;
+
+  return new Promise(resolve => {
+    const pump = () => {
+      for (const path of waiting) {
+        if (running >= concurrency) break;
+        const node = graph.nodes.get(path);
+        const failed = node.deps.find(d => state.get(d) === "failed");
+        if (failed || signal?.aborted) {
+          waiting.delete(path);
+          state.set(path, "failed");
+          const error = failed ? `parent ${failed} failed` : "cancelled";
+          results.push({ resource: node.resource, path, rowcount: 0, errors: [error] });
+          continue;
+        }
+        if (!node.deps.every(d => state.has(d))) continue;
+        waiting.delete(path);
+        running++;
+        Promise.resolve()
+          .then(() => worker(node))
+          .catch(e => {
+            console.error(`✗ ${path}: ${e.message}`);
+            return { resource: node.resource, path, rowcount: 0, errors: [e.message] };
+          })
+          .then(r => {
+            running--;
+            results.push(r);
+            state.set(path, r.errors?.length ? "failed" : "done");
+            pump();
+          });
+      }
+      if (!running && !waiting.size) resolve(results);
+    };
+    pump();
+  });
+}
@@ -0,0 +1,130 @@
+// syncRuns.js — sync run bookkeeping and per-resource checkpoints
+// ============================================================================
+// Every sync run gets a sync_runs row; each resource it touches keeps a
+// sync_checkpoints row that is rewritten after every saved batch:
+//   nested paths     last_parent_id: every parent up to it has been fetched and saved
+//   streamed lists   last_page: pages fully saved (resume with startSkip)
+// A run that dies leaves its row "running". The next run marks it aborted
+// (its process is gone, or it stopped heartbeating for SYNC_STALE_MINUTES)
+// and picks every unfinished resource up from its checkpoint.
+// ============================================================================
+
+import os from "os";
+
+const STALE_MINUTES = Number(process.env.SYNC_STALE_MINUTES || 30);
+const HOST = os.hostname();
+
+function processAlive(pid) {
+  try { process.kill(pid, 0); return true; }
+  catch (e) { return e.code === "EPERM"; }
+}
+
+//-------------------------------------------------------------
+// Runs
+//-------------------------------------------------------------
+export async function abandonStaleRuns(db) {
+  const r = await db.query(`SELECT id, host, pid, heartbeat_at FROM sync_runs WHERE status='running'`);
+  const staleBefore = Date.now() - STALE_MINUTES * 60_000;
+  const dead = r.rows
+    .filter(run => (run.host === HOST && run.pid !== process.pid && !processAlive(run.pid))
+      || new Date(run.heartbeat_at).getTime() < staleBefore)
+    .map(run => run.id);
+  if (dead.length) {
+    await db.query(
+      `UPDATE sync_runs SET status='aborted', finished_at=heartbeat_at WHERE id = ANY($1::bigint[])`,
+      [dead]
+    );
+  }
+  return dead;
+}
+
+export async function startRun(db, options, resources) {
+  const r = await db.query(
+    `INSERT INTO sync_runs(options, host, pid, resources) VALUES ($1,$2,$3,$4) RETURNING id`,
+    [JSON.stringify(options), HOST, process.pid, resources]
+  );
+  return r.rows[0].id;
+}
+
+export async function finishRun(db, runId, { status, failed = 0, error = null }) {
+  // resources that never reached "done" stay resumable
+  await db.query(`UPDATE sync_checkpoints SET status='failed' WHERE run_id=$1 AND status='running'`, [runId]);
+  await db.query(
+    `UPDATE sync_runs SET status=$2, failed=$3, error=$4, finished_at=NOW(), heartbeat_at=NOW() WHERE id=$1`,
+    [runId, status, failed, error]
+  );
+}
+
+//-------------------------------------------------------------
+// Checkpoints
+//-------------------------------------------------------------
+// cp: { resource, path, status, fullPass, fetchSince, watermark, lastParentId,
+//       lastPage, rowsDone, parentsDone, parentsTotal }
+export async function saveCheckpoint(db, runId, cp) {
+  await db.query(
+    `INSERT INTO sync_checkpoints(run_id,resource,path,status,full_pass,fetch_since,watermark,
+       last_parent_id,last_page,rows_done,parents_done,parents_total,updated_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,NOW())
+     ON CONFLICT (run_id, resource) DO UPDATE
+       SET status=EXCLUDED.status, full_pass=EXCLUDED.full_pass, fetch_since=EXCLUDED.fetch_since,
+           watermark=EXCLUDED.watermark, last_parent_id=EXCLUDED.last_parent_id,
+           last_page=EXCLUDED.last_page, rows_done=EXCLUDED.rows_done,
+           parents_done=EXCLUDED.parents_done, parents_total=EXCLUDED.parents_total, updated_at=NOW()`,
+    [runId, cp.resource, cp.path, cp.status, cp.fullPass, cp.fetchSince,
+     cp.watermark == null ? null : new Date(cp.watermark).toISOString(),
+     cp.lastParentId ?? null, cp.lastPage ?? null, cp.rowsDone || 0, cp.parentsDone ?? null, cp.parentsTotal ?? null]
+  );
+  await db.query(`UPDATE sync_runs SET heartbeat_at=NOW() WHERE id=$1`, [runId]);
+}
+
+// resource → latest unfinished checkpoint of a run that is no longer running
+export async function resumePoints(db) {
+  const r = await db.query(`
+    SELECT DISTINCT ON (c.resource) c.*, r.status AS run_status
+    FROM sync_checkpoints c JOIN sync_runs r ON r.id = c.run_id
+    ORDER BY c.resource, c.updated_at DESC`);
+  return new Map(r.rows
+    .filter(c => c.status !== "done" && c.run_status !== "running" && (c.last_parent_id != null || c.last_page))
+    .map(c => [c.resource, c]));
+}
+
+//-------------------------------------------------------------
+// Progress for /mirror/summary
+//-------------------------------------------------------------
+const round = v => (v == null ? null : Math.round(v * 10) / 10);
+
+function checkpointPercent(c) {
+  if (c.status === "done") return 100;
+  if (c.parents_total) return Math.min(100, (100 * Number(c.parents_done || 0)) / Number(c.parents_total));
+  return null;
+}
+
+export async function runProgress(db, limit = 10) {
+  const runs = (await db.query(
+    `SELECT id, status, options, resources, failed, error, started_at, heartbeat_at, finished_at,
+            status='running' AND heartbeat_at < NOW() - make_interval(mins => $2) AS stale
+     FROM sync_runs ORDER BY started_at DESC LIMIT $1`,
+    [limit, STALE_MINUTES]
+  )).rows;
+  if (!runs.length) return [];
+  const cps = (await db.query(
+    `SELECT run_id, resource, status, rows_done, parents_done, parents_total, last_parent_id, last_page, updated_at
+     FROM sync_checkpoints WHERE run_id = ANY($1::bigint[]) ORDER BY resource`,
+    [runs.map(r => r.id)]
+  )).rows;
+
+  return runs.map(({ stale, ...run }) => {
+    const checkpoints = cps
+      .filter(c => String(c.run_id) === String(run.id))
+      .map(({ run_id, ...c }) => ({ ...c, percent_complete: round(checkpointPercent(c)) }));
+    // unfinished resources count by their parent progress when it's known
+    const done = checkpoints.reduce((n, c) => n + (c.status === "done" ? 1 : (checkpointPercent(c) ?? 0) / 100), 0);
+    const total = Math.max(run.resources || 0, checkpoints.length);
+    return {
+      ...run,
+      status: stale ? "aborted" : run.status,
+      percent_complete: total ? round((100 * done) / total) : null,
+      checkpoints
+    };
+  });
+}
@@ -0,0 +1,60 @@
+// Route scopes and upstream restrictions of API keys (apiKeys.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { requiredScope, hasScope, canCall, upstreamPath } from "../apiKeys.js";
+
+test("routes map to the scope of their family, anything else to admin", () => {
+  assert.equal(requiredScope("/healthz"), null);
+  assert.equal(requiredScope("/webhooks/fulcrum"), null);
+  assert.equal(requiredScope("/call"), "proxy");
+  assert.equal(requiredScope("/call/batch"), "proxy");
+  assert.equal(requiredScope("/records/jobs/12"), "proxy");
+  assert.equal(requiredScope("/schema/diff"), "schema");
+  assert.equal(requiredScope("/mirror/query"), "mirror:query");
+  assert.equal(requiredScope("/mirror/jobs_list"), "mirror:read");
+  assert.equal(requiredScope("/reports/shortages"), "mirror:read");
+  assert.equal(requiredScope("/graphql"), "mirror:read");
+  assert.equal(requiredScope("/admin/sync"), "admin");
+  assert.equal(requiredScope("/callers"), "admin");
+  assert.equal(requiredScope("/unknown"), "admin");
+});
+
+test("scopes follow Express's case-insensitive, trailing-slash matching", () => {
+  assert.equal(requiredScope("/mirror/QUERY"), "mirror:query");
+  assert.equal(requiredScope("/Mirror/Query/"), "mirror:query");
+  assert.equal(requiredScope("/mirror//query"), "mirror:query");
+  assert.equal(requiredScope("/ADMIN/keys"), "admin");
+  assert.equal(requiredScope("/Call"), "proxy");
+  assert.equal(requiredScope("/HEALTHZ/"), null);
+});
+
+test("admin implies every scope", () => {
+  assert.equal(hasScope({ scopes: ["mirror:read"] }, "mirror:read"), true);
+  assert.equal(hasScope({ scopes: ["mirror:read"] }, "mirror:query"), false);
+  assert.equal(hasScope({ scopes: ["admin"] }, "mirror:query"), true);
+});
+
+test("keys are held to their path prefixes and methods", () => {
+  const key = { pathPrefixes: ["/api/jobs/"], methods: ["GET"] };
+  assert.equal(canCall(key, { method: "GET", path: "/api/jobs/12" }), null);
+  assert.match(canCall(key, { method: "GET", path: "/api/items/1" }), /outside this key's prefixes/);
+  assert.match(canCall(key, { method: "DELETE", path: "/api/jobs/12" }), /method DELETE/);
+  assert.equal(canCall(key, { method: "POST", path: "/api/jobs/list", read: true }), null);
+  assert.equal(canCall({ pathPrefixes: [], methods: [] }, { method: "PUT", path: "/api/x" }), null);
+});
+
+test("upstream paths are checked as they will be fetched", () => {
+  assert.equal(upstreamPath("/api/jobs/12?x=1"), "/api/jobs/12?x=1");
+  assert.equal(upstreamPath("/api/jobs/../invoices/create"), "/api/invoices/create");
+  assert.equal(upstreamPath("/api/jobs/%2e%2e/invoices"), "/api/invoices");
+  assert.equal(upstreamPath("/api/jobs\\..\\invoices"), "/api/invoices");
+  assert.equal(upstreamPath("/api/jobs/..%2finvoices"), null);
+  assert.equal(upstreamPath("/api/jobs/%zz"), null);
+  assert.equal(upstreamPath("//evil.example/api/jobs/"), null);
+  assert.equal(upstreamPath("api/jobs/"), null);
+
+  const key = { pathPrefixes: ["/api/jobs/"], methods: [] };
+  assert.match(canCall(key, { method: "POST", path: "/api/jobs/../invoices/create" }), /outside this key's prefixes/);
+  assert.match(canCall(key, { method: "POST", path: "/api/jobs/..%2finvoices" }), /not allowed/);
+});
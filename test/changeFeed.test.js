@@ -0,0 +1,44 @@
+// Change filters and events (changeFeed.js) and the signature on deliveries (webhooks.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeFilter, matchesChange, changeEvent } from "../changeFeed.js";
+import { sign, verifySignature } from "../webhooks.js";
+
+test("filters take lists or comma strings and name tables the way the mirror does", () => {
+  assert.deepEqual(normalizeFilter(), { resources: [], fields: [], actions: [] });
+  assert.deepEqual(normalizeFilter({ resources: "/api/jobs, Sales-Orders", fields: ["status", "customer.name"], actions: "Created,updated" }),
+    { resources: ["jobs", "sales_orders"], fields: ["status", "customer"], actions: ["created", "updated"] });
+  assert.throws(() => normalizeFilter({ actions: ["moved"] }), { status: 400, message: /unknown action "moved"/ });
+});
+
+test("a change matches on resource prefix, action, and for updates a changed field", () => {
+  const filter = normalizeFilter({ resources: "jobs", fields: "status", actions: "created,updated" });
+  const change = (resource, action, changedFields = []) => ({ resource, action, changedFields });
+  assert.equal(matchesChange(filter, change("jobs_list", "created")), true);
+  assert.equal(matchesChange(filter, change("jobs_operations_list", "updated", ["status"])), true);
+  assert.equal(matchesChange(filter, change("jobsx_list", "created")), false);
+  assert.equal(matchesChange(filter, change("jobs_list", "updated", ["dueDate"])), false);
+  assert.equal(matchesChange(filter, change("jobs_list", "deleted")), false);
+  assert.equal(matchesChange(normalizeFilter(), change("items_list", "deleted")), true);
+});
+
+test("events carry the record as it is now, or was for a delete, and a diff for updates", () => {
+  const row = { id: "7", resource: "jobs_list", record_id: "j1", action: "updated", changed_at: "t",
+    changed_fields: ["status"], before: { status: "Open" }, after: { status: "Done" } };
+  const ev = changeEvent(row);
+  assert.equal(ev.id, 7);
+  assert.deepEqual(ev.record, { status: "Done" });
+  assert.deepEqual(ev.diff, { status: { before: "Open", after: "Done" } });
+  assert.deepEqual(changeEvent({ ...row, action: "deleted" }).record, { status: "Open" });
+});
+
+test("deliveries are signed with an HMAC-SHA256 of the body that verifySignature accepts", () => {
+  const body = JSON.stringify({ id: 1 });
+  const header = sign(body, "s3cret");
+  assert.match(header, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifySignature(body, header, "s3cret"), true);
+  assert.equal(verifySignature(body, header, "other"), false);
+  assert.equal(verifySignature(body + " ", header, "s3cret"), false);
+  assert.equal(verifySignature(body, undefined, "s3cret"), false);
+});
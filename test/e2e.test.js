@@ -0,0 +1,902 @@
+// End-to-end: the proxy (/call, /schema) and a mirror sync against the fake
+// Fulcrum in fakeFulcrum.js. The sync needs a throwaway Postgres database,
+// which it empties first; without TEST_DATABASE_URL those tests are skipped.
+//   TEST_DATABASE_URL=postgres://localhost/fulcrum_test npm test
+
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createFakeFulcrum } from "../fakeFulcrum.js";
+
+const TOKEN = "test-token";
+const SECRET = "test-secret";
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || "";
+
+const fake = createFakeFulcrum({ token: TOKEN });
+const proxy = http.createServer();
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), "fulcrum-exports-"));
+let base, server;
+
+// server.js, upstream.js and syncFulcrum.js read their config on import, so
+// the environment is set first and the proxy's port picked before loading them
+before(async () => {
+  const fakeUrl = await fake.listen();
+  await new Promise(resolve => proxy.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${proxy.address().port}`;
+  Object.assign(process.env, {
+    FULCRUM_BASE_URL: fakeUrl,
+    FULCRUM_TOKEN: TOKEN,
+    FULCRUM_RATE_PER_SEC: "1000",
+    FULCRUM_BURST: "1000",
+    FULCRUM_MAX_RETRIES: "2",
+    SHARED_SECRET: SECRET,
+    PROXY_BASE: base,
+    DATABASE_URL: TEST_DATABASE_URL,
+    SYNC_OVERLAP_MINUTES: "0",
+    SYNC_RETRY_BACKOFF_MS: "10",
+    IDEMPOTENCY_TTL_HOURS: "0.5",
+    IDEMPOTENCY_LEASE_SECONDS: "1",
+    EXPORT_DIR: exportDir,
+    EXPORT_SCHEDULE: JSON.stringify({
+      "open-jobs": { cron: "0 6 * * *", resource: "jobs_list", query: { status: "InProgress", sort: "number" }, columns: "number,status" }
+    })
+  });
+  server = await import("../server.js");
+  proxy.on("request", server.app);
+});
+
+after(async () => {
+  proxy.closeAllConnections();
+  await new Promise(resolve => proxy.close(resolve));
+  await fake.close();
+  await server?.pool.end();
+  fs.rmSync(exportDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  fake.clearFailures();
+  fake.requests.length = 0;
+});
+
+async function call(body, headers = {}) {
+  const r = await fetch(`${base}/call`, {
+    method: "POST",
+    headers: { "x-api-key": SECRET, "content-type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: r.status, headers: r.headers, text: await r.text() };
+}
+
+const json = r => JSON.parse(r.text);
+const pagesOf = path => fake.requests.filter(r => r.path === path);
+
+//-------------------------------------------------------------
+// /schema
+//-------------------------------------------------------------
+test("/schema compiles the fake swagger", async () => {
+  const r = await fetch(`${base}/schema`, { headers: { "x-api-key": SECRET } });
+  assert.equal(r.status, 200);
+  const catalog = await r.json();
+  assert.equal(catalog.version, "1.0-fake");
+  const op = path => catalog.resources.find(x => x.op.path === path).op;
+  assert.deepEqual(op("/api/jobs/list").sync, { mode: "incremental", dateFilter: "UpdatedUtcFrom", sortField: "UpdatedUtc" });
+  assert.deepEqual(op("/api/items/list/v2").sync, { mode: "incremental", dateFilter: "DateFrom", sortField: "CreatedUtc" });
+  assert.equal(op("/api/customers/list").sync.mode, "full");
+  assert.equal(op("/api/jobs/list").responseModel, "Job");
+  assert.equal(op("/api/jobs/{id}").method, "GET");
+  assert.deepEqual(catalog.enums.JobStatus, ["Scheduled", "InProgress", "Complete"]);
+  assert.deepEqual(catalog.models.Job.fields.status, { type: "string", enum: "JobStatus" });
+});
+
+test("/call needs an API key", async () => {
+  const r = await fetch(`${base}/call`, { method: "POST" });
+  assert.equal(r.status, 401);
+});
+
+//-------------------------------------------------------------
+// /call
+//-------------------------------------------------------------
+test("/call holds a prefix-limited key to its prefixes after resolving dot segments", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { createKey, revokeKey } = await import("../apiKeys.js");
+  const { runMigrations } = await import("../migrate.js");
+  await runMigrations(server.pool);
+  const { key, name } = await createKey(server.pool, { name: `jobs-only-${Date.now()}`, scopes: ["proxy"], pathPrefixes: ["/api/jobs/"] });
+  try {
+    const as = body => call(body, { "x-api-key": key });
+    assert.equal((await as({ path: `/api/jobs/${fake.data.jobs[0].id}` })).status, 200);
+    for (const path of ["/api/jobs/../customers/list", "/api/jobs/%2e%2e/customers/list", "/api/jobs/.%2E/customers/list"]) {
+      const r = await as({ path });
+      assert.equal(r.status, 403, path);
+      assert.match(json(r).detail, /\/api\/customers\/list is outside/);
+    }
+    assert.equal((await as({ path: "/api/jobs/..%2fcustomers/list" })).status, 400);
+    assert.equal(pagesOf("/api/customers/list").length, 0);
+  } finally {
+    await revokeKey(server.pool, name);
+  }
+});
+
+test("/call pages through a list in CreatedUtc order", async () => {
+  const r = await call({ path: "/api/jobs/list", autoPage: { take: 40, maxPages: 100, maxRows: 10000, sortField: "CreatedUtc" } });
+  assert.equal(r.status, 200);
+  const rows = json(r);
+  assert.equal(rows.length, fake.data.jobs.length);
+  assert.equal(new Set(rows.map(x => x.id)).size, rows.length);
+  assert.deepEqual(rows.map(x => x.createdUtc), [...rows.map(x => x.createdUtc)].sort());
+  assert.deepEqual(pagesOf("/api/jobs/list").map(p => p.query.Skip), ["0", "40", "80", "120", "160", "200", "240"]);
+  assert.equal(pagesOf("/api/jobs/list")[0].query["Sort.Field"], "CreatedUtc");
+});
+
+test("/call passes DateFrom and a descending sort through", async () => {
+  const from = fake.data.items[99].createdUtc;
+  const r = await call({
+    path: "/api/items/list/v2",
+    body: { DateFrom: from },
+    query: { "Sort.Field": "CreatedUtc", "Sort.Dir": "Descending" },
+    autoPage: { take: 500, maxPages: 10, maxRows: 10000 }
+  });
+  const rows = json(r);
+  assert.equal(rows.length, fake.data.items.length - 99);
+  assert.equal(rows[0].id, fake.data.items.at(-1).id);
+  assert.equal(rows.at(-1).createdUtc, from);
+  assert.deepEqual(pagesOf("/api/items/list/v2")[0].body, { DateFrom: from });
+});
+
+test("/call reads details and nested lists", async () => {
+  const job = fake.data.jobs[4];
+  const detail = await call({ method: "GET", path: `/api/jobs/${job.id}` });
+  assert.deepEqual(json(detail), job);
+
+  const missing = await call({ method: "GET", path: "/api/jobs/nope" });
+  assert.equal(missing.status, 404);
+
+  const ops = json(await call({ path: `/api/jobs/${job.id}/operations/list` }));
+  assert.deepEqual(ops.map(o => o.jobId), [job.id, job.id]);
+});
+
+test("/call retries rate-limited pages", async () => {
+  fake.fail({ path: "/api/customers/list", status: 429, retryAfter: 0, times: 2 });
+  const r = await call({ path: "/api/customers/list" });
+  assert.equal(r.status, 200);
+  assert.equal(json(r).length, fake.data.customers.length);
+  assert.deepEqual(pagesOf("/api/customers/list").map(p => p.status), [429, 429, 200]);
+});
+
+test("/call retries a 500 in the middle of pagination without refetching earlier pages", async () => {
+  fake.fail({ path: "/api/jobs/list", status: 500, skip: 80 });
+  const r = await call({ path: "/api/jobs/list", autoPage: { take: 40, maxPages: 100, maxRows: 10000 } });
+  assert.equal(r.status, 200);
+  assert.equal(json(r).length, fake.data.jobs.length);
+  const skips = pagesOf("/api/jobs/list").map(p => `${p.query.Skip}:${p.status}`);
+  assert.deepEqual(skips.slice(0, 4), ["0:200", "40:200", "80:500", "80:200"]);
+});
+
+test("/call treats an empty body as an empty list", async () => {
+  fake.fail({ path: "/api/customers/list", empty: true });
+  const r = await call({ path: "/api/customers/list" });
+  assert.equal(r.status, 200);
+  assert.deepEqual(json(r), []);
+});
+
+test("/call maps an upstream 401 to fulcrum_unauthorized", async () => {
+  fake.fail({ path: "/api/customers/list", status: 401 });
+  const r = await call({ path: "/api/customers/list" });
+  assert.equal(r.status, 401);
+  assert.equal(json(r).error, "fulcrum_unauthorized");
+});
+
+test("NDJSON streams report a persistent mid-stream 500 in the trailer", async () => {
+  fake.fail({ path: "/api/jobs/list", status: 500, skip: 80, times: 0 });
+  const r = await call(
+    { path: "/api/jobs/list", autoPage: { take: 40, maxPages: 100, maxRows: 10000 } },
+    { accept: "application/x-ndjson" }
+  );
+  assert.equal(r.status, 200);
+  const lines = r.text.trim().split("\n").map(l => JSON.parse(l));
+  const { _trailer } = lines.pop();
+  assert.equal(lines.length, 80);
+  assert.deepEqual({ pages: _trailer.pages, rows: _trailer.rows, status: _trailer.error.status }, { pages: 2, rows: 80, status: 500 });
+  // the first try plus FULCRUM_MAX_RETRIES retries
+  assert.equal(pagesOf("/api/jobs/list").filter(p => p.status === 500).length, 3);
+});
+
+test("/call rejects a body that isn't JSON", async () => {
+  const r = await call({ path: "/api/jobs/list", body: "{nope" });
+  assert.equal(r.status, 400);
+  assert.equal(json(r).error, "invalid_body");
+  assert.equal(pagesOf("/api/jobs/list").length, 0);
+});
+
+//-------------------------------------------------------------
+// File exports
+//-------------------------------------------------------------
+async function download(body, headers = {}) {
+  const r = await fetch(`${base}/call`, {
+    method: "POST",
+    headers: { "x-api-key": SECRET, "content-type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: r.status, headers: r.headers, body: Buffer.from(await r.arrayBuffer()) };
+}
+
+test("/call exports a paged list as CSV with chosen columns", async () => {
+  const r = await download({
+    path: "/api/jobs/list", autoPage: { take: 100, maxPages: 10, sortField: "CreatedUtc" },
+    format: "csv", columns: "number,status,id"
+  });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("content-type"), /^text\/csv/);
+  assert.match(r.headers.get("content-disposition"), /filename="jobs_list\.csv"/);
+  const lines = r.body.toString("utf8").trim().split("\r\n");
+  assert.equal(lines[0], "number,status,id");
+  assert.equal(lines.length, fake.data.jobs.length + 1);
+  const first = fake.data.jobs[0];
+  assert.equal(lines[1], `${first.number},${first.status},${first.id}`);
+});
+
+test("/call exports flatten nested objects and honor Accept", async () => {
+  const r = await download({ method: "GET", path: "/api/jobs/job-0003" }, { accept: "text/csv" });
+  assert.equal(r.status, 200);
+  const [header, row] = r.body.toString("utf8").trim().split("\r\n");
+  assert.ok(header.split(",").includes("parentItemId"));
+  assert.ok(row.includes("J-5003"));
+
+  const { flattenRow } = await import("../exportFormats.js");
+  assert.deepEqual(flattenRow({ id: 1, customer: { name: "A", address: { city: "B" } }, tags: ["x"], empty: {} }),
+    { id: 1, "customer.name": "A", "customer.address.city": "B", tags: ["x"], empty: {} });
+});
+
+test("/call exports XLSX and Parquet files", async () => {
+  const list = { path: "/api/customers/list", autoPage: { take: 5, maxPages: 10 }, columns: ["id", "name"] };
+  const xlsx = await download({ ...list, format: "xlsx" });
+  assert.equal(xlsx.status, 200);
+  assert.equal(xlsx.body.subarray(0, 2).toString(), "PK");
+  const { default: ExcelJS } = await import("exceljs");
+  const book = new ExcelJS.Workbook();
+  await book.xlsx.load(xlsx.body);
+  const sheet = book.worksheets[0];
+  assert.deepEqual(sheet.getRow(1).values.slice(1), ["id", "name"]);
+  assert.equal(sheet.rowCount, fake.data.customers.length + 1);
+
+  const pq = await download({ ...list, format: "parquet" });
+  assert.equal(pq.status, 200);
+  assert.equal(pq.body.subarray(0, 4).toString(), "PAR1");
+  const { default: parquet } = await import("@dsnp/parquetjs");
+  const reader = await parquet.ParquetReader.openBuffer(pq.body);
+  assert.equal(Number(reader.getRowCount()), fake.data.customers.length);
+  const first = await reader.getCursor().next();
+  assert.deepEqual({ ...first }, { id: fake.data.customers[0].id, name: fake.data.customers[0].name });
+  await reader.close();
+});
+
+test("/call exports answer upstream errors and bad formats as JSON", async () => {
+  const bad = await download({ path: "/api/jobs/list", format: "pdf" });
+  assert.equal(bad.status, 400);
+  assert.equal(JSON.parse(bad.body).error, "bad_request");
+
+  fake.fail({ path: "/api/jobs/list", status: 404, body: { message: "nope" } });
+  const r = await download({ path: "/api/jobs/list", autoPage: { take: 100 }, format: "csv" });
+  assert.equal(r.status, 404);
+  assert.deepEqual(JSON.parse(r.body), { message: "nope" });
+});
+
+test("/admin/exports lists the export schedule", async () => {
+  const r = await fetch(`${base}/admin/exports`, { headers: { "x-api-key": SECRET } });
+  const body = await r.json();
+  assert.equal(body.dir, exportDir);
+  assert.deepEqual(body.exports.map(e => [e.name, e.cron, e.format, e.columns]), [["open-jobs", "0 6 * * *", "csv", ["number", "status"]]]);
+});
+
+//-------------------------------------------------------------
+// /call/batch
+//-------------------------------------------------------------
+async function batch(body) {
+  const r = await fetch(`${base}/call/batch`, {
+    method: "POST",
+    headers: { "x-api-key": SECRET, "content-type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+test("/call/batch runs ops with references to earlier results", async () => {
+  const r = await batch({
+    ops: [
+      { id: "job", method: "GET", path: "/api/jobs/job-0007" },
+      { id: "item", method: "GET", path: "/api/items/{{ops.job.parentItemId}}" },
+      { id: "ops", path: "/api/jobs/{{ops.job.id}}/operations/list" },
+      { path: "/api/items/list/v2", body: { DateFrom: "{{ops.item.createdUtc}}" }, autoPage: { take: 500, maxPages: 5 } }
+    ]
+  });
+  assert.equal(r.status, 200);
+  const [job, item, ops, items] = r.body.results;
+  assert.equal(r.body.ok, true);
+  assert.equal(item.data.id, job.data.parentItemId);
+  assert.deepEqual(ops.data.map(o => o.jobId), ["job-0007", "job-0007"]);
+  assert.equal(items.id, "3");
+  assert.equal(items.data.length, fake.data.items.length - fake.data.items.findIndex(i => i.id === item.data.id));
+});
+
+test("/call/batch skips dependents of a failed op and stops on error", async () => {
+  const r = await batch({
+    ops: [
+      { id: "missing", method: "GET", path: "/api/jobs/nope" },
+      { id: "after", method: "GET", path: "/api/items/{{ops.missing.parentItemId}}" },
+      { id: "other", method: "GET", path: "/api/jobs/job-0001", dependsOn: ["missing"] }
+    ]
+  });
+  assert.equal(r.body.ok, false);
+  assert.deepEqual(r.body.results.map(x => [x.id, x.status, x.skipped ?? false]),
+    [["missing", 404, false], ["after", null, true], ["other", null, true]]);
+
+  const stopped = await batch({
+    concurrency: 1,
+    stopOnError: true,
+    ops: [{ method: "GET", path: "/api/jobs/nope" }, { method: "GET", path: "/api/jobs/job-0001" }]
+  });
+  assert.deepEqual(stopped.body.results.map(x => x.status), [404, null]);
+  assert.equal(stopped.body.results[1].error, "stopped after op 0 failed");
+});
+
+test("/call/batch rejects unknown references and cycles", async () => {
+  const unknown = await batch({ ops: [{ method: "GET", path: "/api/jobs/{{ops.nope.id}}" }] });
+  assert.equal(unknown.status, 400);
+  const cycle = await batch({
+    ops: [
+      { id: "a", method: "GET", path: "/api/jobs/{{ops.b.id}}" },
+      { id: "b", method: "GET", path: "/api/jobs/{{ops.a.id}}" }
+    ]
+  });
+  assert.equal(cycle.status, 400);
+  assert.match(cycle.body.detail, /depend on each other/);
+});
+
+//-------------------------------------------------------------
+// /records
+//-------------------------------------------------------------
+async function write(method, path, body, headers = {}) {
+  const r = await fetch(`${base}${path}`, {
+    method,
+    headers: { "x-api-key": SECRET, "content-type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: r.status, headers: r.headers, text: await r.text() };
+}
+
+test("/records creates a record through the swagger create operation", async () => {
+  const r = await write("POST", "/records/jobs", { parentItemId: "item-0001", quantityToMake: 5, status: "Scheduled" });
+  assert.equal(r.status, 201);
+  const { id, record, mirror } = json(r);
+  assert.equal(record.id, id);
+  assert.equal(record.quantityToMake, 5);
+  if (!TEST_DATABASE_URL) assert.equal(mirror, null);
+  assert.deepEqual(fake.data.jobs.find(j => j.id === id).parentItemId, "item-0001");
+});
+
+test("/records reports every invalid field and doesn't call Fulcrum", async () => {
+  const r = await write("POST", "/records/Job", { quantityToMake: "5", status: "Lost", dueDate: "soon", colour: "red" });
+  assert.equal(r.status, 400);
+  const body = json(r);
+  assert.equal(body.model, "JobCreateRequest");
+  assert.deepEqual(body.errors, [
+    { field: "parentItemId", error: "is required" },
+    { field: "quantityToMake", error: "expected number" },
+    { field: "status", error: "must be one of Scheduled, InProgress, Complete" },
+    { field: "dueDate", error: "is not a valid date-time" },
+    { field: "colour", error: "is not a field of JobCreateRequest" }
+  ]);
+  assert.equal(pagesOf("/api/jobs").length, 0);
+});
+
+test("/records updates with a partial PATCH", async () => {
+  const r = await write("PATCH", "/records/jobs/job-0003", { status: "Complete" });
+  assert.equal(r.status, 200);
+  assert.equal(json(r).record.status, "Complete");
+  assert.equal(fake.data.jobs.find(j => j.id === "job-0003").status, "Complete");
+
+  const missing = await write("PATCH", "/records/jobs/nope", { status: "Complete" });
+  assert.equal(missing.status, 404);
+  assert.equal(json(missing).error, "upstream_error");
+
+  const empty = await write("PATCH", "/records/jobs/job-0003", {});
+  assert.equal(empty.status, 400);
+});
+
+test("/records 404s a resource without a write operation", async () => {
+  const r = await write("POST", "/records/widgets", {});
+  assert.equal(r.status, 404);
+  assert.equal(json(r).error, "unknown_resource");
+});
+
+test("the server exits instead of listening when its migrations fail", async () => {
+  const { execFile } = await import("node:child_process");
+  const exit = await new Promise(resolve => {
+    execFile(process.execPath, ["server.js"], {
+      cwd: new URL("..", import.meta.url),
+      env: { ...process.env, DATABASE_URL: "postgres://nobody@127.0.0.1:1/none", PORT: "0" },
+      timeout: 30_000
+    }, (err, stdout, stderr) => resolve({ code: err?.code ?? 0, stdout, stderr }));
+  });
+  assert.equal(exit.code, 1, exit.stdout);
+  assert.match(exit.stderr, /Migration failed, not starting/);
+  assert.doesNotMatch(exit.stdout, /Proxy running/);
+});
+
+//-------------------------------------------------------------
+// Mirror sync
+//-------------------------------------------------------------
+test("a full mirror sync, then an incremental one", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { runSync } = await import("../syncFulcrum.js");
+  const { runMigrations } = await import("../migrate.js");
+  const db = server.pool;
+  await db.query("DROP SCHEMA public CASCADE; CREATE SCHEMA public");
+  await runMigrations(db);
+  const count = async t => (await db.query(`SELECT COUNT(*)::int AS n FROM ${t} WHERE deleted_at IS NULL`)).rows[0].n;
+
+  // a rate limit and a 500 on the second page of items along the way
+  fake.fail([
+    { path: "/api/customers/list", status: 429, retryAfter: 0 },
+    { path: "/api/items/list/v2", status: 500, skip: 500 }
+  ]);
+  const first = await runSync({ pool: db, concurrency: 2 });
+  assert.equal(first.failed, 0, JSON.stringify(first.results.filter(r => r.errors.length)));
+  assert.equal(await count("items_list_v2"), fake.data.items.length);
+  assert.equal(await count("jobs_list"), fake.data.jobs.length);
+  assert.equal(await count("customers_list"), fake.data.customers.length);
+  assert.equal(await count("jobs_operations_list"), fake.data.operations.length);
+  // the analytical views read the mirrored jobs; BOMs and stock aren't served by the fake
+  const open = fake.data.jobs.filter(j => j.status !== "Complete").length;
+  assert.equal((await db.query(`SELECT COUNT(*)::int AS n FROM job_items WHERE is_open`)).rows[0].n, open);
+  const shortages = await fetch(`${base}/reports/shortages`, { headers: { "x-api-key": SECRET } });
+  assert.equal(shortages.status, 200);
+  assert.deepEqual(await shortages.json(), []);
+
+  const job = fake.data.jobs[0];
+  fake.update("jobs", job.id, { status: "Complete" });
+  const gone = fake.remove("customers", fake.data.customers[0].id);
+  fake.requests.length = 0;
+
+  const second = await runSync({ pool: db, only: ["jobs_list", "customers_list"], concurrency: 2 });
+  assert.equal(second.failed, 0);
+  // the incremental pass asks only for what changed since the watermark
+  const jobPages = pagesOf("/api/jobs/list");
+  assert.ok(jobPages.every(p => p.body.UpdatedUtcFrom > fake.data.jobs[1].updatedUtc));
+  const saved = (await db.query(`SELECT payload FROM jobs_list WHERE id=$1`, [job.id])).rows[0].payload;
+  assert.equal(saved.status, "Complete");
+  const change = (await db.query(
+    `SELECT action, changed_fields FROM mirror_changes WHERE resource='jobs_list' AND record_id=$1`, [job.id]
+  )).rows;
+  assert.deepEqual(change.map(c => c.action), ["updated"]);
+  assert.ok(change[0].changed_fields.includes("status"));
+  assert.equal(await count("customers_list"), fake.data.customers.length);
+  const tomb = (await db.query(`SELECT deleted_at FROM customers_list WHERE id=$1`, [gone.id])).rows[0];
+  assert.ok(tomb.deleted_at);
+});
+
+test("legacy append-only mirrors keep the last synced copy of each record and set aside rows without an id", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { up } = await import("../migrations/003_keyed_mirror_tables.js");
+  const client = await server.pool.connect();
+  try {
+    await client.query(`DROP SCHEMA IF EXISTS legacy_mirror CASCADE; CREATE SCHEMA legacy_mirror; SET search_path TO legacy_mirror`);
+    // the newer copy of "a" was inserted first
+    await client.query(`
+      CREATE TABLE widgets (payload JSONB, synced_at TIMESTAMPTZ);
+      INSERT INTO widgets VALUES ('{"id":"a","v":2}', '2026-02-01'), ('{"id":"a","v":1}', '2026-01-01'),
+                                 ('{"id":"b","v":1}', NULL), ('{"v":"no id"}', '2026-01-01');
+      CREATE TABLE gadgets (payload JSONB);
+      INSERT INTO gadgets VALUES ('{"id":"g","v":1}'), ('{"id":"g","v":2}')`);
+    await up(client);
+
+    const rows = async t => (await client.query(`SELECT id, payload->>'v' AS v FROM ${t} ORDER BY id`)).rows;
+    assert.deepEqual(await rows("widgets"), [{ id: "a", v: "2" }, { id: "b", v: "1" }]);
+    assert.deepEqual(await rows("gadgets"), [{ id: "g", v: "2" }]);
+    const setAside = (await client.query(`SELECT payload FROM widgets_unkeyed`)).rows;
+    assert.deepEqual(setAside, [{ payload: { v: "no id" } }]);
+    const left = (await client.query(`SELECT table_name FROM information_schema.tables WHERE table_schema='legacy_mirror' ORDER BY 1`)).rows;
+    assert.deepEqual(left.map(r => r.table_name), ["gadgets", "widgets", "widgets_unkeyed"]);
+  } finally {
+    await client.query(`RESET search_path; DROP SCHEMA IF EXISTS legacy_mirror CASCADE`);
+    client.release();
+  }
+});
+
+test("watermarks come from the field a resource filters on", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { runSync } = await import("../syncFulcrum.js");
+  const db = server.pool;
+  // items are listed by DateFrom/CreatedUtc; a later updatedUtc must not move the watermark
+  fake.update("items", fake.data.items[10].id, { updatedUtc: "2030-01-01T00:00:00.000Z" });
+  const r = await runSync({ pool: db, only: ["items_list_v2"] });
+  assert.equal(r.failed, 0);
+  const mark = (await db.query(
+    `SELECT last_date FROM mirror_log WHERE resource='items_list_v2' ORDER BY synced_at DESC LIMIT 1`
+  )).rows[0].last_date;
+  const newest = fake.data.items.map(i => i.createdUtc).sort().at(-1);
+  assert.equal(mark.toISOString(), newest);
+});
+
+test("a nested sync keeps its checkpoint before a failed parent and resumes there", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { runSync } = await import("../syncFulcrum.js");
+  const db = server.pool;
+  const jobIds = fake.data.jobs.map(j => j.id).sort();
+  const opsPath = id => `/api/jobs/${id}/operations/list`;
+  fake.fail({ path: opsPath(jobIds[2]), status: 500, times: 0 });
+
+  const broken = await runSync({ pool: db, only: ["jobs_operations_list"], fresh: true });
+  assert.equal(broken.failed, 1);
+  assert.match(broken.results[0].errors[0], new RegExp(`^1 parent fetch\\(es\\) failed \\(${jobIds[2]}\\)`));
+  const cp = (await db.query(
+    `SELECT c.status, c.last_parent_id, r.status AS run_status
+     FROM sync_checkpoints c JOIN sync_runs r ON r.id=c.run_id WHERE c.run_id=$1`, [broken.runId]
+  )).rows[0];
+  assert.deepEqual(cp, { status: "failed", last_parent_id: jobIds[1], run_status: "partial" });
+  const logged = (await db.query(
+    `SELECT errors FROM mirror_log WHERE resource='jobs_operations_list' ORDER BY synced_at DESC LIMIT 1`
+  )).rows[0];
+  assert.deepEqual(logged.errors, broken.results[0].errors);
+
+  fake.clearFailures();
+  fake.requests.length = 0;
+  const resumed = await runSync({ pool: db, only: ["jobs_operations_list"] });
+  assert.equal(resumed.failed, 0);
+  const fetched = fake.requests.filter(r => r.path.endsWith("/operations/list")).map(r => r.path);
+  assert.equal(fetched[0], opsPath(jobIds[2]));
+  assert.equal(new Set(fetched).size, jobIds.length - 2);
+});
+
+test("--full keeps the mirror when the reload fails and tombstones what's gone when it completes", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { runSync } = await import("../syncFulcrum.js");
+  const db = server.pool;
+  const live = async () => (await db.query(`SELECT id FROM customers_list WHERE deleted_at IS NULL ORDER BY id`)).rows.map(r => r.id);
+  const before = await live();
+  assert.ok(before.length);
+
+  fake.fail({ path: "/api/customers/list", status: 401, times: 0 });
+  const failed = await runSync({ pool: db, only: ["customers_list"], full: true });
+  assert.equal(failed.failed, 1);
+  assert.deepEqual(await live(), before);
+
+  fake.clearFailures();
+  const gone = fake.remove("customers", fake.data.customers.at(-1).id);
+  const since = (await db.query(`SELECT COALESCE(MAX(id), 0) AS id FROM mirror_changes`)).rows[0].id;
+  const reload = await runSync({ pool: db, only: ["customers_list"], full: true });
+  assert.equal(reload.failed, 0);
+  assert.deepEqual(await live(), before.filter(id => id !== gone.id));
+  assert.equal(reload.results[0].deleted, 1);
+  assert.equal(reload.results[0].updated, 0);
+  const changes = (await db.query(
+    `SELECT record_id, action FROM mirror_changes WHERE resource='customers_list' AND id > $1`, [since]
+  )).rows;
+  assert.deepEqual(changes, [{ record_id: gone.id, action: "deleted" }]);
+});
+
+test("a sync refuses to start while another holds the lock, in-process and from the CLI", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { runSync } = await import("../syncFulcrum.js");
+  const { execFile } = await import("node:child_process");
+  const holder = await server.pool.connect();
+  try {
+    await holder.query("SELECT pg_advisory_lock(4631702)");
+    await assert.rejects(runSync({ pool: server.pool, only: ["customers_list"] }), { code: "sync_locked" });
+    const code = await new Promise(resolve => {
+      execFile(process.execPath, ["syncFulcrum.js", "--only", "customers_list"], { cwd: new URL("..", import.meta.url) },
+        err => resolve(err ? err.code : 0));
+    });
+    assert.equal(code, 3);
+  } finally {
+    await holder.query("SELECT pg_advisory_unlock(4631702)");
+    holder.release();
+  }
+  const r = await runSync({ pool: server.pool, only: ["customers_list"] });
+  assert.equal(r.failed, 0);
+});
+
+test("swagger changes without a version bump get their own snapshot and diff", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { saveSnapshot } = await import("../schemaDiff.js");
+  const db = server.pool;
+  const current = await (await fetch(`${base}/schema`, { headers: { "x-api-key": SECRET } })).json();
+  const base1 = await saveSnapshot(db, current);
+  assert.deepEqual(await saveSnapshot(db, current), base1);
+
+  const changed = structuredClone(current);
+  changed.enums.JobStatus.push("OnHold");
+  const next = await saveSnapshot(db, changed);
+  assert.equal(next.version, base1.version);
+  assert.notEqual(next.id, base1.id);
+
+  const r = await fetch(`${base}/schema/diff`, { headers: { "x-api-key": SECRET } });
+  const diff = await r.json();
+  assert.equal(r.status, 200);
+  assert.equal(diff.changes, 1);
+  assert.deepEqual(diff.enums.changed, [{ enum: "JobStatus", added: ["OnHold"], removed: [] }]);
+  assert.deepEqual([diff.fromSnapshot, diff.toSnapshot], [Number(base1.id), Number(next.id)]);
+  const versions = await (await fetch(`${base}/schema/versions`, { headers: { "x-api-key": SECRET } })).json();
+  assert.deepEqual(versions.slice(0, 2).map(v => v.id), [next.id, base1.id]);
+  await saveSnapshot(db, current);
+});
+
+test("reconciliation reports drift, repairs it and keeps its result apart from the sync log", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { runSync } = await import("../syncFulcrum.js");
+  const db = server.pool;
+  await runSync({ pool: db, only: ["customers_list"] });
+  const [gone, old] = fake.data.customers.slice(2, 4).map(c => c.id);
+  await db.query(`UPDATE customers_list SET deleted_at=NOW() WHERE id=$1`, [gone]);
+  await db.query(`UPDATE customers_list SET updatedutc=updatedutc - interval '1 day' WHERE id=$1`, [old]);
+  await db.query(`INSERT INTO customers_list(id,payload,row_hash) VALUES ('cust-orphan','{"id":"cust-orphan","name":"x"}','x')`);
+  const validation = async () => (await (await fetch(`${base}/mirror/validation?resource=customers_list`, {
+    headers: { "x-api-key": SECRET }
+  })).json())[0];
+  const checks = v => Object.fromEntries(v.errors.map(i => [i.check, i]));
+
+  const found = await runSync({ pool: db, only: ["customers_list"], reconcile: true });
+  assert.equal(found.failed, 0);
+  let v = await validation();
+  assert.equal(v.ok, false);
+  assert.deepEqual(v.sync_errors, []);
+  assert.deepEqual(Object.keys(checks(v)).sort(), ["missing", "orphaned", "stale"]);
+  assert.deepEqual(checks(v).missing.ids, [gone]);
+  assert.deepEqual(checks(v).orphaned.ids, ["cust-orphan"]);
+
+  // the count is off by nothing here (one missing, one orphaned), so drop one more
+  await db.query(`UPDATE customers_list SET deleted_at=NOW() WHERE id=$1`, [fake.data.customers[4].id]);
+  const fixed = await runSync({ pool: db, only: ["customers_list"], reconcile: true, repair: true });
+  assert.deepEqual(fixed.results[0].repaired, { saved: 3, deleted: 1 });
+  v = await validation();
+  assert.deepEqual(Object.keys(checks(v)).sort(), ["count", "missing", "orphaned", "stale"]);
+  assert.ok(v.errors.every(i => i.repaired === true), JSON.stringify(v.errors));
+  assert.equal(v.ok, true);
+  assert.equal(v.upstream_count, fake.data.customers.length);
+
+  // a later sync doesn't hide the last reconciliation
+  await runSync({ pool: db, only: ["customers_list"] });
+  v = await validation();
+  assert.ok(v.reconciled_at);
+  assert.equal(v.ok, true);
+  const again = await runSync({ pool: db, only: ["customers_list"], reconcile: true });
+  assert.deepEqual(again.results[0].issues, []);
+});
+
+test("/mirror/:resource sorts numeric payload fields as numbers and 404s unknown tables as JSON", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const db = server.pool;
+  const get = url => fetch(`${base}${url}`, { headers: { "x-api-key": SECRET } });
+  const ranks = [9, 10, 100, "n/a", null, 2.5];
+  await db.query(
+    `INSERT INTO jobs_list(id,payload,row_hash,deleted_at)
+     SELECT 'rank-' || n, jsonb_build_object('rank', r), 'x', NOW() FROM jsonb_array_elements($1::jsonb) WITH ORDINALITY a(r, n)`,
+    [JSON.stringify(ranks)]
+  );
+  try {
+    const page = async (sort, cursor) => {
+      const r = await get(`/mirror/jobs_list?includeDeleted=true&id[like]=rank-%25&sort=${sort}&fields=rank&limit=4${cursor ? `&cursor=${cursor}` : ""}`);
+      assert.equal(r.status, 200);
+      return { rows: (await r.json()).map(x => x.rank ?? null), next: r.headers.get("x-next-cursor") };
+    };
+    const first = await page("rank");
+    assert.deepEqual(first.rows, [2.5, 9, 10, 100]);
+    const rest = await page("rank", first.next);
+    assert.deepEqual(rest.rows, [null, "n/a"]);
+    assert.deepEqual((await page("-rank")).rows, ["n/a", null, 100, 10]);
+  } finally {
+    await db.query(`DELETE FROM jobs_list WHERE id LIKE 'rank-%'`);
+  }
+
+  const unknown = await get("/mirror/no_such_table");
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(await unknown.json(), { error: "unknown_resource" });
+});
+
+test("change deliveries are signed and held while their subscription is paused", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { createSubscription, updateSubscription, deleteSubscription, listDeliveries, deliverDue } = await import("../changeSubscriptions.js");
+  const { verifySignature } = await import("../webhooks.js");
+  const db = server.pool;
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => { received.push({ headers: req.headers, body }); res.end(); });
+  });
+  await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  const on = await createSubscription(db, { name: "on", url, resources: ["customers"] });
+  const paused = await createSubscription(db, { name: "paused", url, resources: ["customers"] });
+  try {
+    await db.query(
+      `INSERT INTO mirror_changes(resource,record_id,action,before,after,changed_fields)
+       VALUES ('customers_list','cust-01','updated','{"name":"a"}','{"name":"b"}','{name}')`
+    );
+    await updateSubscription(db, paused.id, { active: false });
+
+    assert.equal(await deliverDue(db), 1);
+    assert.equal(received.length, 1);
+    const [hit] = received;
+    assert.equal(verifySignature(hit.body, hit.headers["x-mirror-signature"], on.secret), true);
+    assert.equal(JSON.parse(hit.body).subscription, "on");
+    assert.equal(JSON.parse(hit.body).recordId, "cust-01");
+    const [held] = await listDeliveries(db, paused.id);
+    assert.equal(held.status, "pending");
+    assert.equal(held.attempts, 0);
+
+    await updateSubscription(db, paused.id, { active: true });
+    assert.equal(await deliverDue(db), 1);
+    assert.equal(JSON.parse(received[1].body).subscription, "paused");
+    assert.equal((await listDeliveries(db, paused.id))[0].status, "delivered");
+  } finally {
+    await deleteSubscription(db, on.id);
+    await deleteSubscription(db, paused.id);
+    await new Promise(resolve => receiver.close(resolve));
+  }
+});
+
+test("/records writes are idempotent and refresh the mirror", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { runMigrations } = await import("../migrate.js");
+  const db = server.pool;
+  await runMigrations(db);
+  const job = { parentItemId: "item-0002", quantityToMake: 8 };
+  const headers = { "idempotency-key": `e2e-${Date.now()}` };
+
+  const first = await write("POST", "/records/jobs", job, headers);
+  assert.equal(first.status, 201);
+  const { id, mirror } = json(first);
+  assert.deepEqual(mirror, { table: "jobs_list", action: "saved" });
+  const row = (await db.query(`SELECT payload FROM jobs_list WHERE id=$1 AND deleted_at IS NULL`, [id])).rows[0];
+  assert.equal(row.payload.quantityToMake, 8);
+
+  const retry = await write("POST", "/records/jobs", job, headers);
+  assert.equal(retry.status, 201);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.equal(json(retry).id, id);
+  assert.equal(fake.data.jobs.filter(j => j.parentItemId === "item-0002" && j.quantityToMake === 8).length, 1);
+
+  const reused = await write("POST", "/records/jobs", { ...job, quantityToMake: 9 }, headers);
+  assert.equal(reused.status, 422);
+});
+
+test("an idempotency claim is renewed while its write runs, taken over once it lapses, and expires after a fractional TTL", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { claimKey, holdKey, completeKey, releaseKey, pruneKeys } = await import("../idempotency.js");
+  const db = server.pool;
+  const claim = { caller: "lease-test", key: `k-${Date.now()}`, hash: "h1" };
+  const row = async () => (await db.query(
+    `SELECT status, claim_token FROM idempotency_keys WHERE caller=$1 AND key=$2`, [claim.caller, claim.key]
+  )).rows[0];
+  const age = (col, interval) => db.query(
+    `UPDATE idempotency_keys SET ${col} = NOW() - $3::interval WHERE caller=$1 AND key=$2`, [claim.caller, claim.key, interval]
+  );
+
+  // IDEMPOTENCY_LEASE_SECONDS is 1 here: held for longer than that, it stays claimed
+  const first = await claimKey(db, claim);
+  assert.equal(first.claimed, true);
+  const stop = holdKey(db, { ...claim, token: first.token });
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  assert.deepEqual(await claimKey(db, claim), { conflict: "in_progress" });
+  stop();
+
+  // a lapsed claim goes to the retry, and the first request can no longer finish or free it
+  await age("leased_until", "1 second");
+  const second = await claimKey(db, claim);
+  assert.equal(second.claimed, true);
+  assert.notEqual(second.token, first.token);
+  await completeKey(db, { ...claim, token: first.token }, 201, { id: "first" });
+  await releaseKey(db, { ...claim, token: first.token });
+  assert.deepEqual(await row(), { status: null, claim_token: second.token });
+  await completeKey(db, { ...claim, token: second.token }, 201, { id: "x" });
+
+  // a completed key lives for IDEMPOTENCY_TTL_HOURS (0.5 here)
+  await age("created_at", "20 minutes");
+  assert.deepEqual(await claimKey(db, claim), { replay: { status: 201, response: { id: "x" } } });
+  assert.equal(await pruneKeys(db), 0);
+  await age("created_at", "40 minutes");
+  assert.equal(await pruneKeys(db), 1);
+  assert.equal((await claimKey(db, { ...claim, hash: "h2" })).claimed, true);
+});
+
+//-------------------------------------------------------------
+// /graphql
+//-------------------------------------------------------------
+test("/graphql types follow mirror_meta relationships and limits are counted", async () => {
+  const { mirrorSchema, measureQuery } = await import("../graphqlApi.js");
+  const { parse, validate } = await import("graphql");
+  const schema = mirrorSchema([
+    { table: "jobs_list", fields: { number: "String", customerId: "String", parentItemId: "String", quantityToMake: "Float" },
+      relations: { id: "s", customerId: "customers", parentItemId: "parentitems" } },
+    { table: "customers_list", fields: { name: "String" }, relations: {} },
+    { table: "items_list_v2", fields: { number: "String" }, relations: {} },
+    { table: "item_boms_data", fields: { itemId: "String", componentItemId: "String", quantityPer: "Float" },
+      relations: { itemId: "items", componentItemId: "componentitems" } }
+  ]);
+  const doc = parse(`{ jobsList(first: 10, filter: { quantityToMake: { gte: 10 } }) { nodes {
+    customer { name jobsList(first: 5) { nodes { number } } }
+    parentItem { number jobsListByParentItemId { pageInfo { hasNextPage } }
+                 itemBomsData(first: 20) { nodes { quantityPer componentItem { number } } } } } } }`);
+  assert.deepEqual(validate(schema, doc).map(String), []);
+  const { depth, complexity } = measureQuery(schema, doc);
+  assert.equal(depth, 7);
+  // 10 jobs × (customer + 5 jobs, item + 100 pages + 20 BOM lines × component)
+  assert.ok(complexity > 10 * 20 * 2, String(complexity));
+});
+
+test("/graphql resolves relationships with one query per level", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { runSync } = await import("../syncFulcrum.js");
+  const { runMigrations } = await import("../migrate.js");
+  const db = server.pool;
+  await runMigrations(db);
+  const sync = await runSync({ pool: db, only: ["jobs_list", "customers_list", "items_list_v2", "jobs_operations_list"] });
+  assert.equal(sync.failed, 0);
+
+  const gql = async (query, variables) => {
+    const r = await fetch(`${base}/graphql`, {
+      method: "POST",
+      headers: { "x-api-key": SECRET, "content-type": "application/json" },
+      body: JSON.stringify({ query, variables })
+    });
+    return { status: r.status, body: await r.json() };
+  };
+  const query = `query ($numbers: [String!]) {
+    jobsList(filter: { number: { in: $numbers } }, sort: "number", first: 2) {
+      nodes { number customer { name } parentItem { number jobsListByParentItemId(first: 1) { nodes { id } } }
+              jobsOperationsList(sort: "sequence") { nodes { name } } }
+      pageInfo { hasNextPage endCursor } } }`;
+  await gql("{ _tables }");  // builds the schema
+  let queries = 0;
+  const realQuery = db.query;
+  db.query = function (...args) { queries++; return realQuery.apply(this, args); };
+  let r;
+  try {
+    r = await gql(query, { numbers: ["J-5002", "J-5003", "J-5004"] });
+  } finally {
+    db.query = realQuery;
+  }
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.errors, undefined);
+  const { nodes, pageInfo } = r.body.data.jobsList;
+  assert.deepEqual(nodes.map(j => [j.number, j.customer?.name, j.parentItem.number]),
+    [["J-5002", "Customer 2", "P-1002"], ["J-5003", "Customer 3", "P-1003"]]);
+  assert.deepEqual(nodes[0].jobsOperationsList.nodes.map(o => o.name), ["Cut", "Weld"]);
+  assert.equal(pageInfo.hasNextPage, true);
+  // jobs, customers, items, jobs by item, operations
+  assert.equal(queries, 5);
+
+  const next = await gql(`{ jobsList(filter: { number: { in: ["J-5002", "J-5003", "J-5004"] } }, sort: "number", after: "${pageInfo.endCursor}") { nodes { number } } }`);
+  assert.deepEqual(next.body.data.jobsList.nodes.map(j => j.number), ["J-5004"]);
+
+  const deep = await gql(`{ jobsList { nodes { parentItem { jobsListByParentItemId { nodes { parentItem {
+    jobsListByParentItemId { nodes { parentItem { number } } } } } } } } } }`);
+  assert.equal(deep.status, 400);
+  assert.match(deep.body.errors[0].message, /depth|complexity/);
+  const mutation = await gql(`mutation { jobsList { nodes { id } } }`);
+  assert.equal(mutation.status, 400);
+});
+
+test("mirror tables and queries export as files, on demand and on schedule", { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL not set" }, async () => {
+  const { runSync } = await import("../syncFulcrum.js");
+  const { runMigrations } = await import("../migrate.js");
+  const db = server.pool;
+  await runMigrations(db);
+  assert.equal((await runSync({ pool: db, only: ["jobs_list"] })).failed, 0);
+  const open = fake.data.jobs.filter(j => j.status === "InProgress").map(j => j.number).sort();
+  const get = url => fetch(`${base}${url}`, { headers: { "x-api-key": SECRET } });
+
+  const r = await get("/mirror/jobs_list?status=InProgress&sort=number&format=csv&columns=number,quantityToMake");
+  assert.equal(r.status, 200);
+  const lines = (await r.text()).trim().split("\r\n");
+  assert.equal(lines[0], "number,quantityToMake");
+  assert.deepEqual(lines.slice(1).map(l => l.split(",")[0]), open);
+
+  const q = await fetch(`${base}/mirror/query`, {
+    method: "POST",
+    headers: { "x-api-key": SECRET, "content-type": "application/json", accept: "text/csv" },
+    body: JSON.stringify({ sql: "SELECT id, payload FROM jobs_list WHERE deleted_at IS NULL ORDER BY id", maxRows: 3 })
+  });
+  assert.equal(q.status, 200);
+  const [header, ...rows] = (await q.text()).trim().split("\r\n");
+  assert.ok(header.startsWith("id,payload.id,payload.number"), header);
+  assert.equal(rows.length, 3);
+
+  const run = await fetch(`${base}/admin/exports/open-jobs`, { method: "POST", headers: { "x-api-key": SECRET } });
+  const { last } = await run.json();
+  assert.equal(run.status, 200, JSON.stringify(last));
+  assert.equal(last.rows, open.length);
+  assert.match(path.basename(last.file), /^open-jobs-\d{4}-\d{2}-\d{2}T\d{4}\.csv$/);
+  assert.equal(fs.readFileSync(last.file, "utf8").split("\r\n")[1], `${open[0]},InProgress`);
+  assert.deepEqual(fs.readdirSync(exportDir).filter(f => f.endsWith(".partial")), []);
+});
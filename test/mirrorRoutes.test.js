@@ -0,0 +1,26 @@
+// Query building for GET /mirror/:resource and /graphql (mirrorRoutes.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sqlBuilder, parseSort, listQuery, encodeCursor } from "../mirrorRoutes.js";
+
+test("payload fields sort as numbers first, then as text; columns sort as they are", () => {
+  const b = sqlBuilder();
+  const keys = parseSort(b, "-quantity,createdUtc");
+  assert.deepEqual(keys.map(k => [k.name, k.type, k.desc]), [
+    ["quantity", "numeric", true],
+    ["quantity", "text", true],
+    ["createdutc", "timestamptz", false],
+    ["id", "text", false]
+  ]);
+  assert.match(keys[0].expr, /^COALESCE\(mirror_try_numeric\(\(payload #>> \$1::text\[\]\)\), 'NaN'::numeric\)$/);
+  assert.deepEqual(b.params, [["quantity"]]);
+  assert.deepEqual(parseSort(sqlBuilder(), "id").map(k => k.expr), ["id"]);
+});
+
+test("a cursor continues after the last row on every sort key", () => {
+  const { sql, params } = listQuery("jobs_list", { sort: "quantity", cursor: encodeCursor("quantity", ["9", "9", "job-1"]) });
+  assert.match(sql, /ORDER BY COALESCE\(mirror_try_numeric\(.*\), 'NaN'::numeric\) ASC, COALESCE\(.*, ''\) ASC, id ASC/);
+  assert.match(sql, /> \$\d+::numeric\)/);
+  assert.ok(params.includes("9") && params.includes("job-1"));
+});
@@ -0,0 +1,56 @@
+// MRP netting behind /reports/shortages (reports.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { netRequirements } from "../reports.js";
+
+const job = (job_id, item_id, qty_remaining, due_date) => ({ job_id, job_number: job_id, item_id, qty_remaining, due_date });
+const edge = (item_id, component_id, qty_per) => ({ item_id, component_id, qty_per });
+const short = rows => rows.map(r => [r.itemId, r.jobId, r.type, r.level, r.requiredQty, r.coveredQty, r.shortQty, r.projectedQty]);
+
+// P = 2 S + 1 B, S = 3 R
+const edges = [edge("P", "S", 2), edge("P", "B", 1), edge("S", "R", 3)];
+const jobs = [job("J1", "P", 2, "2026-03-02"), job("J2", "P", 3, "2026-03-01")];
+
+test("stock covers the earliest due job first and only shortages of made items explode", () => {
+  const rows = netRequirements({ jobs, edges, stock: new Map([["S", 4], ["R", 5]]), consumed: [] });
+  assert.deepEqual(short(rows), [
+    ["S", "J2", "make", 1, 6, 4, 2, -2],
+    ["S", "J1", "make", 1, 4, 0, 4, -6],
+    ["B", "J2", "buy", 1, 3, 0, 3, -3],
+    ["B", "J1", "buy", 1, 2, 0, 2, -5],
+    // R is only needed for the 6 S short, not the 10 S required
+    ["R", "J2", "buy", 2, 6, 5, 1, -1],
+    ["R", "J1", "buy", 2, 12, 0, 12, -13]
+  ]);
+  assert.equal(rows.find(r => r.itemId === "R").path, "P > S > R");
+});
+
+test("material already issued to a job comes off that job's requirement", () => {
+  const rows = netRequirements({ jobs, edges, stock: new Map([["S", 100]]), consumed: [["J2\u0000B", 1], ["J1\u0000B", 5]] });
+  assert.deepEqual(short(rows), [["B", "J2", "buy", 1, 2, 0, 2, -2]]);
+  assert.equal(rows[0].consumedQty, 1);
+});
+
+test("an item is netted at its deepest level, after every parent has added its demand", () => {
+  // B is used directly by P and through S
+  const rows = netRequirements({
+    jobs: [job("J1", "P", 1, "2026-03-01")],
+    edges: [...edges, edge("S", "B", 1)],
+    stock: new Map([["B", 2]]),
+    consumed: []
+  });
+  const b = rows.filter(r => r.itemId === "B");
+  assert.ok(b.every(r => r.level === 2));
+  assert.equal(b.reduce((n, r) => n + r.shortQty, 0), 1 + 2 - 2);
+});
+
+test("a BOM cycle is cut rather than exploded forever", () => {
+  const rows = netRequirements({
+    jobs: [job("J1", "P", 1, null)],
+    edges: [edge("P", "S", 1), edge("S", "P", 1)],
+    stock: new Map(),
+    consumed: []
+  });
+  assert.deepEqual(short(rows), [["S", "J1", "buy", 1, 1, 0, 1, -1]]);
+});
@@ -0,0 +1,36 @@
+// Catalog drift (schemaDiff.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffCatalogs, formatDiff } from "../schemaDiff.js";
+
+const catalog = (version, { status = ["Open", "Closed"], fields = {} } = {}) => ({
+  version,
+  resources: [{ op: { method: "POST", path: "/api/jobs/list", requestFields: ["DateFrom"], responseModel: "Job" } }],
+  models: { Job: { fields: { id: { type: "string" }, number: { type: "string" }, ...fields }, required: ["id"] } },
+  enums: { JobStatus: status }
+});
+
+test("an unchanged catalog has no drift", () => {
+  const d = diffCatalogs(catalog("1.0"), catalog("1.0"));
+  assert.equal(d.changes, 0);
+  assert.deepEqual(formatDiff(d), []);
+});
+
+test("model fields and enum values are compared", () => {
+  const d = diffCatalogs(
+    catalog("1.0"),
+    catalog("1.1", { status: ["Open", "Closed", "OnHold"], fields: { dueDate: { type: "string", format: "date-time" } } })
+  );
+  assert.deepEqual(d.models.changed, [{ model: "Job", added: ["dueDate"], removed: [], changed: [] }]);
+  assert.deepEqual(d.enums.changed, [{ enum: "JobStatus", added: ["OnHold"], removed: [] }]);
+  assert.deepEqual(d.endpoints.changed.map(e => e.response.added), [["dueDate"]]);
+  assert.equal(d.changes, 3);
+  assert.equal(formatDiff(d)[0], "Schema 1.0 → 1.1: 3 change(s)");
+});
+
+test("drift without a version bump is reported as such", () => {
+  const d = diffCatalogs(catalog("1.0"), catalog("1.0", { status: ["Open"] }));
+  assert.equal(d.changes, 1);
+  assert.deepEqual(formatDiff(d), ["Schema 1.0 changed without a version bump: 1 change(s)", "  ~ enum JobStatus: -Closed"]);
+});
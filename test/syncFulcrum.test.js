@@ -0,0 +1,12 @@
+// Pure helpers of the mirror sync (syncFulcrum.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { watermarkField } from "../syncFulcrum.js";
+
+test("the watermark field is the one a resource's listing filters and sorts on", () => {
+  assert.equal(watermarkField({ mode: "incremental", dateFilter: "UpdatedUtcFrom", sortField: "UpdatedUtc" }), "updatedUtc");
+  assert.equal(watermarkField({ mode: "incremental", dateFilter: "DateFrom", sortField: "CreatedUtc" }), "createdUtc");
+  assert.equal(watermarkField({}), "createdUtc");
+  assert.equal(watermarkField(), "createdUtc");
+});
@@ -0,0 +1,130 @@
+// Typed views generated from the swagger models (typedViews.js)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileCatalog } from "../catalog.js";
+import { typedViewSql, buildTypedViews } from "../typedViews.js";
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+function swagger({ version = "1.0", order = {} } = {}) {
+  return {
+    info: { version },
+    paths: {
+      "/api/sales-orders/list": {
+        post: { responses: { 200: { content: { "application/json": { schema: { type: "array", items: ref("SalesOrder") } } } } } }
+      }
+    },
+    components: {
+      schemas: {
+        OrderStatus: { type: "string", enum: ["Open", "Closed"] },
+        Address: { type: "object", properties: { city: { type: "string" } } },
+        SalesOrderLine: { type: "object", properties: { itemId: { type: "string" }, quantity: { type: "number" }, shipBy: { type: "string", format: "date" } } },
+        SalesOrder: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            number: { type: "string" },
+            total: { type: "number", format: "double" },
+            lineCount: { type: "integer" },
+            rush: { type: "boolean" },
+            placedUtc: { type: "string", format: "date-time" },
+            promisedOn: { type: "string", format: "date" },
+            status: ref("OrderStatus"),
+            shipTo: ref("Address"),
+            lines: { type: "array", items: ref("SalesOrderLine") },
+            tags: { type: "array", items: { type: "string" } },
+            ...order
+          }
+        }
+      }
+    }
+  };
+}
+
+const columns = sql => Object.fromEntries(
+  [...sql.matchAll(/^\s*(.+?) AS "(\w+)",?$/gm)].map(([, expr, name]) => [name, expr])
+);
+
+test("scalar fields become typed columns, objects jsonb and arrays their own views", () => {
+  const { models } = compileCatalog(swagger());
+  const views = typedViewSql("sales_orders_list", "SalesOrder", models);
+  assert.deepEqual(views.map(v => v.name), ["sales_orders_list_typed", "sales_orders_list__lines", "sales_orders_list__tags"]);
+
+  const main = columns(views[0].sql);
+  assert.deepEqual(Object.keys(main), ["number", "total", "line_count", "rush", "placed_utc", "promised_on", "status", "ship_to"]);
+  assert.equal(main.number, "(t.payload->>'number')");
+  assert.equal(main.total, "mirror_try_numeric(t.payload->>'total')");
+  assert.equal(main.line_count, "mirror_try_numeric(t.payload->>'lineCount')");
+  assert.equal(main.rush, "mirror_try_boolean(t.payload->>'rush')");
+  assert.equal(main.placed_utc, "mirror_try_timestamptz(t.payload->>'placedUtc')");
+  assert.equal(main.promised_on, "mirror_try_date(t.payload->>'promisedOn')");
+  assert.equal(main.ship_to, "(t.payload->'shipTo')");
+  assert.match(views[0].sql, /FROM "sales_orders_list" t\nWHERE t\.deleted_at IS NULL$/);
+
+  // array elements: one row each, keyed by parent and position, typed from their own model
+  const lines = views[1].sql;
+  assert.match(lines, /^SELECT t\.id AS parent_id, e\.ord,/);
+  assert.deepEqual(columns(lines), {
+    item_id: "(e.value->>'itemId')",
+    quantity: "mirror_try_numeric(e.value->>'quantity')",
+    ship_by: "mirror_try_date(e.value->>'shipBy')"
+  });
+  assert.match(lines, /jsonb_array_elements\(\n  CASE WHEN jsonb_typeof\(t\.payload->'lines'\) = 'array'/);
+  assert.match(views[2].sql, /\(e\.value #>> '\{\}'\) AS value/);
+});
+
+test("field names that collide with the fixed columns or each other are numbered", () => {
+  const { models } = compileCatalog(swagger({ order: { synced_at: { type: "string" }, lineCount2: { type: "string" }, line_count: { type: "string" } } }));
+  const main = columns(typedViewSql("so", "SalesOrder", models)[0].sql);
+  assert.equal(main.synced_at_2, "(t.payload->>'synced_at')");
+  assert.equal(main.line_count_2, "(t.payload->>'line_count')");
+  assert.equal(main.line_count2, "(t.payload->>'lineCount2')");
+  assert.equal(typedViewSql("so", "Nope", models).length, 0);
+});
+
+// just enough of a pg client to follow what buildTypedViews does
+function recordingClient() {
+  const stored = new Map();
+  const statements = [];
+  return {
+    statements,
+    async query(sql, params = []) {
+      if (/^SELECT sql_hash/.test(sql)) return { rows: stored.has(params[0]) ? [stored.get(params[0])] : [] };
+      if (/INSERT INTO mirror_typed_views/.test(sql)) {
+        stored.set(params[0], { swagger_version: params[2], view_names: params[3], sql_hash: params[4] });
+        return { rows: [] };
+      }
+      statements.push(sql.split("\n")[0]);
+      return { rows: [] };
+    }
+  };
+}
+
+test("views are rebuilt only when the schema changes, and views of removed fields dropped", async () => {
+  const client = recordingClient();
+  const tables = [{ resource: "sales_orders_list", path: "/api/sales-orders/list" }];
+
+  const built = await buildTypedViews(client, compileCatalog(swagger()), tables);
+  assert.deepEqual(built, ["sales_orders_list_typed", "sales_orders_list__lines", "sales_orders_list__tags"]);
+  assert.equal(client.statements.length, 3);
+
+  client.statements.length = 0;
+  assert.deepEqual(await buildTypedViews(client, compileCatalog(swagger()), tables), []);
+  assert.deepEqual(client.statements, []);
+
+  // tags gone and a new field: the tags view is dropped, the rest replaced
+  const changed = swagger({ version: "1.1", order: { notes: { type: "string" } } });
+  delete changed.components.schemas.SalesOrder.properties.tags;
+  assert.deepEqual(await buildTypedViews(client, compileCatalog(changed), tables), ["sales_orders_list_typed", "sales_orders_list__lines"]);
+  assert.deepEqual(client.statements, [
+    `DROP VIEW IF EXISTS "sales_orders_list__tags"`,
+    `CREATE OR REPLACE VIEW "sales_orders_list_typed" AS`,
+    `CREATE OR REPLACE VIEW "sales_orders_list__lines" AS`
+  ]);
+
+  // a version bump alone rebuilds too
+  client.statements.length = 0;
+  changed.info.version = "1.2";
+  assert.equal((await buildTypedViews(client, compileCatalog(changed), tables)).length, 2);
+});
@@ -0,0 +1,160 @@
+// typedViews.js — typed relational views over the JSONB mirror tables
+// ============================================================================
+// For every mirrored resource whose list operation returns a known swagger
+// model, generate
+//   <table>_typed            one column per scalar field, cast to numeric /
+//                            timestamptz / date / boolean / text
+//   <table>__<arrayField>    one row per element of each array field, keyed
+//                            by parent_id + ord, with the element's fields typed
+// Casts go through the mirror_try_* functions so a bad value becomes NULL
+// instead of breaking the view. Views are regenerated when the swagger
+// version or the generated SQL changes; mirror_typed_views remembers what
+// was built.
+// ============================================================================
+
+import crypto from "crypto";
+
+const RESERVED = ["id", "createdutc", "updatedutc", "synced_at", "parent_id", "ord"];
+
+const lit   = s => `'${String(s).replace(/'/g, "''")}'`;
+const ident = s => `"${String(s).replace(/"/g, '""')}"`;
+
+function snake(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9_]/g, "_")
+    .toLowerCase()
+    .slice(0, 63);
+}
+
+// Postgres silently truncates identifiers at 63 bytes; do it ourselves so
+// two long names can't collapse into one
+function viewName(...parts) {
+  const name = parts.join("__");
+  if (name.length <= 63) return name;
+  const h = crypto.createHash("md5").update(name).digest("hex").slice(0, 8);
+  return `${name.slice(0, 54)}_${h}`;
+}
+
+function sqlType(d) {
+  if (d.type === "integer" || d.type === "number") return "numeric";
+  if (d.type === "boolean") return "boolean";
+  if (d.type === "string" && d.format === "date-time") return "timestamptz";
+  if (d.type === "string" && d.format === "date") return "date";
+  if (d.type === "object") return "jsonb";
+  if (d.type === "array") return null;
+  return "text";
+}
+
+// raw: the value as text, json: the value as jsonb
+function castExpr(raw, json, type) {
+  switch (type) {
+    case "numeric":     return `mirror_try_numeric${raw}`;
+    case "boolean":     return `mirror_try_boolean${raw}`;
+    case "timestamptz": return `mirror_try_timestamptz${raw}`;
+    case "date":        return `mirror_try_date${raw}`;
+    case "jsonb":       return json;
+    default:            return raw;
+  }
+}
+
+// Typed select list for a model read out of a jsonb expression
+function typedColumns(source, model, taken) {
+  const cols = [];
+  const used = new Set(taken);
+  for (const [field, d] of Object.entries(model.fields)) {
+    if (field === "id" && used.has("id")) continue;
+    const type = sqlType(d);
+    if (!type) continue;
+    let name = snake(field);
+    for (let n = 2; used.has(name); n++) name = `${snake(field).slice(0, 60)}_${n}`;
+    used.add(name);
+    const raw = `(${source}->>${lit(field)})`, json = `(${source}->${lit(field)})`;
+    cols.push(`${castExpr(raw, json, type)} AS ${ident(name)}`);
+  }
+  return cols;
+}
+
+// → [{ name, sql }] for one mirror table
+export function typedViewSql(table, modelName, models) {
+  const model = models[modelName];
+  if (!model) return [];
+  const views = [];
+
+  const main = viewName(`${table}_typed`);
+  views.push({
+    name: main,
+    sql: `SELECT t.id, t.createdutc, t.updatedutc, t.synced_at,
+       ${typedColumns("t.payload", model, RESERVED).join(",\n       ")}
+FROM ${ident(table)} t
+WHERE t.deleted_at IS NULL`
+  });
+
+  for (const [field, d] of Object.entries(model.fields)) {
+    if (d.type !== "array") continue;
+    const name = viewName(table, snake(field));
+    const itemModel = d.items?.ref && models[d.items.ref];
+    const cols = itemModel
+      ? typedColumns("e.value", itemModel, ["parent_id", "ord"])
+      : [`${castExpr("(e.value #>> '{}')", "e.value", sqlType(d.items || {}) || "jsonb")} AS value`];
+    views.push({
+      name,
+      sql: `SELECT t.id AS parent_id, e.ord,
+       ${cols.join(",\n       ")}
+FROM ${ident(table)} t
+CROSS JOIN LATERAL jsonb_array_elements(
+  CASE WHEN jsonb_typeof(t.payload->${lit(field)}) = 'array' THEN t.payload->${lit(field)} ELSE '[]'::jsonb END
+) WITH ORDINALITY AS e(value, ord)
+WHERE t.deleted_at IS NULL`
+    });
+  }
+  return views;
+}
+
+async function replaceView(client, { name, sql }) {
+  try {
+    await client.query(`CREATE OR REPLACE VIEW ${ident(name)} AS\n${sql}`);
+  } catch (e) {
+    // columns removed, renamed or retyped: CREATE OR REPLACE can't do that
+    if (!["42P16", "42804"].includes(e.code)) throw e;
+    await client.query(`DROP VIEW IF EXISTS ${ident(name)}`);
+    await client.query(`CREATE VIEW ${ident(name)} AS\n${sql}`);
+  }
+}
+
+// tables: [{ resource, path }] that exist in the mirror
+export async function buildTypedViews(client, catalog, tables) {
+  const built = [];
+  for (const { resource, path } of tables) {
+    const ops = (catalog.resources || []).filter(r => r.op.path === path);
+    const op = (ops.find(r => r.op.method === "POST") || ops[0])?.op;
+    const model = op?.responseModel;
+    if (!model || !catalog.models?.[model]) continue;
+
+    const views = typedViewSql(resource, model, catalog.models);
+    const hash = crypto.createHash("md5").update(views.map(v => v.name + v.sql).join("\n")).digest("hex");
+    const prev = (await client.query(
+      `SELECT sql_hash, swagger_version, view_names FROM mirror_typed_views WHERE table_name=$1`, [resource]
+    )).rows[0];
+    if (prev?.sql_hash === hash && prev.swagger_version === catalog.version) continue;
+
+    try {
+      const keep = new Set(views.map(v => v.name));
+      for (const stale of prev?.view_names || []) {
+        if (!keep.has(stale)) await client.query(`DROP VIEW IF EXISTS ${ident(stale)}`);
+      }
+      for (const v of views) await replaceView(client, v);
+      await client.query(`
+        INSERT INTO mirror_typed_views(table_name,model,swagger_version,view_names,sql_hash,generated_at)
+        VALUES ($1,$2,$3,$4,$5,NOW())
+        ON CONFLICT (table_name) DO UPDATE
+          SET model=EXCLUDED.model, swagger_version=EXCLUDED.swagger_version,
+              view_names=EXCLUDED.view_names, sql_hash=EXCLUDED.sql_hash, generated_at=NOW()
+      `, [resource, model, catalog.version, views.map(v => v.name), hash]);
+      built.push(...views.map(v => v.name));
+    } catch (e) {
+      console.warn(`⚠ typed views for ${resource} skipped → ${e.message}`);
+    }
+  }
+  return built;
+}
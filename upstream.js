@@ -0,0 +1,161 @@
+// upstream.js — every request to Fulcrum goes through here
+// ============================================================================
+// One token bucket guards the shared FULCRUM_TOKEN: callers queue for a
+// token (up to FULCRUM_QUEUE_MAX waiting), a 429 pauses the whole bucket
+// for its Retry-After, and failed reads are retried with jittered backoff.
+//   FULCRUM_BASE_URL      API root, e.g. fakeFulcrum.js for offline runs
+//                         (default https://api.fulcrumpro.com)
+//   FULCRUM_RATE_PER_SEC  sustained requests per second   (default 5)
+//   FULCRUM_BURST         bucket size                      (default 10)
+//   FULCRUM_QUEUE_MAX     waiting requests before 503      (default 500)
+//   FULCRUM_MAX_RETRIES   retries per request              (default 4)
+// Rate-limited calls are retried for any method (Fulcrum didn't process
+// them); 5xx and network errors only for idempotent reads.
+// ============================================================================
+
+const { fetch } = globalThis;
+
+export const FULCRUM_BASE_URL = (process.env.FULCRUM_BASE_URL || "https://api.fulcrumpro.com").replace(/\/+$/, "");
+const RATE_PER_SEC = Math.max(0.1, Number(process.env.FULCRUM_RATE_PER_SEC || 5));
+const BURST        = Math.max(1, Number(process.env.FULCRUM_BURST || 10));
+const QUEUE_MAX    = Math.max(1, Number(process.env.FULCRUM_QUEUE_MAX || 500));
+const MAX_RETRIES  = Math.max(0, Number(process.env.FULCRUM_MAX_RETRIES ?? 4));
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_CAP_MS  = 30_000;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+//-------------------------------------------------------------
+// Token bucket with FIFO queue
+//-------------------------------------------------------------
+let tokens = BURST;
+let refilledAt = Date.now();
+let pausedUntil = 0;
+let timer = null;
+let inFlight = 0;
+const queue = [];
+const counters = { requests: 0, retries: 0, throttled: 0, rejected: 0 };
+
+function refill() {
+  const now = Date.now();
+  tokens = Math.min(BURST, tokens + ((now - refilledAt) / 1000) * RATE_PER_SEC);
+  refilledAt = now;
+}
+
+function drain() {
+  timer = null;
+  refill();
+  const now = Date.now();
+  while (queue.length && tokens >= 1 && now >= pausedUntil) {
+    tokens -= 1;
+    queue.shift()();
+  }
+  if (queue.length) {
+    const wait = Math.max(pausedUntil - now, ((1 - tokens) / RATE_PER_SEC) * 1000, 5);
+    timer = setTimeout(drain, wait);
+  }
+}
+
+function acquire() {
+  if (queue.length >= QUEUE_MAX) {
+    counters.rejected++;
+    const err = new Error("upstream_queue_full");
+    err.status = 503;
+    return Promise.reject(err);
+  }
+  return new Promise(resolve => {
+    queue.push(resolve);
+    if (!timer) drain();
+  });
+}
+
+function pause(ms) {
+  pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  tokens = Math.min(tokens, 0);
+}
+
+export function limiterStats() {
+  refill();
+  return {
+    queueDepth: queue.length,
+    queueMax: QUEUE_MAX,
+    inFlight,
+    tokens: Math.floor(tokens * 100) / 100,
+    ratePerSec: RATE_PER_SEC,
+    burst: BURST,
+    pausedForMs: Math.max(0, pausedUntil - Date.now()),
+    ...counters
+  };
+}
+
+//-------------------------------------------------------------
+// Retry helpers
+//-------------------------------------------------------------
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(resp) {
+  const h = resp.headers.get("retry-after");
+  if (!h) return null;
+  if (/^\d+(\.\d+)?$/.test(h.trim())) return Number(h) * 1000;
+  const at = Date.parse(h);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// "full jitter": uniform in [0, min(cap, base·2^attempt)]
+function backoffMs(attempt) {
+  return Math.random() * Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+//-------------------------------------------------------------
+// Fetch one page from Fulcrum
+//-------------------------------------------------------------
+export async function fetchPage({ url, methodUp, headers, body, idempotent = methodUp === "GET" }) {
+  for (let attempt = 0; ; attempt++) {
+    await acquire();
+    counters.requests++;
+    inFlight++;
+    let resp;
+    try {
+      resp = await fetch(url, { method: methodUp, headers, body });
+    } catch (e) {
+      if (!idempotent || attempt >= MAX_RETRIES) throw e;
+      counters.retries++;
+      console.warn(`upstream ${methodUp} ${url} → ${e.message}, retry ${attempt + 1}/${MAX_RETRIES}`);
+      await sleep(backoffMs(attempt));
+      continue;
+    } finally {
+      inFlight--;
+    }
+
+    if (resp.status === 429) {
+      counters.throttled++;
+      const wait = retryAfterMs(resp) ?? backoffMs(attempt);
+      pause(wait);
+      if (attempt < MAX_RETRIES) {
+        counters.retries++;
+        await resp.text().catch(() => {});
+        console.warn(`upstream rate limited → waiting ${Math.round(wait)}ms`);
+        continue;
+      }
+    } else if (resp.status >= 500 && idempotent && attempt < MAX_RETRIES) {
+      counters.retries++;
+      await resp.text().catch(() => {});
+      const wait = retryAfterMs(resp) ?? backoffMs(attempt);
+      console.warn(`upstream ${methodUp} ${url} → ${resp.status}, retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(wait)}ms`);
+      await sleep(wait);
+      continue;
+    }
+
+    if (resp.status === 401 || resp.status === 403) {
+      const text = await resp.text();
+      let upstream; try { upstream = JSON.parse(text); } catch { upstream = { raw: text }; }
+      const err = new Error("fulcrum_unauthorized");
+      err.status = resp.status;
+      err.upstream = upstream;
+      throw err;
+    }
+    let text = await resp.text();
+    if (!text || text.trim() === "") text = "[]";
+    let data; try { data = JSON.parse(text); } catch { data = { raw: text }; }
+    return { status: resp.status, data };
+  }
+}
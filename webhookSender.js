@@ -0,0 +1,57 @@
+// webhookSender.js — local stand-in for Fulcrum's webhook delivery
+// ============================================================================
+// Signs and posts an event the way Fulcrum would, to exercise the receiver:
+//   node webhookSender.js --type SalesOrder --id 42
+//   node webhookSender.js --type Job --id 7 --action deleted --event-id evt_1
+//   node webhookSender.js --type Job --id 7 --event-id evt_1    (duplicate → dropped)
+//   node webhookSender.js --type Job --id 7 --bad-signature     (→ 401)
+// --secret defaults to FULCRUM_WEBHOOK_SECRET, --url to this host's receiver.
+// ============================================================================
+
+import crypto from "crypto";
+import { parseArgs } from "util";
+import { sign } from "./webhooks.js";
+
+const { fetch } = globalThis;
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      url: { type: "string", default: `http://localhost:${process.env.PORT || 3000}/webhooks/fulcrum` },
+      type: { type: "string" },
+      id: { type: "string" },
+      action: { type: "string", default: "updated" },
+      "event-id": { type: "string" },
+      secret: { type: "string", default: process.env.FULCRUM_WEBHOOK_SECRET || "" },
+      "bad-signature": { type: "boolean", default: false }
+    }
+  });
+  if (!values.type || !values.id) throw new Error("--type and --id are required");
+  if (!values.secret && !values["bad-signature"]) throw new Error("no secret: pass --secret or set FULCRUM_WEBHOOK_SECRET");
+
+  const body = JSON.stringify({
+    id: values["event-id"] || `evt_${crypto.randomUUID()}`,
+    entityType: values.type,
+    entityId: values.id,
+    action: values.action,
+    occurredUtc: new Date().toISOString()
+  });
+  const signature = values["bad-signature"] ? sign(body, "not-the-secret") : sign(body, values.secret);
+
+  const r = await fetch(values.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Fulcrum-Signature": signature },
+    body
+  });
+  console.log(r.status, await r.text());
+  return r.ok ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  e => {
+    console.error(e.message);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,215 @@
+// webhooks.js — Fulcrum change events → mirror rows in near real time
+// ============================================================================
+// POST /webhooks/fulcrum takes one event, an array of them or { events: [...] }:
+//   { "id": "evt_123", "entityType": "SalesOrder", "entityId": "42", "action": "updated" }
+// ("type": "salesOrder.updated" works in place of entityType/action).
+// The raw body must be signed with FULCRUM_WEBHOOK_SECRET:
+//   X-Fulcrum-Signature: sha256=<hex hmac-sha256 of the raw body>
+// Every event is logged once in webhook_events (duplicates by event id are
+// acknowledged and dropped), acknowledged with 202, then applied in the
+// background: the record is re-read through the proxy's /call pipeline and
+// upserted into its mirror table, or tombstoned when deleted / gone (404).
+// Entity types map to { table, path } through WEBHOOK_ENTITIES, else through
+// the catalog: SalesOrder → GET /api/sales-orders/{id}, table sales_orders_list.
+//   WEBHOOK_ENTITIES='{"Job":{"table":"jobs_list","path":"/api/jobs/{id}"}}'
+// /admin/webhooks/events lists the log and /admin/webhooks/replay re-applies it
+// (events a restart left "received" are picked up with { "status": "received" }).
+// ============================================================================
+
+import express from "express";
+import crypto from "crypto";
+import { saveBatch, deleteRows, ensureMirrorTable } from "./syncFulcrum.js";
+import { resourceName } from "./syncGraph.js";
+import { cachePurge } from "./responseCache.js";
+
+const SECRET = process.env.FULCRUM_WEBHOOK_SECRET || "";
+const SIGNATURE_HEADER = "x-fulcrum-signature";
+
+function parseEntities(raw) {
+  try { return raw ? JSON.parse(raw) : {}; }
+  catch (e) { console.error("WEBHOOK_ENTITIES is not valid JSON, ignoring it:", e.message); return {}; }
+}
+
+const ENTITY_OVERRIDES = parseEntities(process.env.WEBHOOK_ENTITIES);
+
+//-------------------------------------------------------------
+// Signature
+//-------------------------------------------------------------
+export function sign(rawBody, secret = SECRET) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+export function verifySignature(rawBody, header, secret = SECRET) {
+  if (!secret || !rawBody || !header) return false;
+  const given = String(header).trim().replace(/^sha256=/i, "");
+  const expected = sign(rawBody, secret).slice("sha256=".length);
+  const a = Buffer.from(given, "utf8"), b = Buffer.from(expected, "utf8");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+//-------------------------------------------------------------
+// Events
+//-------------------------------------------------------------
+// → { eventId, entityType, entityId, action } in one shape whatever the sender used
+function normalizeEvent(e) {
+  const [typeEntity, typeAction] = String(e.type || e.eventType || "").split(".");
+  const entityType = e.entityType || e.entity_type || e.entity || typeEntity || null;
+  const entityId = e.entityId ?? e.entity_id ?? e.recordId ?? e.data?.id ?? null;
+  const action = String(e.action || typeAction || "updated").toLowerCase();
+  const eventId = e.id ?? e.eventId ?? crypto.createHash("sha256").update(JSON.stringify(e)).digest("hex");
+  return { eventId: String(eventId), entityType, entityId: entityId == null ? null : String(entityId), action };
+}
+
+const kebab = s => String(s).replace(/([a-z0-9])([A-Z])/g, "$1-$2").replace(/[_\s]+/g, "-").toLowerCase();
+const plurals = s => [...new Set([s, `${s}s`, `${s}es`, s.replace(/y$/, "ies")])];
+
+// "SalesOrder", "sales_orders" or "sales-orders" → path segments to try
+export const resourceSegments = name => plurals(kebab(name));
+
+// Entity type → { table, path } with {id} in the path, or null
+export function entityTarget(catalog, entityType, overrides = ENTITY_OVERRIDES) {
+  if (!entityType) return null;
+  const o = overrides[entityType];
+  if (o?.table && o?.path) return { table: o.table, path: o.path };
+
+  const ops = (catalog?.resources || []).map(r => r.op);
+  for (const seg of resourceSegments(entityType)) {
+    const get = ops.find(op => op.method === "GET" && new RegExp(`^/api/${seg}/\\{[^}/]+\\}$`).test(op.path));
+    const list = ops.map(op => op.path).filter(p => p.startsWith(`/api/${seg}/list`)).sort((a, b) => a.length - b.length)[0];
+    if (get && list) {
+      return { table: o?.table || resourceName(list), path: o?.path || get.path.replace(/\{[^}]+\}/, "{id}") };
+    }
+  }
+  return null;
+}
+
+// record bodies come back bare or wrapped in { data }
+export const unwrap = d => (d && typeof d === "object" && d.id == null && d.data && typeof d.data === "object" ? d.data : d);
+
+// Re-reads one record through fetchRecord into the target's mirror table, or
+// tombstones it when deleted (or gone upstream) → { action, record }
+export async function refreshMirrorRecord(pool, fetchRecord, target, id, { deleted = false } = {}) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(target.table)) throw new Error(`invalid mirror table name ${target.table}`);
+  const path = target.path.replace("{id}", encodeURIComponent(id));
+  await ensureMirrorTable(pool, target.table);
+  let gone = deleted, record = null;
+  if (!gone) {
+    const { status, data } = await fetchRecord(path);
+    if (status === 404) gone = true;
+    else if (status < 200 || status >= 300) throw new Error(`GET ${path} → ${status}: ${JSON.stringify(data).slice(0, 200)}`);
+    else await saveBatch(pool, target.table, [record = unwrap(data)]);
+  }
+  if (gone) await deleteRows(pool, target.table, [id]);
+  await cachePurge(`/api/${target.path.split("/")[2]}/`);
+  return { action: gone ? "deleted" : "saved", record };
+}
+
+//-------------------------------------------------------------
+// Router
+//-------------------------------------------------------------
+// fetchRecord(path) → { status, data }; catalog() → compiled swagger catalog
+export function webhookRoutes({ pool, fetchRecord, catalog }) {
+  const router = express.Router();
+  let chain = Promise.resolve();
+  const enqueue = id => {
+    chain = chain.then(() => applyEvent(id)).catch(e => console.error(`webhook event #${id} failed:`, e.message));
+    return chain;
+  };
+
+  async function finish(id, status, { table = null, error = null } = {}) {
+    await pool.query(
+      `UPDATE webhook_events SET status=$2, target_table=$3, error=$4, processed_at=NOW() WHERE id=$1`,
+      [id, status, table, error]
+    );
+  }
+
+  async function applyEvent(id) {
+    const row = (await pool.query(
+      `UPDATE webhook_events SET attempts=attempts+1 WHERE id=$1
+       RETURNING id, entity_type, entity_id, action`, [id]
+    )).rows[0];
+    if (!row) return;
+    try {
+      const target = entityTarget(await catalog(), row.entity_type);
+      if (!target) return finish(id, "ignored", { error: `no mirror table for entity type ${row.entity_type}` });
+      if (!row.entity_id) return finish(id, "ignored", { table: target.table, error: "event has no entity id" });
+
+      await refreshMirrorRecord(pool, fetchRecord, target, row.entity_id, { deleted: row.action === "deleted" });
+      await finish(id, "applied", { table: target.table });
+    } catch (e) {
+      await finish(id, "failed", { error: String(e.message || e) });
+    }
+  }
+
+  router.post("/webhooks/fulcrum", async (req, res) => {
+    if (!SECRET) return res.status(503).json({ error: "webhooks_not_configured" });
+    if (!verifySignature(req.rawBody, req.headers[SIGNATURE_HEADER])) {
+      return res.status(401).json({ error: "invalid_signature" });
+    }
+    try {
+      const body = req.body;
+      const events = Array.isArray(body) ? body : Array.isArray(body?.events) ? body.events : [body];
+      const accepted = [], duplicates = [];
+      for (const raw of events) {
+        if (!raw || typeof raw !== "object") continue;
+        const e = normalizeEvent(raw);
+        const r = await pool.query(
+          `INSERT INTO webhook_events(event_id,entity_type,entity_id,action,payload)
+           VALUES ($1,$2,$3,$4,$5) ON CONFLICT (event_id) DO NOTHING RETURNING id`,
+          [e.eventId, e.entityType, e.entityId, e.action, JSON.stringify(raw)]
+        );
+        if (r.rows[0]) {
+          accepted.push(e.eventId);
+          enqueue(r.rows[0].id);
+        } else {
+          duplicates.push(e.eventId);
+        }
+      }
+      res.status(202).json({ accepted, duplicates });
+    } catch (e) {
+      console.error("webhook error:", e);
+      res.status(500).json({ error: String(e) });
+    }
+  });
+
+  // ?status=failed&entityType=Job&limit=100
+  router.get("/admin/webhooks/events", async (req, res) => {
+    try {
+      const limit = Math.max(1, Math.min(Number(req.query.limit) || 100, 1000));
+      const r = await pool.query(
+        `SELECT id,event_id,entity_type,entity_id,action,status,target_table,attempts,error,received_at,processed_at
+         FROM webhook_events
+         WHERE ($1::text IS NULL OR status=$1) AND ($2::text IS NULL OR entity_type=$2)
+         ORDER BY id DESC LIMIT $3`,
+        [req.query.status || null, req.query.entityType || null, limit]
+      );
+      res.json(r.rows);
+    } catch (e) {
+      res.status(500).json({ error: String(e) });
+    }
+  });
+
+  // body: { ids: [..] } or { status: "failed", since: "2026-10-01" } — re-applies in id order
+  router.post("/admin/webhooks/replay", async (req, res) => {
+    try {
+      const { ids, status, since } = req.body || {};
+      if (!Array.isArray(ids) && !status && !since) {
+        return res.status(400).json({ error: "bad_request", detail: "give ids, status or since" });
+      }
+      const r = await pool.query(
+        `SELECT id FROM webhook_events
+         WHERE ($1::bigint[] IS NULL OR id = ANY($1)) AND ($2::text IS NULL OR status=$2)
+           AND ($3::timestamptz IS NULL OR received_at >= $3)
+         ORDER BY id LIMIT 10000`,
+        [Array.isArray(ids) ? ids.map(Number) : null, status || null, since || null]
+      );
+      for (const row of r.rows) enqueue(row.id);
+      res.status(202).json({ replaying: r.rows.length });
+    } catch (e) {
+      if (/^22/.test(e.code || "")) return res.status(400).json({ error: "bad_request", detail: e.message });
+      res.status(500).json({ error: String(e) });
+    }
+  });
+
+  return router;
+}